@@ -10,6 +10,16 @@
  * This is more reliable and avoids public access issues with R2.
  */
 
+const fs = require('fs');
+const os = require('os');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
 const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
@@ -29,6 +39,21 @@ const upload = multer({
   limits: { fileSize: 10 * 1024 * 1024 } // 10MB max per frame
 });
 
+// Whole videos go to disk - ffmpeg reads them from there and they are deleted afterwards
+const VIDEO_UPLOAD_DIR = process.env.VIDEO_UPLOAD_DIR || path.join(os.tmpdir(), 'fightlab-videos');
+fs.mkdirSync(VIDEO_UPLOAD_DIR, { recursive: true });
+const videoUpload = multer({
+  dest: VIDEO_UPLOAD_DIR,
+  limits: { fileSize: (parseInt(process.env.VIDEO_MAX_MB, 10) || 2048) * 1024 * 1024 } // 2GB default
+});
+
+// Behind a load balancer req.ip is the proxy unless Express trusts X-Forwarded-For
+// (e.g. TRUST_PROXY=1 for one proxy hop) - the per-IP rate limits depend on it
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '100mb' }));
@@ -37,783 +62,1288 @@ app.use(express.json({ limit: '100mb' }));
 // CLAUDE AI SETUP
 // ============================================
 
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
+// Model provider: 'anthropic' (default) or 'mock' (offline fixture reports for tests and local dev)
+const MODEL_PROVIDER = process.env.MODEL_PROVIDER || 'anthropic';
 
-// ============================================
-// IN-MEMORY STORAGE (Replace with database later)
-// ============================================
+// Retry policy for transient Claude errors (429, 5xx, overloaded, network, stalls)
+// The deadline is one budget for all model calls of an analysis (continuations, sections, regeneration)
+const CLAUDE_RETRY_MAX_ATTEMPTS = parseInt(process.env.CLAUDE_RETRY_MAX_ATTEMPTS, 10) || 4;
+const CLAUDE_RETRY_BASE_DELAY_MS = parseInt(process.env.CLAUDE_RETRY_BASE_DELAY_MS, 10) || 2000;
+const CLAUDE_RETRY_MAX_DELAY_MS = parseInt(process.env.CLAUDE_RETRY_MAX_DELAY_MS, 10) || 60 * 1000;
+const CLAUDE_RETRY_DEADLINE_MS = parseInt(process.env.CLAUDE_RETRY_DEADLINE_MS, 10) || 15 * 60 * 1000;
+
+// Streaming progress: output tokens are estimated from streamed characters
+// and compared against the typical size of a complete report
+const CHARS_PER_TOKEN = 3.5;
+const EXPECTED_OUTPUT_TOKENS = { single: 9000, both: 13000 };
 
-const analysisStore = new Map(); // Stores analysis results by ID
+// Structured output: the report is requested through a tool generated from the report
+// schema. Free-text JSON parsing is kept as a fallback (STRUCTURED_OUTPUT=false forces it).
+const STRUCTURED_OUTPUT = process.env.STRUCTURED_OUTPUT !== 'false';
+
+// Regeneration pass: placeholder or templated sections found during validation are
+// requested again in one targeted call (REGENERATION_CONTEXT=summary skips re-sending frames)
+const SECTION_REGENERATION = process.env.SECTION_REGENERATION !== 'false';
+const REGENERATION_CONTEXT = process.env.REGENERATION_CONTEXT === 'summary' ? 'summary' : 'frames';
+
+// Extra calls allowed to continue a response that hit max_tokens
+const MAX_CONTINUATIONS = parseInt(process.env.MAX_CONTINUATIONS, 10) || 2;
+
+// Stall detection: give up early if Claude never starts or stops streaming
+const FIRST_TOKEN_TIMEOUT_MS = parseInt(process.env.FIRST_TOKEN_TIMEOUT_MS, 10) || 5 * 60 * 1000;
+const STALL_TIMEOUT_MS = parseInt(process.env.STALL_TIMEOUT_MS, 10) || 90 * 1000;
 
 // ============================================
-// HELPER FUNCTIONS
+// MODEL PROVIDERS
 // ============================================
 
 /**
- * Helper function to determine user role type from config
- * Returns: 'fighter', 'coach', or 'study'
+ * A model provider answers one request in the Anthropic Messages format. Interface:
+ *   name, maxTokens (cap on the plan's output-token budget)
+ *   buildImageBlock(buffer, mediaType) - content block for one frame
+ *   streamMessage(request, { signal, onDelta, config }) - resolves with the final message
+ *     ({ content, stop_reason, usage }); onDelta(text, kind) is called for every streamed chunk,
+ *     kind 'text' for free text and 'tool' for raw tool-argument JSON
+ *   describeError(error) - { name, status, message, type, headers, connectionError } consumed by
+ *     mapClaudeError; connectionError marks a request that never got a response (retryable)
  */
-function getUserRoleType(userRole) {
-  if (!userRole) return 'fighter'; // default to fighter mode
 
-  if (userRole.toLowerCase().includes('preparing to fight') ||
-      userRole.toLowerCase().includes('fighter')) {
-    return 'fighter';
-  }
-  if (userRole.toLowerCase().includes('coach')) {
-    return 'coach';
-  }
-  if (userRole.toLowerCase().includes('study') ||
-      userRole.toLowerCase().includes('analysis') ||
-      userRole.toLowerCase().includes('general')) {
-    return 'study';
-  }
-  return 'fighter'; // default
-}
-
-/**
- * Helper function to build appearance string from structured data
- */
-function buildAppearanceString(appearance, description) {
-  if (!appearance || Object.keys(appearance).length === 0) {
-    return description || '';
-  }
-  const parts = [];
-  if (appearance.shortsColor) parts.push(`${appearance.shortsColor} shorts`);
-  if (appearance.skinTone) parts.push(`${appearance.skinTone} skin tone`);
-  if (appearance.bodyBuild) parts.push(`${appearance.bodyBuild} build`);
-  if (appearance.relativeHeight) parts.push(appearance.relativeHeight);
-  if (appearance.distinguishingFeatures?.length > 0) {
-    parts.push(appearance.distinguishingFeatures.join(', '));
-  }
-  if (appearance.customDescription) parts.push(appearance.customDescription);
-  return parts.length > 0 ? parts.join(', ') : (description || '');
+function buildBase64ImageBlock(buffer, mediaType = 'image/jpeg') {
+  return {
+    type: 'image',
+    source: {
+      type: 'base64',
+      media_type: mediaType,
+      data: buffer.toString('base64'),
+    },
+  };
 }
 
 /**
- * Calculate maximum reasonable rounds from video duration
- * Assumes ~5 min/round + 1 min rest = 6 min per full round
- * Returns: { maxRounds, videoDurationMinutes, canDetermineRounds }
+ * Anthropic Messages API (streaming)
  */
-function calculateVideoRoundConstraints(videoDurationSeconds) {
-  if (!videoDurationSeconds || videoDurationSeconds <= 0) {
-    return { maxRounds: 1, videoDurationMinutes: 0, canDetermineRounds: false };
-  }
-
-  const minutes = videoDurationSeconds / 60;
-  // Conservative: assume 4-5 min rounds (sparring/training can be shorter)
-  // A 7-minute video can have at most 1-2 rounds
-  const maxRounds = Math.max(1, Math.ceil(minutes / 4));
+function createAnthropicProvider() {
+  // SDK retries are disabled - requestClaudeWithRetry owns the retry policy so every
+  // attempt is visible on the stored analysis
+  const client = new Anthropic({
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    maxRetries: 0,
+  });
 
   return {
-    maxRounds,
-    videoDurationMinutes: Math.round(minutes * 10) / 10, // Round to 1 decimal
-    canDetermineRounds: true
+    name: 'anthropic',
+    maxTokens: 16000,
+    buildImageBlock: buildBase64ImageBlock,
+    streamMessage(request, { signal, onDelta }) {
+      const stream = client.messages.stream(request, { signal });
+      // Free text arrives as 'text' deltas, tool arguments as 'inputJson' deltas
+      stream.on('text', (delta) => onDelta(delta, 'text'));
+      stream.on('inputJson', (delta) => onDelta(delta, 'tool'));
+      return stream.finalMessage();
+    },
+    describeError(error) {
+      return {
+        name: error.name,
+        status: error.status,
+        message: error.message,
+        type: error.type,
+        headers: error.headers,
+        // Includes APIConnectionTimeoutError
+        connectionError: error instanceof Anthropic.APIConnectionError
+      };
+    }
   };
 }
 
+// Scenarios the mock provider plays back - MOCK_SCENARIO server-wide or config.mockScenario per request
+const MOCK_SCENARIOS = ['ok', 'truncated', 'malformed', 'rate_limited'];
+const MOCK_STREAM_DELAY_MS = parseInt(process.env.MOCK_STREAM_DELAY_MS, 10) || 0;
+const SAMPLE_REPORT = require('./fixtures/sample-report.json');
+
 /**
- * Build prompt for BOTH FIGHTERS analysis mode
- * Returns a different JSON schema with fighter1Analysis and fighter2Analysis objects
- * Role-based output:
- *   - fighter: Full user-centric coaching with game plans
- *   - coach: Educational/instructional framing
- *   - study: Pure analysis, no game plans or coaching
+ * Report the mock provider answers with, built from fixtures/sample-report.json
  */
-function buildBothFightersPrompt(config) {
-  const fighter1Name = config.fighter1Name || 'Fighter 1';
-  const fighter2Name = config.fighter2Name || 'Fighter 2';
-  const userRounds = config.userFightRounds || 3;
+function buildMockReport(config) {
+  const fighterAnalysis = (name) => {
+    const analysis = JSON.parse(JSON.stringify(SAMPLE_REPORT.fighterAnalysis));
+    analysis.fighterIdentification.confirmedName = name;
+    return analysis;
+  };
 
-  // Calculate reasonable round constraints from video duration
-  const videoConstraints = calculateVideoRoundConstraints(config.videoDuration);
-  // Clamp videoRounds to what's actually possible based on duration
-  const claimedRounds = config.videoRounds || 3;
-  const videoRounds = Math.min(claimedRounds, videoConstraints.maxRounds);
-  const sessionType = config.sessionType || 'competition';
-  const roleType = getUserRoleType(config.userRole);
+  if (config.analysisType === 'both') {
+    return {
+      fighter1Analysis: fighterAnalysis(config.fighter1Name || 'Fighter 1'),
+      fighter2Analysis: fighterAnalysis(config.fighter2Name || 'Fighter 2'),
+      matchupAnalysis: JSON.parse(JSON.stringify(SAMPLE_REPORT.matchupAnalysis))
+    };
+  }
+  return fighterAnalysis(config.fighter1Name || 'Test Fighter');
+}
 
-  const fighter1Appearance = config.fighter1Appearance || {};
-  const fighter2Appearance = config.fighter2Appearance || {};
+/**
+ * Keep only what an output schema asks for - dotted keys (regeneration tool) are
+ * looked up as report paths
+ */
+function pickBySchema(value, schema) {
+  if (Array.isArray(value) && schema.items) return value.map(item => pickBySchema(item, schema.items));
+  if (!value || typeof value !== 'object' || !schema.properties) return value;
+
+  const picked = {};
+  for (const [key, propertySchema] of Object.entries(schema.properties)) {
+    const child = value[key] !== undefined ? value[key] : getValueAtPath(value, key);
+    if (child !== undefined) picked[key] = pickBySchema(child, propertySchema);
+  }
+  return picked;
+}
 
-  const fighter1ShortsColor = fighter1Appearance.shortsColor ||
-    config.fighter1Description?.match(/(\w+)\s*shorts/i)?.[1] || '';
-  const fighter2ShortsColor = fighter2Appearance.shortsColor ||
-    config.fighter2Description?.match(/(\w+)\s*shorts/i)?.[1] || '';
+/**
+ * Deterministic offline provider - answers every request with the fixture report
+ *   ok           - complete report (tool call, or JSON text without a tool)
+ *   truncated    - full-report requests stop at max_tokens; continuations (of text or of
+ *                  tool arguments) and sectioned parts complete, so the recovery paths can be exercised
+ *   malformed    - free text with no JSON in it
+ *   rate_limited - every request fails with 429 and a Retry-After header
+ */
+function createMockProvider() {
+  const mockError = (status, message, headers = {}) =>
+    Object.assign(new Error(message), { status, headers, type: 'mock_error' });
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-  const fighter1AppearanceStr = buildAppearanceString(fighter1Appearance, config.fighter1Description);
-  const fighter2AppearanceStr = buildAppearanceString(fighter2Appearance, config.fighter2Description);
+  return {
+    name: 'mock',
+    maxTokens: 16000,
+    buildImageBlock: buildBase64ImageBlock,
+    async streamMessage(request, { signal, onDelta, config }) {
+      const scenario = config.mockScenario || process.env.MOCK_SCENARIO || 'ok';
+      if (!MOCK_SCENARIOS.includes(scenario)) {
+        throw mockError(400, `Unknown mock scenario "${scenario}" (expected ${MOCK_SCENARIOS.join(', ')})`);
+      }
+      if (scenario === 'rate_limited') {
+        throw mockError(429, 'Mock provider: rate limited', { 'retry-after': '1' });
+      }
 
-  const fighter1Background = config.fighter1DeclaredBackground || null;
-  const fighter2Background = config.fighter2DeclaredBackground || null;
+      const tool = request.tools ? request.tools[0] : null;
+      const outputSchema = tool
+        ? tool.input_schema
+        : buildModelOutputSchema(getReportSchema(config.analysisType), getSchemaContext(config));
+      let output = pickBySchema(buildMockReport(config), outputSchema);
+      let stopReason = tool ? 'tool_use' : 'end_turn';
+      let text;
+
+      const lastMessage = request.messages[request.messages.length - 1];
+      const prefill = lastMessage.role === 'assistant' ? lastMessage.content : '';
+      if (scenario === 'malformed') {
+        text = 'I was unable to produce a structured report for these frames.';
+      } else if (tool) {
+        text = JSON.stringify(output, null, 2);
+        // Sectioned parts use a tool with no required keys - only full reports truncate
+        if (scenario === 'truncated' && (tool.input_schema.required || []).length > 0) {
+          // Raw arguments stop mid-JSON; the SDK's partial parse keeps the finished top-level keys
+          text = text.slice(0, Math.floor(text.length * 0.6));
+          const keys = Object.keys(output);
+          output = Object.fromEntries(keys.slice(0, Math.ceil(keys.length / 2)).map(key => [key, output[key]]));
+          stopReason = 'max_tokens';
+        }
+      } else {
+        const fullText = JSON.stringify(output, null, 2);
+        text = fullText.slice(prefill.length);
+        if (scenario === 'truncated' && !prefill) {
+          text = fullText.slice(0, Math.floor(fullText.length * 0.6));
+          stopReason = 'max_tokens';
+        }
+      }
 
-  // Role-specific context
-  const roleContext = {
-    'fighter': 'You are preparing to fight against fighters with these styles.',
-    'coach': 'You are a coach analyzing these fighters to help train your students.',
-    'study': 'You are studying these fighters for general analysis and understanding.'
-  }[roleType];
+      // Stream in chunks so progress, stall detection and cancellation behave as with a real model
+      const usesTool = tool && scenario !== 'malformed';
+      const chunkSize = Math.max(1, Math.ceil(text.length / 20));
+      for (let offset = 0; offset < text.length; offset += chunkSize) {
+        if (signal && signal.aborted) throw Object.assign(new Error('Request was aborted.'), { name: 'AbortError' });
+        await wait(MOCK_STREAM_DELAY_MS);
+        onDelta(text.slice(offset, offset + chunkSize), usesTool ? 'tool' : 'text');
+      }
 
-  // Build user-centric sections (gamePlan, adjustments, training, insights) only for fighter/coach modes
-  const buildUserCentricSections = (fighterName, isStudyMode, isFighter) => {
-    if (isStudyMode) {
-      return ''; // No user-centric sections for study mode
-    }
-
-    const perspective = isFighter
-      ? { subject: 'USER', action: 'you should', goal: 'your' }
-      : { subject: 'your fighter', action: 'your fighter should', goal: "your fighter's" };
-
-    return `
-    "gamePlan": {
-      "overallStrategy": "<DETAILED 3-4 sentence overall strategy for ${perspective.subject} to beat ${fighterName}. Explain the primary approach, WHY it works against this opponent's style, and how to execute it.>",
-      "roundByRound": [{ "roundNumber": <1-${userRounds}>, "objective": "<2-3 sentence round objective explaining WHAT to do and WHY>", "tactics": ["<detailed tactic with explanation>", "<another tactic with context>"], "keyFocus": "<specific focus area for this round>" }],
-      "roundGamePlans": [{
-        "roundNumber": <1-${userRounds}>,
-        "title": "<descriptive round strategy title>",
-        "planA": {
-          "name": "<clear plan name>",
-          "goal": "<2-3 sentence goal explaining what ${perspective.subject} wants to achieve and WHY this works against ${fighterName}>",
-          "tactics": ["<detailed tactic: WHAT to do + HOW to do it + WHY it works>", "<second detailed tactic with full explanation>", "<third tactic with context>"],
-          "successIndicators": ["<specific sign that the plan is working>", "<another measurable indicator>"],
-          "switchTrigger": "<clear condition: when exactly ${perspective.action} switch to Plan B>"
-        },
-        "planB": {
-          "name": "<backup plan name>",
-          "goal": "<2-3 sentence backup goal>",
-          "tactics": ["<detailed backup tactic with explanation>", "<another backup tactic>"],
-          "successIndicators": ["<indicator>"],
-          "switchTrigger": "<when to switch to Plan C>"
-        },
-        "planC": {
-          "name": "<emergency plan name>",
-          "goal": "<emergency goal focused on survival/reset>",
-          "tactics": ["<emergency tactic with explanation>"],
-          "successIndicators": ["<sign that emergency plan is working>"],
-          "switchTrigger": null
-        }
-      }],
-      "keyTactics": ["<DETAILED key tactic: explain WHAT, HOW, and WHY this works against ${fighterName}>", "<another detailed tactic with full context>", "<third detailed tactic>"],
-      "thingsToAvoid": [
-        {
-          "avoidance": "<MANDATORY - SPECIFIC pattern from video to avoid>",
-          "reason": "<MANDATORY - MUST BE UNIQUE - WHY this is dangerous based on WHAT YOU SAW in the video. Reference specific observations.>",
-          "alternative": "<MANDATORY - MUST BE UNIQUE - SPECIFIC tactical fix with HOW to execute it>"
-        },
-        {
-          "avoidance": "<SECOND specific thing to avoid>",
-          "reason": "<DIFFERENT reason with different video evidence>",
-          "alternative": "<DIFFERENT tactical solution>"
+      const inputChars = JSON.stringify(request.messages.map(message =>
+        Array.isArray(message.content) ? message.content.filter(block => block.type === 'text') : message.content
+      )).length;
+      const imageCount = request.messages[0].content.filter(block => block.type === 'image').length;
+      return {
+        content: usesTool
+          ? [{ type: 'tool_use', id: 'toolu_mock', name: tool.name, input: output }]
+          : [{ type: 'text', text }],
+        stop_reason: stopReason,
+        usage: {
+          input_tokens: Math.round(inputChars / CHARS_PER_TOKEN) + imageCount * 1600,
+          output_tokens: Math.round(text.length / CHARS_PER_TOKEN)
         }
-      ]
-    },
-    "midFightAdjustments": {
-      "adjustments": [{ "ifCondition": "<if ${perspective.subject} faces this situation vs ${fighterName}>", "thenAction": "<what ${perspective.action} do>" }]
-    },
-    "trainingRecommendations": {
-      "priorityDrills": ["<drill ${perspective.subject} should practice to beat ${fighterName}>"],
-      "sparringFocus": ["<sparring focus for ${perspective.subject}>"],
-      "conditioning": ["<conditioning for ${perspective.subject}>"]
+      };
     },
-    "keyInsights": {
-      "criticalObservations": ["<key observation about ${fighterName} that ${perspective.subject} should know>"],
-      "winConditions": ["<how ${perspective.subject} wins against ${fighterName}>"],
-      "riskFactors": ["<danger ${perspective.subject} faces against ${fighterName}>"],
-      "finalRecommendation": "<final advice for ${perspective.subject} fighting ${fighterName}>",
-      "confidenceLevel": "<High/Medium/Low>"
-    }`;
+    describeError(error) {
+      return { name: error.name, status: error.status, message: error.message, type: error.type, headers: error.headers, connectionError: false };
+    }
   };
+}
 
-  const isFighterMode = roleType === 'fighter';
-  const isStudyMode = roleType === 'study';
-  const fighter1UserSections = buildUserCentricSections(fighter1Name, isStudyMode, isFighterMode);
-  const fighter2UserSections = buildUserCentricSections(fighter2Name, isStudyMode, isFighterMode);
-
-  return `You are an expert MMA fight analyst. Analyze the provided fight video frames and generate a comprehensive tactical analysis for BOTH FIGHTERS.
+function createModelProvider(name) {
+  if (name === 'mock') {
+    console.warn('MODEL_PROVIDER=mock - analyses return fixture reports, no model is called');
+    return createMockProvider();
+  }
+  if (name !== 'anthropic') {
+    throw new Error(`Unknown MODEL_PROVIDER "${name}" (expected anthropic or mock)`);
+  }
+  return createAnthropicProvider();
+}
 
-═══════════════════════════════════════════════════════════
-🚨 BOTH FIGHTERS ANALYSIS MODE 🚨
-═══════════════════════════════════════════════════════════
+const modelProvider = createModelProvider(MODEL_PROVIDER);
 
-You MUST provide SEPARATE, COMPLETE analyses for BOTH fighters in this video.
+// ============================================
+// ANALYSIS PLANS
+// ============================================
 
-FIGHTER 1: ${fighter1Name} (${config.fighter1Corner || 'Unknown'} Corner)
-${fighter1ShortsColor ? `🎯 SHORTS COLOR: ${fighter1ShortsColor.toUpperCase()} - PRIMARY IDENTIFIER` : ''}
-${fighter1AppearanceStr ? `APPEARANCE: ${fighter1AppearanceStr}` : ''}
-${fighter1Background ? `DECLARED BACKGROUND: ${fighter1Background}` : ''}
+// Tiered plans (model, frame budget, output-token budget, report sections) live in a
+// server-side config file so pricing tiers can change without touching the prompts
+const PLANS_FILE = process.env.PLANS_FILE || path.join(__dirname, 'config', 'plans.json');
 
-FIGHTER 2: ${fighter2Name} (${config.fighter2Corner || 'Unknown'} Corner)
-${fighter2ShortsColor ? `🎯 SHORTS COLOR: ${fighter2ShortsColor.toUpperCase()} - PRIMARY IDENTIFIER` : ''}
-${fighter2AppearanceStr ? `APPEARANCE: ${fighter2AppearanceStr}` : ''}
-${fighter2Background ? `DECLARED BACKGROUND: ${fighter2Background}` : ''}
+// Report sections a plan can include (per fighter in both mode, plus the shared matchup)
+const REPORT_SECTIONS = [
+  'fighterIdentification', 'executiveSummary', 'fightingStyleBreakdown', 'strikeAnalysis',
+  'grapplingAnalysis', 'defenseAnalysis', 'cardioAnalysis', 'fightIQ', 'strengthsWeaknesses',
+  'mistakePatterns', 'counterStrategy', 'gamePlan', 'midFightAdjustments',
+  'trainingRecommendations', 'keyInsights', 'roundByRoundMetrics', 'matchupAnalysis'
+];
 
-═══════════════════════════════════════════════════════════
-🚨🚨🚨 CRITICAL: VIDEO-GROUNDED ANALYSIS ONLY 🚨🚨🚨
-═══════════════════════════════════════════════════════════
+/**
+ * Load and check the plans file - a broken plan fails startup rather than an analysis
+ */
+function loadAnalysisPlans(file) {
+  const planConfig = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const plans = planConfig.plans || {};
+
+  for (const [name, plan] of Object.entries(plans)) {
+    ['label', 'model'].forEach(field => {
+      if (typeof plan[field] !== 'string' || !plan[field]) {
+        throw new Error(`PLAN_CONFIG: plan "${name}" needs a ${field}`);
+      }
+    });
+    ['maxFrames', 'maxOutputTokens'].forEach(field => {
+      if (!Number.isInteger(plan[field]) || plan[field] < 1) {
+        throw new Error(`PLAN_CONFIG: plan "${name}" needs a positive integer ${field}`);
+      }
+    });
+    if (plan.priceUsd !== undefined && !(typeof plan.priceUsd === 'number' && plan.priceUsd >= 0)) {
+      throw new Error(`PLAN_CONFIG: plan "${name}" has an invalid priceUsd`);
+    }
+    // Credits debited per analysis - one unless the plan says otherwise
+    plan.credits = plan.credits ?? 1;
+    if (!Number.isInteger(plan.credits) || plan.credits < 0) {
+      throw new Error(`PLAN_CONFIG: plan "${name}" needs a non-negative integer credits`);
+    }
+    const unknown = (plan.sections || []).filter(section => !REPORT_SECTIONS.includes(section));
+    if (!Array.isArray(plan.sections) || unknown.length > 0) {
+      throw new Error(`PLAN_CONFIG: plan "${name}" has invalid sections ${unknown.join(', ')}`);
+    }
+  }
+  if (!Object.hasOwn(plans, planConfig.defaultPlan)) {
+    throw new Error(`PLAN_CONFIG: defaultPlan "${planConfig.defaultPlan}" is not defined`);
+  }
 
-VIDEO DURATION: ${videoConstraints.videoDurationMinutes} minutes
-MAXIMUM POSSIBLE ROUNDS: ${videoRounds} (based on video length)
-SESSION TYPE: ${sessionType}
-USER'S UPCOMING FIGHT: ${userRounds} rounds
+  console.log(`Loaded ${Object.keys(plans).length} analysis plan(s) from ${file} (default: ${planConfig.defaultPlan})`);
+  return { defaultPlan: planConfig.defaultPlan, plans };
+}
 
-⚠️ ABSOLUTE RULES - VIOLATION = ANALYSIS FAILURE:
+const ANALYSIS_PLANS = loadAnalysisPlans(PLANS_FILE);
 
-1. **NO ROUND HALLUCINATIONS**: A ${videoConstraints.videoDurationMinutes}-minute video can have AT MOST ${videoRounds} round(s).
-   - NEVER claim "Round 3" events in a video under 10 minutes
-   - NEVER claim "Round 5" events in a video under 20 minutes
-   - If round breaks are not VISIBLE, use "throughout the video" or "in the footage"
+/**
+ * Whether a plan name is defined - own keys only, so "constructor" or "__proto__"
+ * can't pass for a plan
+ */
+function hasAnalysisPlan(name) {
+  return typeof name === 'string' && Object.hasOwn(ANALYSIS_PLANS.plans, name);
+}
 
-2. **VIDEO-ONLY OBSERVATIONS**: Only describe what you ACTUALLY SEE in these frames.
-   - Do NOT invent specific round-by-round events unless you can SEE round breaks
-   - Use language like: "Throughout the video...", "Across the footage...", "Observed patterns show..."
-   - If you cannot distinguish rounds, analyze as ONE continuous session
+/**
+ * Plan for an analysis config (config.plan, or the default plan)
+ * Returns the plan settings plus its name
+ */
+function getAnalysisPlan(config) {
+  const name = (config && config.plan) || ANALYSIS_PLANS.defaultPlan;
+  if (!hasAnalysisPlan(name)) throw new Error(`PLAN_ERROR: Unknown plan "${name}"`);
+  return { name, ...ANALYSIS_PLANS.plans[name] };
+}
 
-3. **NO TEMPLATED CONTENT**: Every piece of analysis must be SPECIFIC to THIS video.
-   - Generic phrases like "This pattern was identified as a vulnerability" are FORBIDDEN
-   - Every reason/alternative/observation must reference SPECIFIC actions from the video
+/**
+ * Whether a report path belongs to a section the plan includes
+ * Paths outside the plan-selectable sections (e.g. server fields) always count as included
+ */
+function isPathInPlan(fieldPath, sections) {
+  const keys = fieldPath.split(/[.[]/);
+  const section = /^fighter[12]Analysis$/.test(keys[0]) ? keys[1] : keys[0];
+  return !REPORT_SECTIONS.includes(section) || sections.includes(section);
+}
 
-ANALYSIS MODE: ${roleType.toUpperCase()}
+/**
+ * Plan record stored on every report
+ */
+function describeAnalysisPlan(plan) {
+  return {
+    name: plan.name,
+    label: plan.label,
+    model: plan.model,
+    maxFrames: plan.maxFrames,
+    maxOutputTokens: plan.maxOutputTokens,
+    sections: plan.sections
+  };
+}
 
-═══════════════════════════════════════════════════════════
-CRITICAL: JSON OUTPUT FORMAT FOR BOTH FIGHTERS
-═══════════════════════════════════════════════════════════
+// ============================================
+// USAGE ACCOUNTING
+// ============================================
 
-You MUST respond with ONLY valid JSON matching this EXACT structure.
-Each fighter gets their OWN complete analysis with all sections.
+// Per-model token prices (USD per million tokens) used to estimate what each analysis cost us
+const PRICING_FILE = process.env.PRICING_FILE || path.join(__dirname, 'config', 'pricing.json');
+const TOKEN_PRICE_FIELDS = ['input', 'output', 'cacheWrite', 'cacheRead'];
 
-{
-  "fighter1Analysis": {
-    "fighterIdentification": {
-      "confirmedName": "${fighter1Name}",
-      "visualIdentifiers": "<how you identified ${fighter1Name}>",
-      "confidenceLevel": "<High/Medium/Low>",
-      "observedStyle": "<style observed for ${fighter1Name}>",
-      "declaredBackground": "${fighter1Background || 'Not specified'}",
-      "styleMismatch": <boolean>
-    },
-    "executiveSummary": {
-      "overallScore": <0-100>,
-      "summary": "<DETAILED 5-7 sentence comprehensive overview of ${fighter1Name}. Include fighting style, key strengths, notable weaknesses, performance under pressure, and threat assessment.>",
-      "keyFindings": ["<detailed finding with context>", "<finding with tactical implication>", "<pattern with frequency>", "<vulnerability with exploitation method>"],
-      "recommendedApproach": "<DETAILED 4-6 sentence strategic recommendation for fighting ${fighter1Name}. Explain primary strategy and WHY it works, backup approach, key techniques, and what to avoid.>"
-    },
-    "fightingStyleBreakdown": {
-      "primaryStyle": "<${fighter1Name}'s primary style>",
-      "stance": "<Orthodox/Southpaw>",
-      "secondarySkills": ["<skill>"],
-      "baseMartialArts": ["<art>"],
-      "styleDescription": "<description>",
-      "secondaryAttributes": ["<attribute>"],
-      "comparableFighters": ["<fighter>"],
-      "tacticalTendencies": ["<tendency>"]
-    },
-    "strikeAnalysis": {
-      "accuracy": <0-100>, "volume": <int>, "powerScore": <0-100>, "techniqueScore": <0-100>,
-      "breakdown": { "jabs": <int>, "crosses": <int>, "hooks": <int>, "uppercuts": <int>, "kicks": <int>, "knees": <int>, "elbows": <int> },
-      "patterns": ["<pattern>"], "recommendations": ["<rec>"]
-    },
-    "grapplingAnalysis": {
-      "takedownAccuracy": <0-100>, "takedownDefense": <0-100>, "controlTime": <seconds>, "submissionAttempts": <int>,
-      "techniques": ["<technique>"], "recommendations": ["<rec>"]
-    },
-    "defenseAnalysis": {
-      "headMovement": <0-100>, "footwork": <0-100>, "blockingRate": <0-100>, "counterStrikeRate": <0-100>,
-      "vulnerabilities": ["<vulnerability>"], "improvements": ["<improvement>"]
-    },
-    "cardioAnalysis": {
-      "roundByRound": [{ "roundNumber": <int>, "outputLevel": <0-100>, "staminaScore": <0-100>, "notes": "<note>" }],
-      "overallStamina": <0-100>, "fatigueIndicators": ["<indicator>"], "recommendations": ["<rec>"]
-    },
-    "fightIQ": {
-      "overallScore": <0-100>, "decisionMaking": <0-100>, "adaptability": <0-100>, "strategyExecution": <0-100>,
-      "keyObservations": ["<observation>"], "improvements": ["<improvement>"]
-    },
-    "strengthsWeaknesses": {
-      "strengths": [{ "title": "<title>", "description": "<desc>", "score": <0-100>, "statistics": "<stat or null>" }],
-      "weaknesses": [{ "title": "<title>", "description": "<desc>", "severity": <0-100>, "exploitablePattern": "<pattern>", "frequency": "<freq or null>", "exploitationStrategy": "<strategy>" }],
-      "opportunitiesToExploit": ["<opportunity>"]
-    },
-    "mistakePatterns": {
-      "patterns": [{ "pattern": "<pattern>", "frequency": <int>, "severity": "<high/medium/low>" }]
-    },
-    "counterStrategy": {
-      "bestCounter": { "style": "<style>", "reason": "<reason>" },
-      "secondBestCounter": { "style": "<style>", "reason": "<reason>" },
-      "thirdBestCounter": { "style": "<style>", "reason": "<reason>" },
-      "techniquesToEmphasize": ["<technique>"]
-    },
-    "roundByRoundMetrics": {
-      "rounds": [{ "roundNumber": <int>, "outputLevel": <0-100>, "notes": "<note>",
-        "striking": { "strikesLanded": <int>, "strikesAttempted": <int>, "accuracy": <0-100>, "significantStrikes": <int>, "powerStrikes": <int>, "headStrikes": <int>, "bodyStrikes": <int>, "legStrikes": <int>, "knockdowns": <int> },
-        "grappling": { "takedownsLanded": <int>, "takedownsAttempted": <int>, "takedownAccuracy": <0-100>, "takedownsDefended": <int>, "takedownDefenseRate": <0-100>, "controlTimeSeconds": <int>, "submissionAttempts": <int>, "reversals": <int> },
-        "defense": { "strikesAbsorbed": <int>, "strikesAvoided": <0-100>, "headMovementSuccess": <0-100>, "takedownsDefended": <int>, "escapes": <int> }
-      }]
-    }${fighter1UserSections}
-  },
+/**
+ * Load and check the price table - every listed model needs all four prices
+ */
+function loadModelPricing(file) {
+  const pricing = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const models = pricing.models || {};
+
+  for (const [model, prices] of Object.entries(models)) {
+    TOKEN_PRICE_FIELDS.forEach(field => {
+      if (typeof prices[field] !== 'number' || prices[field] < 0) {
+        throw new Error(`PRICING_CONFIG: model "${model}" needs a non-negative ${field} price`);
+      }
+    });
+  }
 
-  "fighter2Analysis": {
-    "fighterIdentification": {
-      "confirmedName": "${fighter2Name}",
-      "visualIdentifiers": "<how you identified ${fighter2Name}>",
-      "confidenceLevel": "<High/Medium/Low>",
-      "observedStyle": "<style observed for ${fighter2Name}>",
-      "declaredBackground": "${fighter2Background || 'Not specified'}",
-      "styleMismatch": <boolean>
-    },
-    "executiveSummary": {
-      "overallScore": <0-100>,
-      "summary": "<DETAILED 5-7 sentence comprehensive overview of ${fighter2Name}. Include fighting style, key strengths, notable weaknesses, performance under pressure, and threat assessment.>",
-      "keyFindings": ["<detailed finding with context>", "<finding with tactical implication>", "<pattern with frequency>", "<vulnerability with exploitation method>"],
-      "recommendedApproach": "<DETAILED 4-6 sentence strategic recommendation for fighting ${fighter2Name}. Explain primary strategy and WHY it works, backup approach, key techniques, and what to avoid.>"
-    },
-    "fightingStyleBreakdown": {
-      "primaryStyle": "<${fighter2Name}'s primary style>",
-      "stance": "<Orthodox/Southpaw>",
-      "secondarySkills": ["<skill>"],
-      "baseMartialArts": ["<art>"],
-      "styleDescription": "<description>",
-      "secondaryAttributes": ["<attribute>"],
-      "comparableFighters": ["<fighter>"],
-      "tacticalTendencies": ["<tendency>"]
-    },
-    "strikeAnalysis": {
-      "accuracy": <0-100>, "volume": <int>, "powerScore": <0-100>, "techniqueScore": <0-100>,
-      "breakdown": { "jabs": <int>, "crosses": <int>, "hooks": <int>, "uppercuts": <int>, "kicks": <int>, "knees": <int>, "elbows": <int> },
-      "patterns": ["<pattern>"], "recommendations": ["<rec>"]
-    },
-    "grapplingAnalysis": {
-      "takedownAccuracy": <0-100>, "takedownDefense": <0-100>, "controlTime": <seconds>, "submissionAttempts": <int>,
-      "techniques": ["<technique>"], "recommendations": ["<rec>"]
-    },
-    "defenseAnalysis": {
-      "headMovement": <0-100>, "footwork": <0-100>, "blockingRate": <0-100>, "counterStrikeRate": <0-100>,
-      "vulnerabilities": ["<vulnerability>"], "improvements": ["<improvement>"]
-    },
-    "cardioAnalysis": {
-      "roundByRound": [{ "roundNumber": <int>, "outputLevel": <0-100>, "staminaScore": <0-100>, "notes": "<note>" }],
-      "overallStamina": <0-100>, "fatigueIndicators": ["<indicator>"], "recommendations": ["<rec>"]
-    },
-    "fightIQ": {
-      "overallScore": <0-100>, "decisionMaking": <0-100>, "adaptability": <0-100>, "strategyExecution": <0-100>,
-      "keyObservations": ["<observation>"], "improvements": ["<improvement>"]
-    },
-    "strengthsWeaknesses": {
-      "strengths": [{ "title": "<title>", "description": "<desc>", "score": <0-100>, "statistics": "<stat or null>" }],
-      "weaknesses": [{ "title": "<title>", "description": "<desc>", "severity": <0-100>, "exploitablePattern": "<pattern>", "frequency": "<freq or null>", "exploitationStrategy": "<strategy>" }],
-      "opportunitiesToExploit": ["<opportunity>"]
-    },
-    "mistakePatterns": {
-      "patterns": [{ "pattern": "<pattern>", "frequency": <int>, "severity": "<high/medium/low>" }]
-    },
-    "counterStrategy": {
-      "bestCounter": { "style": "<style>", "reason": "<reason>" },
-      "secondBestCounter": { "style": "<style>", "reason": "<reason>" },
-      "thirdBestCounter": { "style": "<style>", "reason": "<reason>" },
-      "techniquesToEmphasize": ["<technique>"]
-    },
-    "roundByRoundMetrics": {
-      "rounds": [{ "roundNumber": <int>, "outputLevel": <0-100>, "notes": "<note>",
-        "striking": { "strikesLanded": <int>, "strikesAttempted": <int>, "accuracy": <0-100>, "significantStrikes": <int>, "powerStrikes": <int>, "headStrikes": <int>, "bodyStrikes": <int>, "legStrikes": <int>, "knockdowns": <int> },
-        "grappling": { "takedownsLanded": <int>, "takedownsAttempted": <int>, "takedownAccuracy": <0-100>, "takedownsDefended": <int>, "takedownDefenseRate": <0-100>, "controlTimeSeconds": <int>, "submissionAttempts": <int>, "reversals": <int> },
-        "defense": { "strikesAbsorbed": <int>, "strikesAvoided": <0-100>, "headMovementSuccess": <0-100>, "takedownsDefended": <int>, "escapes": <int> }
-      }]
-    }${fighter2UserSections}
-  },
+  Object.values(ANALYSIS_PLANS.plans)
+    .filter(plan => !models[plan.model])
+    .forEach(plan => console.warn(`No price for model ${plan.model} - its analyses will have no cost estimate`));
 
-  "matchupAnalysis": {
-    "summary": "<DETAILED 3-4 sentence matchup analysis based on WHAT YOU OBSERVED in the video. Reference specific exchanges, moments, and how each fighter performed AGAINST EACH OTHER.>",
-    "keyMatchups": ["<key matchup point observed in the video>", "<another observed interaction>", "<third key observation>", "<fourth observation>"],
-    "criticalMoments": ["<IMPORTANT: List any knockdowns, near-finishes, dominant positions, or fight-changing moments you observed - e.g., 'Fighter A knocked down Fighter B in round 2'>"],
-    "opponentPreparation": {
-      "keyDangers": [
-        "<SPECIFIC danger this opponent presents based on video - e.g., 'Explosive overhand right that he loads up when pressured backwards'>",
-        "<Another danger observed - e.g., 'Quick level changes into double-leg takedowns from boxing range'>",
-        "<Third danger - e.g., 'Clinch knees when backed against the cage'>"
-      ],
-      "tacticalAdjustments": [
-        "<SPECIFIC adjustment needed for this opponent - e.g., 'Maintain longer range than usual to avoid his inside boxing'>",
-        "<Another tactical adjustment - e.g., 'Circle away from his power hand rather than backing up straight'>",
-        "<Third adjustment - e.g., 'Keep hands high when pressing forward - he counters with hooks'>"
-      ],
-      "preparationGuidance": [
-        "<HOW to prepare for this specific opponent - e.g., 'Drill sprawl-to-guillotine sequences - he leaves his neck exposed on shots'>",
-        "<Another preparation tip - e.g., 'Spar against aggressive pressure fighters to simulate his style'>",
-        "<Third preparation guidance - e.g., 'Work on maintaining distance and using jabs to keep him at bay'>"
-      ],
-      "similarStyleGuidance": "<OPTIONAL - Reference to similar fighters or styles - e.g., 'Similar pressure style to early Diego Sanchez - constant forward movement with wide hooks. Study how fighters with good footwork neutralized that approach.'>"
-    }
-  }
+  return models;
 }
 
-═══════════════════════════════════════════════════════════
-REQUIREMENTS FOR BOTH FIGHTERS MODE - ${roleType.toUpperCase()} ROLE
-═══════════════════════════════════════════════════════════
-
-${roleType === 'study' ? `
-🔬 STUDY MODE - NEUTRAL ANALYSIS
+const MODEL_PRICING = loadModelPricing(PRICING_FILE);
 
-You are providing an objective, educational breakdown of both fighters.
-NO game plans, NO training recommendations, NO personalized coaching.
+const roundUsd = (value) => Math.round(value * 1e6) / 1e6;
 
-FOR EACH FIGHTER'S ANALYSIS:
-1. Summary, Style, Strengths, Weaknesses, Mistakes → Objective analysis of each fighter
-2. Counter Strategy → General tactical analysis of how to counter this style
-3. DO NOT include: gamePlan, midFightAdjustments, trainingRecommendations, keyInsights
+/**
+ * Estimated USD cost of one response's token usage, or null for an unpriced model
+ */
+function estimateUsageCost(model, usage) {
+  const prices = MODEL_PRICING[model];
+  if (!prices) return null;
+  return roundUsd((
+    (usage.input_tokens || 0) * prices.input +
+    (usage.output_tokens || 0) * prices.output +
+    (usage.cache_creation_input_tokens || 0) * prices.cacheWrite +
+    (usage.cache_read_input_tokens || 0) * prices.cacheRead
+  ) / 1e6);
+}
 
-Focus on describing WHAT you observe, not prescribing what someone should DO.
-Use neutral language: "The fighter demonstrates...", "This style is characterized by..."
-` : roleType === 'coach' ? `
-🎓 COACH MODE - INSTRUCTIONAL ANALYSIS
+/**
+ * Empty usage record for an analysis - filled in by addUsage as model calls finish
+ */
+function createUsageRecord(config) {
+  const plan = getAnalysisPlan(config);
+  return {
+    provider: modelProvider.name,
+    model: plan.model,
+    plan: plan.name,
+    analysisType: config.analysisType,
+    frames: 0,
+    calls: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheCreationInputTokens: 0,
+    cacheReadInputTokens: 0,
+    estimatedCostUsd: MODEL_PRICING[plan.model] ? 0 : null,
+    priceUsd: plan.priceUsd ?? null,
+    marginUsd: null,
+    latencyMs: null,
+    retries: 0,
+    status: null,
+    recordedAt: null
+  };
+}
 
-You are a coach analyzing these fighters to train your students.
-Frame everything from an educational, instructional perspective.
+/**
+ * Add one completed model call to a usage record
+ * frames is the number of images the call carried (every call resends the same frames)
+ */
+function addUsage(record, { model, usage, frames }) {
+  record.calls++;
+  record.frames = Math.max(record.frames, frames);
+  record.inputTokens += usage.input_tokens || 0;
+  record.outputTokens += usage.output_tokens || 0;
+  record.cacheCreationInputTokens += usage.cache_creation_input_tokens || 0;
+  record.cacheReadInputTokens += usage.cache_read_input_tokens || 0;
+
+  const cost = estimateUsageCost(model, usage);
+  record.estimatedCostUsd = cost === null || record.estimatedCostUsd === null
+    ? null
+    : roundUsd(record.estimatedCostUsd + cost);
+}
 
-FOR EACH FIGHTER'S ANALYSIS:
-1. Summary, Style, Strengths, Weaknesses, Mistakes → ABOUT that fighter (objectively analyze them)
-2. Counter Strategy → How to teach a fighter to beat this style
-3. Game Plan → Your fighter's round-by-round strategy to beat this opponent
-4. Adjustments → What your fighter should do if situations arise
-5. Training → What drills and training to prescribe
-6. Insights → Key teaching points about this fighter type
+/**
+ * Close a usage record once the analysis has finished
+ * A refunded (failed) analysis earns nothing, so its margin is just the cost
+ */
+function finalizeUsage(record, { status, latencyMs, retries }) {
+  record.status = status;
+  record.latencyMs = latencyMs;
+  record.retries = retries;
+  record.recordedAt = new Date().toISOString();
+
+  const revenue = status === 'completed' ? record.priceUsd : 0;
+  record.marginUsd = revenue === null || record.estimatedCostUsd === null
+    ? null
+    : roundUsd(revenue - record.estimatedCostUsd);
+}
 
-Use instructional language: "Your fighter should...", "Teach them to...", "Focus training on..."
-` : `
-🥊 FIGHTER MODE - USER-CENTRIC COACHING
+/**
+ * Finalize the usage record of an analysis that ended without processAnalysis closing it
+ * (cancelled while queued, failed by startup recovery, frames missing) so the usage report
+ * still counts it - and any tokens an interrupted attempt already used
+ */
+function finalizeStoredUsage(stored, status) {
+  if (!stored.usage) stored.usage = createUsageRecord(stored.config);
+  if (stored.usage.recordedAt) return;
+  finalizeUsage(stored.usage, { status, latencyMs: null, retries: stored.retryCount || 0 });
+}
 
-All output is for THE USER who uploaded this video.
-The USER wants to learn how to fight AGAINST fighters like these.
+/**
+ * Aggregate usage records by day, plan and analysis type
+ * from/to are optional ISO dates compared against the record's recordedAt day
+ * Returns: { groups: [...], totals } - unpriced analyses are counted but left out of the money sums
+ */
+function aggregateUsage(records, { from, to } = {}) {
+  const emptyGroup = (key) => ({
+    ...key,
+    analyses: 0,
+    completed: 0,
+    failed: 0,
+    frames: 0,
+    calls: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheCreationInputTokens: 0,
+    cacheReadInputTokens: 0,
+    estimatedCostUsd: 0,
+    revenueUsd: 0,
+    marginUsd: 0,
+    unpriced: 0,
+    retries: 0,
+    totalLatencyMs: 0
+  });
 
-FOR EACH FIGHTER'S ANALYSIS:
-1. Summary, Style, Strengths, Weaknesses, Mistakes → ABOUT that fighter (objectively analyze them)
-2. Counter Strategy → How USER can beat that fighter type
-3. Game Plan → USER's round-by-round strategy to beat that fighter
-4. Adjustments → What USER should do if situations arise against that fighter
-5. Training → What USER should train to defeat that fighter type
-6. Insights → Key observations USER needs to know about that fighter
+  const add = (group, usage) => {
+    group.analyses++;
+    if (usage.status === 'completed') group.completed++;
+    else group.failed++;
+    group.frames += usage.frames;
+    group.calls += usage.calls;
+    group.inputTokens += usage.inputTokens;
+    group.outputTokens += usage.outputTokens;
+    group.cacheCreationInputTokens += usage.cacheCreationInputTokens;
+    group.cacheReadInputTokens += usage.cacheReadInputTokens;
+    group.retries += usage.retries;
+    group.totalLatencyMs += usage.latencyMs || 0;
+    if (usage.estimatedCostUsd === null || usage.marginUsd === null) {
+      group.unpriced++;
+    } else {
+      group.estimatedCostUsd += usage.estimatedCostUsd;
+      group.marginUsd += usage.marginUsd;
+      group.revenueUsd += usage.marginUsd + usage.estimatedCostUsd;
+    }
+  };
 
-All game plan content should read as "YOU should do X" or "Your goal is Y" - USER-CENTRIC!
-`}
+  const finish = (group) => {
+    const { totalLatencyMs, ...rest } = group;
+    return {
+      ...rest,
+      estimatedCostUsd: roundUsd(group.estimatedCostUsd),
+      revenueUsd: roundUsd(group.revenueUsd),
+      marginUsd: roundUsd(group.marginUsd),
+      avgLatencyMs: group.analyses ? Math.round(totalLatencyMs / group.analyses) : null,
+      avgRetries: group.analyses ? Math.round(group.retries / group.analyses * 100) / 100 : null
+    };
+  };
 
-SPECIFIC REQUIREMENTS:
-- Give DIFFERENT overallScores for each fighter based on their observed skill level
-- roundByRoundMetrics should have ${videoRounds} entries for each fighter
-${roleType !== 'study' ? `- Each fighter gets their OWN gamePlan, adjustments, training, insights - NOT shared!
-- gamePlan.roundGamePlans should have ${userRounds} entries for each fighter
-- Provide 5-6 specific midFightAdjustments per fighter
-- Training recommendations must be specific to beating THAT fighter's style` : `- Focus on pure analysis without actionable coaching recommendations`}
+  const groups = new Map();
+  const totals = emptyGroup({});
 
-═══════════════════════════════════════════════════════════
-🚨🚨🚨 ABSOLUTE RULE: VIDEO-FIRST OPPONENT PREPARATION 🚨🚨🚨
-═══════════════════════════════════════════════════════════
+  for (const usage of records) {
+    if (!usage || !usage.recordedAt) continue;
+    const day = usage.recordedAt.slice(0, 10);
+    if ((from && day < from) || (to && day > to)) continue;
 
-⚠️ THIS IS THE MOST IMPORTANT SECTION - GET THIS WRONG AND THE ENTIRE ANALYSIS FAILS ⚠️
+    const key = `${day}|${usage.plan}|${usage.analysisType}`;
+    if (!groups.has(key)) {
+      groups.set(key, emptyGroup({ day, plan: usage.plan, analysisType: usage.analysisType }));
+    }
+    add(groups.get(key), usage);
+    add(totals, usage);
+  }
 
-The matchupAnalysis MUST reflect WHAT ACTUALLY HAPPENED IN THE VIDEO.
-Focus on actionable preparation guidance, NOT predictions.
+  return {
+    groups: [...groups.keys()].sort().map(key => finish(groups.get(key))),
+    totals: finish(totals)
+  };
+}
 
-═══════════════════════════════════════════════════════════
-🎯 OPPONENT PREPARATION REQUIREMENTS (CRITICAL) 🎯
-═══════════════════════════════════════════════════════════
+// ============================================
+// ANALYSIS STORAGE
+// ============================================
 
-The opponentPreparation section is designed to help users PREPARE for opponents like this.
-This is NOT a prediction tool - it's a PREPARATION tool.
+// Storage driver: 'file' (default, survives restarts) or 'memory' (lost on restart)
+const STORE_DRIVER = process.env.ANALYSIS_STORE_DRIVER || 'file';
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
 
-FOR "keyDangers" - What specific threats does this opponent present?
-- Reference actual moments from the video where these dangers manifested
-- Be specific: "Explosive overhand right" not just "good hands"
-- Include timing/setup patterns you observed
+/**
+ * In-memory analysis store
+ * Only suitable for local development - everything is lost on restart
+ */
+function createMemoryAnalysisStore() {
+  const records = new Map();
+  return {
+    driver: 'memory',
+    get: (id) => records.get(id),
+    has: (id) => records.has(id),
+    set: (id, record) => { records.set(id, record); },
+    delete: (id) => records.delete(id),
+    values: () => records.values(),
+  };
+}
 
-FOR "tacticalAdjustments" - What should the user change when facing this style?
-- Specific range adjustments, stance changes, tactical shifts
-- Based on weaknesses you observed in the video
-- Actionable advice, not generic statements
+/**
+ * File-backed analysis store
+ * Keeps one JSON file per analysis in DATA_DIR/analyses and a write-through
+ * in-memory cache so the status routes never touch the disk.
+ * Frame buffers are never written - they only live on the cached record.
+ */
+function createFileAnalysisStore(baseDir) {
+  const dir = path.join(baseDir, 'analyses');
+  fs.mkdirSync(dir, { recursive: true });
 
-FOR "preparationGuidance" - How should the user train for this opponent?
-- Specific drills that address the dangers identified
-- Sparring recommendations to simulate this style
-- Training focus areas based on video analysis
+  const records = new Map();
+  const fileFor = (id) => path.join(dir, `${id}.json`);
 
-FOR "similarStyleGuidance" - Reference point for preparation
-- Name similar fighters or styles to study
-- Explain what makes them similar
-- Optional but valuable for context
+  // Load everything that survived the last restart
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith('.json')) continue;
+    try {
+      const record = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      if (record && record.id) records.set(record.id, record);
+    } catch (err) {
+      console.error(`Skipping unreadable analysis file ${file}:`, err.message);
+    }
+  }
+  console.log(`Loaded ${records.size} stored analyses from ${dir}`);
 
-═══════════════════════════════════════════════════════════
-📋 CRITICAL MOMENTS RULES 📋
-═══════════════════════════════════════════════════════════
+  const persist = (id, record) => {
+    const persisted = { ...record };
+    delete persisted.frames;
+    const target = fileFor(id);
+    const tmp = `${target}.tmp`;
+    try {
+      // Write then rename so a crash mid-write never leaves a half-written record
+      fs.writeFileSync(tmp, JSON.stringify(persisted));
+      fs.renameSync(tmp, target);
+    } catch (err) {
+      console.error(`Failed to persist analysis ${id}:`, err.message);
+    }
+  };
 
-The "criticalMoments" array must capture fight-defining events:
-- Knockdowns, near-finishes, dominant positions
-- Moments that reveal key vulnerabilities
-- Turning points that show what works against this opponent
+  return {
+    driver: 'file',
+    get: (id) => records.get(id),
+    has: (id) => records.has(id),
+    set: (id, record) => {
+      records.set(id, record);
+      persist(id, record);
+    },
+    delete: (id) => {
+      fs.rmSync(fileFor(id), { force: true });
+      return records.delete(id);
+    },
+    values: () => records.values(),
+  };
+}
 
-Example: If ${fighter1Name} knocked down ${fighter2Name}, this MUST be in criticalMoments as it reveals a key danger and opportunity.
+// Emits '<analysisId>' with the updated record on every store write (drives SSE streams)
+const analysisEvents = new EventEmitter();
+analysisEvents.setMaxListeners(0);
+
+function createAnalysisStore(driver) {
+  let store;
+  if (driver === 'memory') {
+    console.warn('WARNING: Using in-memory analysis store - analyses will be lost on restart');
+    store = createMemoryAnalysisStore();
+  } else if (driver === 'file') {
+    store = createFileAnalysisStore(DATA_DIR);
+  } else {
+    throw new Error(`Unknown ANALYSIS_STORE_DRIVER: ${driver} (expected 'file' or 'memory')`);
+  }
 
-═══════════════════════════════════════════════════════════
-🏆 PREMIUM QUALITY REQUIREMENT - $19.99 ANALYSIS 🏆
-═══════════════════════════════════════════════════════════
+  const set = store.set;
+  store.set = (id, record) => {
+    set(id, record);
+    analysisEvents.emit(id, record);
+  };
+  return store;
+}
 
-This is a PREMIUM paid analysis. Users expect DEEP, DETAILED insights - NOT generic summaries.
+const analysisStore = createAnalysisStore(STORE_DRIVER); // Stores analysis results by ID
 
-EVERY text field should be:
-- DETAILED: Multiple sentences with specific observations, not 1-2 line summaries
-- SPECIFIC: Reference actual moments, techniques, and patterns observed in the video
-- ACTIONABLE: Explain WHY something matters and HOW to use the information
-- EXPERT-LEVEL: Sound like advice from a professional fight analyst/coach
+/**
+ * Frame persistence for in-flight analyses
+ * Frames are written to DATA_DIR/frames/<id>/ when a job is accepted and removed
+ * once it finishes, so a job interrupted by a restart can be re-queued.
+ * Disabled for the memory store (nothing survives a restart there anyway).
+ */
+const PERSIST_FRAMES = STORE_DRIVER === 'file' && process.env.PERSIST_FRAMES !== 'false';
+const FRAMES_DIR = path.join(DATA_DIR, 'frames');
+// Restarts a job may be resumed across - past this it is failed so a job that crashes the process can't loop
+const MAX_ANALYSIS_RESUMES = parseInt(process.env.MAX_ANALYSIS_RESUMES, 10) || 2;
+
+const frameStore = {
+  async save(analysisId, frames) {
+    if (!PERSIST_FRAMES) return;
+    const dir = path.join(FRAMES_DIR, analysisId);
+    await fs.promises.mkdir(dir, { recursive: true });
+    await Promise.all(frames.map((frame, i) =>
+      fs.promises.writeFile(path.join(dir, `${String(i).padStart(3, '0')}.jpg`), frame.buffer)
+    ));
+    // Frame labels (timestamp/phase) sit next to the images in frame order
+    if (frames.some(frame => frame.meta)) {
+      await fs.promises.writeFile(path.join(dir, 'meta.json'), JSON.stringify(frames.map(frame => frame.meta || null)));
+    }
+  },
 
-❌ BAD: "Technical striker with good movement"
-✅ GOOD: "Technical counter-striker who excels at controlling distance using a stiff jab and lateral movement. Shows excellent timing on pull-back counters, but reliance on backing straight up under pressure was exploited multiple times."
+  // Cheap existence check (no images read) - used by startup recovery
+  has(analysisId) {
+    const dir = path.join(FRAMES_DIR, analysisId);
+    if (!PERSIST_FRAMES || !fs.existsSync(dir)) return false;
+    return fs.readdirSync(dir).some(f => f.endsWith('.jpg'));
+  },
 
-❌ BAD: "Pressure wrestling with body shots"
-✅ GOOD: "Your primary strategy should be pressure wrestling combined with body attacks. Close distance using feints, then shoot when he backs up - his takedown defense deteriorates when moving backward. On the feet, target his body to slow his movement and create further takedown opportunities."
+  load(analysisId) {
+    const dir = path.join(FRAMES_DIR, analysisId);
+    if (!PERSIST_FRAMES || !fs.existsSync(dir)) return null;
+    const files = fs.readdirSync(dir).filter(f => f.endsWith('.jpg')).sort();
+    if (files.length === 0) return null;
+    const metaFile = path.join(dir, 'meta.json');
+    const meta = fs.existsSync(metaFile) ? JSON.parse(fs.readFileSync(metaFile, 'utf8')) : [];
+    return files.map((file, i) => ({
+      originalname: file,
+      mimetype: 'image/jpeg',
+      buffer: fs.readFileSync(path.join(dir, file)),
+      ...(meta[i] && { meta: meta[i] }),
+    }));
+  },
 
-═══════════════════════════════════════════════════════════
-📋 GAME PLAN QUALITY REQUIREMENTS (CRITICAL USP) 📋
-═══════════════════════════════════════════════════════════
+  remove(analysisId) {
+    if (!PERSIST_FRAMES) return;
+    fs.rm(path.join(FRAMES_DIR, analysisId), { recursive: true, force: true }, (err) => {
+      if (err) console.error(`Failed to remove frames for ${analysisId}:`, err.message);
+    });
+  },
+};
 
-The Game Plan is one of our CORE features. It MUST be detailed and actionable.
+// ============================================
+// ANALYSIS QUEUE
+// ============================================
 
-FOR "overallStrategy":
-❌ BAD: "Pressure and wrestle"
-✅ GOOD: "Implement a pressure-based attack focusing on closing distance and initiating clinch exchanges. His poor takedown defense (visible when backing up) creates opportunities for reactive shots. On the feet, target the body to slow his movement and set up takedowns. If he starts finding range, immediately close distance - allowing him to establish his jab rhythm is dangerous."
+// Progress reported for each processing stage (status route + SSE stream)
+const ANALYSIS_STAGE_PROGRESS = {
+  extracting: 0,
+  queued: 0,
+  uploading: 10,
+  prompting: 20,
+  model_running: 30,
+  parsing: 85,
+  validating: 90,
+  regenerating: 95,
+  completed: 100,
+};
+
+// Max analyses running against Claude at once, and max analyses allowed to wait
+const ANALYSIS_CONCURRENCY = parseInt(process.env.ANALYSIS_CONCURRENCY, 10) || 2;
+const ANALYSIS_QUEUE_MAX = parseInt(process.env.ANALYSIS_QUEUE_MAX, 10) || 20;
+// Used for ETAs until we've seen a few real analyses complete
+const DEFAULT_ANALYSIS_SECONDS = 240;
+
+// analysisId -> AbortController for analyses currently talking to Claude (or extracting video frames)
+const activeAnalyses = new Map();
 
-FOR "thingsToAvoid" - THIS IS ABSOLUTELY CRITICAL, READ CAREFULLY:
+/**
+ * FIFO worker queue for processAnalysis
+ * Keeps at most ANALYSIS_CONCURRENCY analyses in flight so a burst of uploads
+ * doesn't mean a burst of parallel 12-minute Claude calls.
+ */
+const analysisQueue = {
+  waiting: [], // analysis IDs in submission order
+  running: new Set(),
+  recentDurations: [], // seconds, last 20 finished analyses
 
-⚠️⚠️⚠️ ALL THREE FIELDS (avoidance, reason, alternative) ARE MANDATORY ⚠️⚠️⚠️
-You MUST provide ALL three fields for EACH item in thingsToAvoid.
-Each field MUST contain UNIQUE, VIDEO-SPECIFIC content.
-NEVER leave reason or alternative empty or generic.
+  isFull() {
+    return this.waiting.length >= ANALYSIS_QUEUE_MAX;
+  },
 
-🚫🚫🚫 ABSOLUTELY FORBIDDEN PHRASES - USING THESE WILL FAIL THE ANALYSIS 🚫🚫🚫
-- "This pattern was identified as a vulnerability based on video analysis" ← FORBIDDEN
-- "Adjust your approach based on opponent reaction" ← FORBIDDEN
-- "Reset when necessary" ← FORBIDDEN
-- "This is dangerous for you" ← FORBIDDEN
-- "Based on analysis" ← FORBIDDEN
-- "Based on video analysis" ← FORBIDDEN
-- Any generic phrase that could apply to any fight ← FORBIDDEN
+  averageSeconds() {
+    if (this.recentDurations.length === 0) return DEFAULT_ANALYSIS_SECONDS;
+    const total = this.recentDurations.reduce((sum, d) => sum + d, 0);
+    return Math.round(total / this.recentDurations.length);
+  },
 
-✅ WHAT YOU MUST DO INSTEAD:
-- "reason": Describe EXACTLY what you SAW in the video. Reference specific moments, counts, or patterns.
-- "alternative": Give a SPECIFIC tactical adjustment with HOW to execute it.
+  // 1-based position in the waiting line, or 0 if not waiting
+  position(analysisId) {
+    return this.waiting.indexOf(analysisId) + 1;
+  },
 
-❌ FAILING EXAMPLE (DO NOT DO THIS):
-{
-  "avoidance": "Don't stand and trade",
-  "reason": "This pattern was identified as a vulnerability based on video analysis.",
-  "alternative": "Adjust your approach based on opponent reaction and reset when necessary."
-}
+  // Rough seconds until the analysis gets a worker
+  estimatedStartSeconds(analysisId) {
+    const position = this.position(analysisId);
+    if (position === 0) return 0;
+    return Math.ceil(position / ANALYSIS_CONCURRENCY) * this.averageSeconds();
+  },
 
-✅ PASSING EXAMPLE (DO THIS):
-{
-  "avoidance": "Prolonged exchanges at boxing range",
-  "reason": "He has faster hands and better timing on counters - he landed clean hooks 4 times when opponent stayed in the pocket too long. Every second spent trading increases your damage accumulation.",
-  "alternative": "Close the distance into clinch range or reset completely to outside range. Use feints to draw his counter, then immediately change levels for takedowns."
+  // Seconds a client should wait before retrying when the queue is full
+  retryAfterSeconds() {
+    return Math.ceil(this.averageSeconds() / ANALYSIS_CONCURRENCY);
+  },
+
+  enqueue(analysisId) {
+    this.waiting.push(analysisId);
+    this.drain();
+  },
+
+  // Drop a waiting analysis (cancellation) - returns false if it already started
+  remove(analysisId) {
+    const index = this.waiting.indexOf(analysisId);
+    if (index === -1) return false;
+    this.waiting.splice(index, 1);
+    return true;
+  },
+
+  drain() {
+    while (this.running.size < ANALYSIS_CONCURRENCY && this.waiting.length > 0) {
+      const analysisId = this.waiting.shift();
+      this.running.add(analysisId);
+      const startedAt = Date.now();
+
+      startAnalysis(analysisId).finally(() => {
+        this.running.delete(analysisId);
+        this.recentDurations.push((Date.now() - startedAt) / 1000);
+        if (this.recentDurations.length > 20) this.recentDurations.shift();
+        this.drain();
+      });
+    }
+  },
+};
+
+// ============================================
+// REPORT SCHEMA
+// ============================================
+
+// Single source of truth for the AnalysisReport shape (mirrors AnalysisReport.swift)
+// Drives the prompt JSON skeletons, validation, /test-report and GET /api/schema
+const REPORT_SCHEMA = require('./schemas/analysis-report.schema.json');
+
+/**
+ * Root schema for a report type ('single' or 'both')
+ */
+function getReportSchema(analysisType) {
+  return analysisType === 'both'
+    ? REPORT_SCHEMA.$defs.BothFightersReport
+    : REPORT_SCHEMA.$defs.SingleFighterReport;
 }
 
-❌ ANOTHER FAILING EXAMPLE:
-{
-  "avoidance": "Backing up in straight lines",
-  "reason": "Dangerous pattern observed",
-  "alternative": "Move better"
+/**
+ * Follow a local "#/$defs/Name" reference; sibling keywords override the target
+ */
+function resolveSchemaRef(schema) {
+  if (!schema || !schema.$ref) return schema;
+  const name = schema.$ref.replace('#/$defs/', '');
+  const target = REPORT_SCHEMA.$defs[name];
+  if (!target) throw new Error(`SCHEMA_ERROR: Unknown schema reference ${schema.$ref}`);
+  const { $ref, ...overrides } = schema;
+  return resolveSchemaRef({ ...target, ...overrides });
 }
 
-✅ ANOTHER PASSING EXAMPLE:
-{
-  "avoidance": "Backing up in a straight line under pressure",
-  "reason": "When pressured backward, his hands dropped and he ate the overhand right twice - once visibly hurting him in round 2",
-  "alternative": "Circle off to his power-hand side (his right), keeping your lead hand active. If you must retreat, take an angle and counter off the exit"
+/**
+ * Primary (non-null) type of a schema and whether null is allowed
+ */
+function getSchemaType(schema) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  return {
+    type: types.find(t => t !== 'null') || 'null',
+    nullable: types.includes('null'),
+  };
 }
 
-REMEMBER: Each thingsToAvoid entry needs ALL THREE fields with UNIQUE, SPECIFIC content!
+/**
+ * Replace {placeholder} tokens in strings (deeply) with values from the context
+ */
+function fillSchemaTemplate(value, context) {
+  if (typeof value === 'string') {
+    return value.replace(/\{(\w+)\}/g, (match, key) =>
+      context[key] !== undefined && context[key] !== null ? String(context[key]) : match
+    );
+  }
+  if (Array.isArray(value)) return value.map(v => fillSchemaTemplate(v, context));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, fillSchemaTemplate(v, context)]));
+  }
+  return value;
+}
 
-FOR "tactics" in roundGamePlans:
-❌ BAD: "Use leg kicks"
-✅ GOOD: "Attack his lead leg with inside and outside low kicks whenever he squares his stance - he showed zero checking ability and his mobility visibly decreased after accumulating leg damage in round 2."
+/**
+ * Template context for a nested property (x-promptContext, e.g. per-fighter names)
+ */
+function getPropertyContext(propertySchema, context) {
+  if (!propertySchema['x-promptContext']) return context;
+  return { ...context, ...fillSchemaTemplate(propertySchema['x-promptContext'], context) };
+}
 
-RESPOND WITH ONLY THE JSON OBJECT. NO MARKDOWN, NO EXPLANATION, JUST PURE JSON.`;
+/**
+ * Whether a property belongs in model output for this context
+ * Server fields are never requested; user-centric sections are dropped in study mode,
+ * report sections outside the analysis plan (context.sections) are dropped too
+ */
+function isModelOutputProperty(propertySchema, context, key) {
+  if (propertySchema['x-serverField']) return false;
+  if (propertySchema['x-userCentric'] && context.isStudyMode) return false;
+  if (context.sections && REPORT_SECTIONS.includes(key) && !context.sections.includes(key)) return false;
+  return true;
 }
 
 /**
- * Build the Claude prompt with EXACT JSON schema matching iOS models
- * This is CRITICAL - the JSON structure must match AnalysisReport.swift exactly
- * Role-based output:
- *   - fighter: Full user-centric coaching with game plans
- *   - coach: Educational/instructional framing
- *   - study: Pure analysis, no game plans or coaching
+ * Render a schema as the annotated JSON skeleton used in the prompts
+ * e.g. "accuracy": <number 0-100>, "summary": "<string: DETAILED ...>"
  */
-function buildClaudePrompt(config) {
-  // For "both" mode, use the special prompt
-  if (config.analysisType === 'both') {
-    return buildBothFightersPrompt(config);
-  }
+function renderSchemaSkeleton(schema, context, indent = '', inheritedDescription) {
+  const resolved = resolveSchemaRef(schema);
 
-  const fighterName = config.fighter1Name || 'the fighter';
-  const userRounds = config.userFightRounds || 3;
+  if (resolved['x-promptValue'] !== undefined) {
+    return JSON.stringify(fillSchemaTemplate(resolved['x-promptValue'], context));
+  }
 
-  // Calculate reasonable round constraints from video duration
-  const videoConstraints = calculateVideoRoundConstraints(config.videoDuration);
-  // Clamp videoRounds to what's actually possible based on duration
-  const claimedRounds = config.videoRounds || 3;
-  const videoRounds = Math.min(claimedRounds, videoConstraints.maxRounds);
+  const { type, nullable } = getSchemaType(resolved);
+  const description = fillSchemaTemplate(resolved.description || inheritedDescription || '', context);
+  const suffix = description ? `: ${description}` : '';
+
+  if (type === 'object') {
+    const innerIndent = `${indent}  `;
+    const lines = Object.entries(resolved.properties || {})
+      .map(([key, propertySchema]) => [key, resolveSchemaRef(propertySchema)])
+      .filter(([key, propertySchema]) => isModelOutputProperty(propertySchema, context, key) && !propertySchema['x-promptOmit'])
+      .map(([key, propertySchema]) =>
+        `${innerIndent}"${key}": ${renderSchemaSkeleton(propertySchema, getPropertyContext(propertySchema, context), innerIndent)}`
+      );
+    return `{\n${lines.join(',\n')}\n${indent}}`;
+  }
 
-  const sessionType = config.sessionType || 'competition';
-  const roleType = getUserRoleType(config.userRole);
+  if (type === 'array') {
+    const items = resolveSchemaRef(resolved.items || {});
+    if (getSchemaType(items).type === 'object') {
+      return `[\n${indent}  ${renderSchemaSkeleton(items, context, `${indent}  `)}\n${indent}]`;
+    }
+    return `[${renderSchemaSkeleton(items, context, indent, description)}]`;
+  }
 
-  // Extract appearance data (new structured format or legacy string)
-  const fighter1Appearance = config.fighter1Appearance || {};
+  if (type === 'number' || type === 'integer') {
+    const hasRange = resolved.minimum !== undefined && resolved.maximum !== undefined;
+    const range = type === 'number' && hasRange ? ` ${resolved.minimum}-${resolved.maximum}` : '';
+    return `<${type}${range}${suffix}>`;
+  }
 
-  // Get shorts color - prefer structured, fall back to legacy description parsing
-  const shortsColor = fighter1Appearance.shortsColor ||
-    config.fighter1Description?.match(/(\w+)\s*shorts/i)?.[1] || '';
+  if (type === 'boolean') return `<boolean${suffix}>`;
 
-  const fighter1AppearanceStr = buildAppearanceString(fighter1Appearance, config.fighter1Description);
+  return `"<string${nullable ? ' or null' : ''}${suffix}>"`;
+}
 
-  // Get declared backgrounds
-  const fighter1Background = config.fighter1DeclaredBackground || null;
+/**
+ * Plain JSON Schema for what the model must produce (Claude tool input_schema)
+ * Refs are inlined, templates filled, custom keywords and server fields dropped.
+ * User-centric sections are required unless the context is study mode.
+ */
+function buildModelOutputSchema(schema, context) {
+  const resolved = resolveSchemaRef(schema);
+  const { type } = getSchemaType(resolved);
+  const output = { type: resolved.type };
+
+  if (resolved['x-promptValue'] !== undefined) {
+    output.enum = [fillSchemaTemplate(resolved['x-promptValue'], context)];
+    return output;
+  }
+  if (resolved.description) output.description = fillSchemaTemplate(resolved.description, context);
+  if (resolved.enum) output.enum = resolved.enum;
+  if (resolved.minimum !== undefined) output.minimum = resolved.minimum;
+  if (resolved.maximum !== undefined) output.maximum = resolved.maximum;
+
+  if (type === 'object') {
+    output.properties = {};
+    output.required = [];
+    for (const [key, rawPropertySchema] of Object.entries(resolved.properties || {})) {
+      const propertySchema = resolveSchemaRef(rawPropertySchema);
+      if (!isModelOutputProperty(propertySchema, context, key) || propertySchema['x-promptOmit']) continue;
+      output.properties[key] = buildModelOutputSchema(propertySchema, getPropertyContext(propertySchema, context));
+      if ((resolved.required || []).includes(key) || propertySchema['x-userCentric']) {
+        output.required.push(key);
+      }
+    }
+  } else if (type === 'array' && resolved.items) {
+    output.items = buildModelOutputSchema(resolved.items, context);
+  }
 
-  // Build fighter context with STRONG visual emphasis
-  let fighterContext = `
-═══════════════════════════════════════════════════════════
-🎯 TARGET FIGHTER IDENTIFICATION (CRITICAL)
-═══════════════════════════════════════════════════════════
-NAME: ${fighterName}
-CORNER: ${config.fighter1Corner || 'Unknown'} Corner
-${shortsColor ? `🎯 SHORTS COLOR: ${shortsColor.toUpperCase()} - USE THIS TO IDENTIFY THE FIGHTER` : ''}
-${fighter1AppearanceStr ? `PHYSICAL DESCRIPTION: ${fighter1AppearanceStr}` : ''}
-${fighter1Background ? `DECLARED BACKGROUND: ${fighter1Background} (user-provided - verify against observed behavior)` : ''}
+  return output;
+}
 
-⚠️ CRITICAL: You MUST identify "${fighterName}" using the visual markers above.
-⚠️ Look for the fighter wearing ${shortsColor ? shortsColor.toUpperCase() + ' shorts' : 'the described attire'} in the ${config.fighter1Corner || ''} corner.
-⚠️ The OTHER fighter in the video is the OPPONENT - do NOT analyze their skills as if they belong to ${fighterName}.
-${fighter1Background ? `⚠️ User says "${fighterName}" has a ${fighter1Background} background - VERIFY this matches what you observe. Report if different.` : ''}`;
+/**
+ * Default value for a schema: its own "default", or an object built from
+ * the defaults of its required properties
+ */
+function buildSchemaDefault(schema, context = {}) {
+  const resolved = resolveSchemaRef(schema);
+  if (resolved.default !== undefined) {
+    return JSON.parse(JSON.stringify(fillSchemaTemplate(resolved.default, context)));
+  }
 
-  const roleContextLabel = {
-    'fighter': 'FIGHTER MODE - User preparing to face this opponent',
-    'coach': 'COACH MODE - Coach analyzing for their student/fighter',
-    'study': 'STUDY MODE - General study and analysis purposes'
-  }[roleType] || 'General analysis';
+  const { type, nullable } = getSchemaType(resolved);
+  switch (type) {
+    case 'object': {
+      const result = {};
+      for (const key of resolved.required || []) {
+        const propertySchema = resolveSchemaRef(resolved.properties[key]);
+        if (context.skipServerFields && propertySchema['x-serverField']) continue;
+        result[key] = buildSchemaDefault(propertySchema, getPropertyContext(propertySchema, context));
+      }
+      return result;
+    }
+    case 'array': return [];
+    case 'number':
+    case 'integer': return 0;
+    case 'boolean': return false;
+    case 'string': return nullable ? null : '';
+    default: return null;
+  }
+}
 
-  // Determine if we should include user-centric sections
-  const isStudyMode = roleType === 'study';
-  const isFighterMode = roleType === 'fighter';
+/**
+ * Coerce a value to match the schema: fix types, clamp ranges, normalise enums
+ * and fill missing required fields with schema defaults
+ * context.onDefault(path) is called for every value that had to be defaulted
+ */
+function coerceToSchema(value, schema, context = {}, path = '') {
+  const resolved = resolveSchemaRef(schema);
+  const { type, nullable } = getSchemaType(resolved);
+  const useDefault = () => {
+    if (context.onDefault) context.onDefault(path);
+    return buildSchemaDefault(resolved, context);
+  };
 
-  // Build user-centric sections for the JSON schema - DETAILED for premium $19.99 analysis
-  const userCentricJsonSchema = isStudyMode ? '' : `
-  "gamePlan": {
-    "overallStrategy": "<string: DETAILED 4-5 sentence strategic overview. Explain: (1) The primary game plan philosophy, (2) WHY this approach is effective against this opponent based on observed weaknesses, (3) Key phases of the fight to focus on, (4) Victory conditions and paths to win.>",
-    "roundByRound": [
-      {
-        "roundNumber": <integer: 1 to ${userRounds}>,
-        "objective": "<string: DETAILED 2-3 sentence round objective explaining WHAT to accomplish and WHY it sets up later rounds>",
-        "tactics": ["<string: specific tactic with explanation of execution>", "<string>", "<string>"],
-        "keyFocus": "<string: main focus with reasoning - e.g., 'Establish jab to set up takedown entries because opponent overreacts to strikes'>"
-      }
-    ],
-    "roundGamePlans": [
-      {
-        "roundNumber": <integer: 1 to ${userRounds}>,
-        "title": "<string: descriptive round title - e.g., 'Establish Range Control & Test Takedown Defense'>",
-        "planA": {
-          "name": "<string: plan name>",
-          "goal": "<string: DETAILED 2-sentence goal explaining what to achieve and why>",
-          "tactics": ["<string: specific tactic with execution detail>", "<string>", "<string>"],
-          "successIndicators": ["<string: specific observable sign that plan is working>", "<string>"],
-          "switchTrigger": "<string or null: SPECIFIC condition that signals need to switch - e.g., 'If opponent sprawls successfully on 3+ takedown attempts'>"
-        },
-        "planB": {
-          "name": "<string>",
-          "goal": "<string: DETAILED goal with reasoning>",
-          "tactics": ["<string: specific tactic>", "<string>", "<string>"],
-          "successIndicators": ["<string>", "<string>"],
-          "switchTrigger": "<string or null>"
-        },
-        "planC": {
-          "name": "<string>",
-          "goal": "<string: DETAILED emergency/safety goal>",
-          "tactics": ["<string>", "<string>"],
-          "successIndicators": ["<string>"],
-          "switchTrigger": null
+  if (value === null && nullable) return null;
+
+  switch (type) {
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return useDefault();
+      for (const [key, rawPropertySchema] of Object.entries(resolved.properties || {})) {
+        const propertySchema = resolveSchemaRef(rawPropertySchema);
+        if (context.skipServerFields && propertySchema['x-serverField']) continue;
+        const propertyPath = path ? `${path}.${key}` : key;
+        const propertyContext = getPropertyContext(propertySchema, context);
+
+        if (value[key] === undefined) {
+          if ((resolved.required || []).includes(key)) {
+            if (context.onDefault) context.onDefault(propertyPath);
+            value[key] = buildSchemaDefault(propertySchema, propertyContext);
+          }
+          continue;
         }
+        value[key] = coerceToSchema(value[key], propertySchema, propertyContext, propertyPath);
       }
-    ],
-    "keyTactics": ["<string: key tactic WITH detailed explanation of how and when to use it>", "<string>", "<string>", "<string>"],
-    "thingsToAvoid": [
-      {
-        "avoidance": "<MANDATORY STRING - SPECIFIC pattern from video - e.g., 'Entering on a straight line against his counter timing'>",
-        "reason": "<MANDATORY STRING - MUST BE UNIQUE AND VIDEO-SPECIFIC - Describe WHAT you SAW that makes this dangerous. e.g., 'When you enter straight, he times a pull-back counter and lands clean - visible 3 times in the footage'>",
-        "alternative": "<MANDATORY STRING - MUST BE UNIQUE AND ACTIONABLE - Give SPECIFIC tactical fix. e.g., 'Enter behind feints, step off-line at 45 degrees, finish with level change if he leans back'>"
-      },
-      {
-        "avoidance": "<SECOND specific thing to avoid based on video>",
-        "reason": "<DIFFERENT reason than above - cite different video evidence>",
-        "alternative": "<DIFFERENT alternative than above - unique tactical solution>"
+      return value;
+    }
+    case 'array': {
+      if (!Array.isArray(value)) return useDefault();
+      return resolved.items
+        ? value.map((item, index) => coerceToSchema(item, resolved.items, context, `${path}[${index}]`))
+        : value;
+    }
+    case 'number':
+    case 'integer': {
+      let number = typeof value === 'number' ? value : parseFloat(value);
+      if (!Number.isFinite(number)) return useDefault();
+      if (type === 'integer') number = Math.round(number);
+      if (resolved.minimum !== undefined) number = Math.max(resolved.minimum, number);
+      if (resolved.maximum !== undefined) number = Math.min(resolved.maximum, number);
+      return number;
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === 'false') return value === 'true';
+      return useDefault();
+    }
+    case 'string': {
+      if (typeof value !== 'string') return useDefault();
+      if (resolved.enum && !resolved.enum.includes(value)) {
+        const match = resolved.enum.find(option => option.toLowerCase() === value.trim().toLowerCase());
+        return match !== undefined ? match : useDefault();
       }
-    ]
-  },
+      return value;
+    }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Strict validation against the schema - returns a list of { path, message }
+ * (empty when the value conforms)
+ */
+function validateAgainstSchema(value, schema, context = {}, path = '$', errors = []) {
+  const resolved = resolveSchemaRef(schema);
+  const { type, nullable } = getSchemaType(resolved);
+
+  if (value === null) {
+    if (!nullable) errors.push({ path, message: `expected ${type}, got null` });
+    return errors;
+  }
 
-  "midFightAdjustments": {
-    "adjustments": [
-      {
-        "ifCondition": "<string: SPECIFIC observable condition - e.g., 'If opponent starts timing your level changes and sprawling early'>",
-        "thenAction": "<string: DETAILED 2-sentence response explaining what to do and why - e.g., 'Switch to body shots to bring their hands down, then shoot when they react to body attack. This creates openings for takedowns by changing their defensive posture.'>"
+  const actualType = Array.isArray(value) ? 'array' : typeof value;
+  const typeMatches = type === 'integer'
+    ? Number.isInteger(value)
+    : actualType === type;
+  if (!typeMatches) {
+    errors.push({ path, message: `expected ${type}, got ${actualType}` });
+    return errors;
+  }
+
+  if (type === 'object') {
+    for (const key of resolved.required || []) {
+      const propertySchema = resolveSchemaRef(resolved.properties[key]);
+      if (context.skipServerFields && propertySchema['x-serverField']) continue;
+      if (value[key] === undefined) errors.push({ path: `${path}.${key}`, message: 'is required' });
+    }
+    for (const [key, rawPropertySchema] of Object.entries(resolved.properties || {})) {
+      const propertySchema = resolveSchemaRef(rawPropertySchema);
+      if (context.skipServerFields && propertySchema['x-serverField']) continue;
+      if (value[key] !== undefined) {
+        validateAgainstSchema(value[key], propertySchema, context, `${path}.${key}`, errors);
       }
-    ]
-  },
+    }
+  } else if (type === 'array' && resolved.items) {
+    value.forEach((item, index) => validateAgainstSchema(item, resolved.items, context, `${path}[${index}]`, errors));
+  } else if (type === 'number' || type === 'integer') {
+    if (resolved.minimum !== undefined && value < resolved.minimum) {
+      errors.push({ path, message: `must be >= ${resolved.minimum}` });
+    }
+    if (resolved.maximum !== undefined && value > resolved.maximum) {
+      errors.push({ path, message: `must be <= ${resolved.maximum}` });
+    }
+  } else if (type === 'string' && resolved.enum && !resolved.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${resolved.enum.join(', ')}` });
+  }
 
-  "trainingRecommendations": {
-    "priorityDrills": ["<string: specific drill WITH explanation of what it develops and why it's important for this matchup>", "<string>", "<string>"],
-    "sparringFocus": ["<string: sparring scenario WITH specific instructions - e.g., 'Spar against tall counter-strikers, focus on closing distance without eating jabs'>", "<string>"],
-    "conditioning": ["<string: conditioning protocol WITH reasoning - e.g., 'High-intensity 5-minute rounds with wrestling scrambles to simulate late-round grappling'>", "<string>"]
-  },
+  return errors;
+}
 
-  "keyInsights": {
-    "criticalObservations": ["<string: DETAILED critical observation explaining significance and tactical implication>", "<string>", "<string>", "<string>"],
-    "winConditions": ["<string: SPECIFIC path to victory with conditions - e.g., 'Accumulate takedowns in rounds 1-3 to build lead, then control pace in championship rounds'>", "<string>", "<string>"],
-    "riskFactors": ["<string: DETAILED risk with explanation of how to mitigate - e.g., 'Risk: Getting caught on entries. Mitigation: Use body shots and feints before shooting'>", "<string>", "<string>"],
-    "finalRecommendation": "<string: DETAILED 3-4 sentence final strategic advice synthesizing all insights. Include the #1 priority, backup approach, and key mental focus.>",
-    "confidenceLevel": "<string: 'High', 'Medium', or 'Low'>"
-  },`;
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
 
-  return `You are an expert MMA fight analyst. Analyze the provided fight video frames and generate a comprehensive tactical analysis.
+/**
+ * Helper function to determine user role type from config
+ * Returns: 'fighter', 'coach', or 'study'
+ */
+function getUserRoleType(userRole) {
+  if (!userRole) return 'fighter'; // default to fighter mode
+
+  if (userRole.toLowerCase().includes('preparing to fight') ||
+      userRole.toLowerCase().includes('fighter')) {
+    return 'fighter';
+  }
+  if (userRole.toLowerCase().includes('coach')) {
+    return 'coach';
+  }
+  if (userRole.toLowerCase().includes('study') ||
+      userRole.toLowerCase().includes('analysis') ||
+      userRole.toLowerCase().includes('general')) {
+    return 'study';
+  }
+  return 'fighter'; // default
+}
+
+/**
+ * Helper function to build appearance string from structured data
+ */
+function buildAppearanceString(appearance, description) {
+  if (!appearance || Object.keys(appearance).length === 0) {
+    return description || '';
+  }
+  const parts = [];
+  if (appearance.shortsColor) parts.push(`${appearance.shortsColor} shorts`);
+  if (appearance.skinTone) parts.push(`${appearance.skinTone} skin tone`);
+  if (appearance.bodyBuild) parts.push(`${appearance.bodyBuild} build`);
+  if (appearance.relativeHeight) parts.push(appearance.relativeHeight);
+  if (appearance.distinguishingFeatures?.length > 0) {
+    parts.push(appearance.distinguishingFeatures.join(', '));
+  }
+  if (appearance.customDescription) parts.push(appearance.customDescription);
+  return parts.length > 0 ? parts.join(', ') : (description || '');
+}
+
+/**
+ * Calculate maximum reasonable rounds from video duration
+ * Assumes ~5 min/round + 1 min rest = 6 min per full round
+ * Returns: { maxRounds, videoDurationMinutes, canDetermineRounds }
+ */
+function calculateVideoRoundConstraints(videoDurationSeconds) {
+  if (!videoDurationSeconds || videoDurationSeconds <= 0) {
+    return { maxRounds: 1, videoDurationMinutes: 0, canDetermineRounds: false };
+  }
+
+  const minutes = videoDurationSeconds / 60;
+  // Conservative: assume 4-5 min rounds (sparring/training can be shorter)
+  // A 7-minute video can have at most 1-2 rounds
+  const maxRounds = Math.max(1, Math.ceil(minutes / 4));
+
+  return {
+    maxRounds,
+    videoDurationMinutes: Math.round(minutes * 10) / 10, // Round to 1 decimal
+    canDetermineRounds: true
+  };
+}
+
+/**
+ * Template values used when rendering the report schema for one analysis
+ * (prompt skeletons and the structured output tool)
+ */
+function getSchemaContext(config) {
+  const videoConstraints = calculateVideoRoundConstraints(config.videoDuration);
+  return {
+    sections: getAnalysisPlan(config).sections,
+    fighterName: config.fighter1Name || 'the fighter',
+    fighter1Name: config.fighter1Name || 'Fighter 1',
+    fighter2Name: config.fighter2Name || 'Fighter 2',
+    declaredBackground: config.fighter1DeclaredBackground || 'Not specified',
+    fighter1Background: config.fighter1DeclaredBackground || 'Not specified',
+    fighter2Background: config.fighter2DeclaredBackground || 'Not specified',
+    userRounds: config.userFightRounds || 3,
+    // Clamp videoRounds to what's actually possible based on duration
+    videoRounds: Math.min(config.videoRounds || 3, videoConstraints.maxRounds),
+    isStudyMode: getUserRoleType(config.userRole) === 'study'
+  };
+}
+
+/**
+ * Prompt note for plans that cover only part of the report (empty for full plans)
+ */
+function buildPlanScopeNote(plan) {
+  if (REPORT_SECTIONS.every(section => plan.sections.includes(section))) return '';
+  return `The ${plan.label} plan covers ONLY the sections listed in the JSON format - do not add any other section.\n`;
+}
+
+/**
+ * Prompt block asking for frame references on findings (the evidence fields in the schema)
+ * Only names findings in sections the plan includes - empty when the plan has none of them
+ */
+function buildEvidenceInstruction(isBothMode, sections) {
+  const fighterFindings = [
+    ['strengthsWeaknesses', 'weakness', 'weaknesses'],
+    ['mistakePatterns', 'mistake pattern', 'mistake patterns']
+  ].filter(([section]) => sections.includes(section));
+  const withMoments = isBothMode && sections.includes('matchupAnalysis');
+  const findingList = [];
+  if (fighterFindings.length > 0) {
+    findingList.push(isBothMode
+      ? `each fighter's ${fighterFindings.map(([, , plural]) => plural).join(' and ')}`
+      : `each ${fighterFindings.map(([, singular]) => singular).join(' and ')}`);
+  }
+  if (withMoments) findingList.push('for every matchupAnalysis.criticalMoments entry');
+  if (findingList.length === 0) return '';
 
+  const findings = findingList.join(', and ');
+  return `
 ═══════════════════════════════════════════════════════════
-🚨 CRITICAL INSTRUCTION - FIGHTER IDENTIFICATION 🚨
+🎞️ EVIDENCE - POINT TO THE FOOTAGE
 ═══════════════════════════════════════════════════════════
 
-**STEP 1 - IDENTIFY THE TARGET FIGHTER FIRST:**
-Before analyzing ANYTHING, you MUST identify which person in the video is the target fighter.
-Use these visual identifiers in order of reliability:
-1. SHORTS COLOR - Most reliable identifier
-2. CORNER POSITION - Which corner they came from
-3. PHYSICAL DESCRIPTION - Body type, tattoos, appearance
+Every image is preceded by a label such as "Frame 12". For ${findings}, add "evidence":
+the frame numbers (frameIndex) where the finding is visible, up to ${MAX_EVIDENCE_PER_FINDING} per finding.
+- ONLY cite frames that actually show it - the frame numbers are checked and invalid ones are dropped
+- Leave "evidence" empty rather than guessing${withMoments ? `
+- criticalMomentEvidence: one entry per criticalMoments item, in the same order, "moment" copied exactly` : ''}
+`;
+}
 
-${fighterContext}
+/**
+ * Build prompt for BOTH FIGHTERS analysis mode
+ * Returns a different JSON schema with fighter1Analysis and fighter2Analysis objects
+ * Role-based output:
+ *   - fighter: Full user-centric coaching with game plans
+ *   - coach: Educational/instructional framing
+ *   - study: Pure analysis, no game plans or coaching
+ */
+function buildBothFightersPrompt(config, options = {}) {
+  const fighter1Name = config.fighter1Name || 'Fighter 1';
+  const fighter2Name = config.fighter2Name || 'Fighter 2';
+  const userRounds = config.userFightRounds || 3;
+
+  // Calculate reasonable round constraints from video duration
+  const videoConstraints = calculateVideoRoundConstraints(config.videoDuration);
+  // Clamp videoRounds to what's actually possible based on duration
+  const claimedRounds = config.videoRounds || 3;
+  const videoRounds = Math.min(claimedRounds, videoConstraints.maxRounds);
+  const sessionType = config.sessionType || 'competition';
+  const roleType = getUserRoleType(config.userRole);
+  const plan = getAnalysisPlan(config);
+
+  const fighter1Appearance = config.fighter1Appearance || {};
+  const fighter2Appearance = config.fighter2Appearance || {};
+
+  const fighter1ShortsColor = fighter1Appearance.shortsColor ||
+    config.fighter1Description?.match(/(\w+)\s*shorts/i)?.[1] || '';
+  const fighter2ShortsColor = fighter2Appearance.shortsColor ||
+    config.fighter2Description?.match(/(\w+)\s*shorts/i)?.[1] || '';
+
+  const fighter1AppearanceStr = buildAppearanceString(fighter1Appearance, config.fighter1Description);
+  const fighter2AppearanceStr = buildAppearanceString(fighter2Appearance, config.fighter2Description);
+
+  const fighter1Background = config.fighter1DeclaredBackground || null;
+  const fighter2Background = config.fighter2DeclaredBackground || null;
+
+  // Role-specific context
+  const roleContext = {
+    'fighter': 'You are preparing to fight against fighters with these styles.',
+    'coach': 'You are a coach analyzing these fighters to help train your students.',
+    'study': 'You are studying these fighters for general analysis and understanding.'
+  }[roleType];
+
+  // JSON skeleton rendered from the report schema (user-centric sections dropped in study mode)
+  const reportSkeleton = renderSchemaSkeleton(getReportSchema('both'), getSchemaContext(config));
+
+  return `You are an expert MMA fight analyst. Analyze the provided fight video frames and generate a comprehensive tactical analysis for BOTH FIGHTERS.
 
 ═══════════════════════════════════════════════════════════
-🚨 CRITICAL - ANALYZE ONLY THE TARGET FIGHTER 🚨
+🚨 BOTH FIGHTERS ANALYSIS MODE 🚨
 ═══════════════════════════════════════════════════════════
 
-**WHAT TO ANALYZE (TARGET FIGHTER'S ACTIONS):**
-- Strikes that ${fighterName} THROWS (their offense)
-- Takedowns that ${fighterName} INITIATES (their wrestling offense)
-- Ground control when ${fighterName} IS ON TOP
-- Submissions that ${fighterName} ATTEMPTS
-- Movement and footwork of ${fighterName}
-- Defense when ${fighterName} blocks/evades (their defensive skills)
+You MUST provide SEPARATE, COMPLETE analyses for BOTH fighters in this video.
 
-**WHAT NOT TO ANALYZE AS THE TARGET'S SKILLS:**
-- Takedowns AGAINST ${fighterName} = OPPONENT's skill, NOT ${fighterName}'s
-- Ground control when ${fighterName} IS ON BOTTOM = OPPONENT's skill
-- Strikes that HIT ${fighterName} = OPPONENT's skill
+FIGHTER 1: ${fighter1Name} (${config.fighter1Corner || 'Unknown'} Corner)
+${fighter1ShortsColor ? `🎯 SHORTS COLOR: ${fighter1ShortsColor.toUpperCase()} - PRIMARY IDENTIFIER` : ''}
+${fighter1AppearanceStr ? `APPEARANCE: ${fighter1AppearanceStr}` : ''}
+${fighter1Background ? `DECLARED BACKGROUND: ${fighter1Background}` : ''}
 
-**EXAMPLE:**
-If ${fighterName} (wearing ${shortsColor || 'identified'} shorts) is getting taken down and controlled by the opponent:
-- This shows ${fighterName}'s WEAKNESS in takedown defense
-- This does NOT mean ${fighterName} is a "wrestler"
-- The OPPONENT is the wrestler in this case
+FIGHTER 2: ${fighter2Name} (${config.fighter2Corner || 'Unknown'} Corner)
+${fighter2ShortsColor ? `🎯 SHORTS COLOR: ${fighter2ShortsColor.toUpperCase()} - PRIMARY IDENTIFIER` : ''}
+${fighter2AppearanceStr ? `APPEARANCE: ${fighter2AppearanceStr}` : ''}
+${fighter2Background ? `DECLARED BACKGROUND: ${fighter2Background}` : ''}
 
 ═══════════════════════════════════════════════════════════
 🚨🚨🚨 CRITICAL: VIDEO-GROUNDED ANALYSIS ONLY 🚨🚨🚨
@@ -823,7 +1353,6 @@ VIDEO DURATION: ${videoConstraints.videoDurationMinutes} minutes
 MAXIMUM POSSIBLE ROUNDS: ${videoRounds} (based on video length)
 SESSION TYPE: ${sessionType}
 USER'S UPCOMING FIGHT: ${userRounds} rounds
-ANALYSIS MODE: ${roleContextLabel}
 
 ⚠️ ABSOLUTE RULES - VIOLATION = ANALYSIS FAILURE:
 
@@ -836,1333 +1365,3527 @@ ANALYSIS MODE: ${roleContextLabel}
    - Do NOT invent specific round-by-round events unless you can SEE round breaks
    - Use language like: "Throughout the video...", "Across the footage...", "Observed patterns show..."
    - If you cannot distinguish rounds, analyze as ONE continuous session
-   - Do NOT use any prior knowledge about the fighter's name or reputation
 
 3. **NO TEMPLATED CONTENT**: Every piece of analysis must be SPECIFIC to THIS video.
    - Generic phrases like "This pattern was identified as a vulnerability" are FORBIDDEN
    - Every reason/alternative/observation must reference SPECIFIC actions from the video
 
-4. **FIGHTER IDENTIFICATION FIRST**:
-   - ONLY analyze what you can actually SEE the TARGET FIGHTER doing
-   - If ${fighterName} primarily shoots takedowns and controls → they are a WRESTLER/GRAPPLER
-   - If ${fighterName} primarily throws punches and kicks → they are a STRIKER
-   - If ${fighterName} IS BEING taken down and controlled → they may have WEAK wrestling (check their offense)
+ANALYSIS MODE: ${roleType.toUpperCase()}
 
 ═══════════════════════════════════════════════════════════
-CRITICAL: JSON OUTPUT FORMAT
+CRITICAL: JSON OUTPUT FORMAT FOR BOTH FIGHTERS
 ═══════════════════════════════════════════════════════════
 
 You MUST respond with ONLY valid JSON matching this EXACT structure.
-Use camelCase for all field names. All scores are 0-100 unless noted.
-
-{
-  "fighterIdentification": {
-    "confirmedName": "<string: the fighter name you are analyzing - should match '${fighterName}'>",
-    "visualIdentifiers": "<string: how you identified them - e.g., 'Fighter wearing yellow shorts in blue corner'>",
-    "confidenceLevel": "<string: 'High', 'Medium', or 'Low' - how confident you are this is the correct fighter>",
-    "observedStyle": "<string: the fighting style you OBSERVED in the video - e.g., 'Striking-Heavy', 'Wrestling-Heavy', 'Mixed', 'BJJ-Focused'>",
-    "declaredBackground": "${fighter1Background || 'Not specified'}",
-    "styleMismatch": <boolean: true if observedStyle differs significantly from declaredBackground, false otherwise>
-  },
-
-  "executiveSummary": {
-    "overallScore": <number 0-100 - THIS IS THE THREAT LEVEL: How dangerous/skilled this fighter appears based on the video. 90+ = Elite level, 80-89 = Very skilled, 70-79 = Skilled, 60-69 = Average, Below 60 = Developing>,
-    "summary": "<string: DETAILED 5-7 sentence comprehensive overview. Include: (1) Primary fighting style and approach, (2) Key technical strengths observed, (3) Notable weaknesses or tendencies exploited, (4) How they perform under pressure, (5) Overall threat assessment. This should read like expert fight analysis, not a brief summary.>",
-    "keyFindings": ["<string: specific detailed observation with context - explain WHY this matters>", "<string: another key finding with tactical implication>", "<string: pattern or tendency with frequency if observed>", "<string: vulnerability or opportunity with exploitation method>", "<string: additional insight>"],
-    "recommendedApproach": "<string: DETAILED 4-6 sentence strategic recommendation. Explain: (1) The primary strategy and WHY it works against this fighter, (2) Secondary approach if primary fails, (3) Key techniques to emphasize and why, (4) What to avoid and why. This should provide clear, actionable guidance.>"
-  },
+Each fighter gets their OWN complete analysis with all sections.
 
-  "fightingStyleBreakdown": {
-    "primaryStyle": "<string: BASED ON WHAT YOU SEE IN VIDEO - e.g., 'Wrestler' if they shoot takedowns, 'Pressure Boxer' if they throw punches, 'Grappler' if they work on the ground>",
-    "stance": "<string: 'Orthodox' or 'Southpaw' - observe their lead hand/foot>",
-    "secondarySkills": ["<string: secondary skill OBSERVED with brief explanation>", "<string>", "<string>"],
-    "baseMartialArts": ["<string: martial arts DEMONSTRATED in video - e.g., 'Wrestling', 'Boxing', 'BJJ', 'Muay Thai'>"],
-    "styleDescription": "<string: DETAILED 3-4 sentence technical breakdown. Describe their preferred range, rhythm, typical combinations, how they set up attacks, and what makes their style effective or ineffective.>",
-    "secondaryAttributes": ["<string: attribute with context - e.g., 'Elite Cardio - maintained output through round 5'>", "<string>", "<string>"],
-    "comparableFighters": ["<string: famous fighter with SIMILAR STYLE - explain briefly why the comparison fits>", "<string>"],
-    "tacticalTendencies": ["<string: specific pattern with frequency/timing if observed - e.g., 'Throws lead hook after opponent jabs (seen 6+ times)'>", "<string>", "<string>", "<string>", "<string>"]
-  },
+${reportSkeleton}
 
-  "strikeAnalysis": {
-    "accuracy": <number 0-100>,
-    "volume": <integer: total strikes>,
-    "powerScore": <number 0-100>,
-    "techniqueScore": <number 0-100>,
-    "breakdown": {
-      "jabs": <integer>,
-      "crosses": <integer>,
-      "hooks": <integer>,
-      "uppercuts": <integer>,
-      "kicks": <integer>,
-      "knees": <integer>,
-      "elbows": <integer>
-    },
-    "patterns": ["<string: observed striking pattern>"],
-    "recommendations": ["<string: improvement suggestion>"]
-  },
+═══════════════════════════════════════════════════════════
+REQUIREMENTS FOR BOTH FIGHTERS MODE - ${roleType.toUpperCase()} ROLE
+═══════════════════════════════════════════════════════════
 
-  "grapplingAnalysis": {
-    "takedownAccuracy": <number 0-100>,
-    "takedownDefense": <number 0-100>,
-    "controlTime": <number: seconds of control time>,
-    "submissionAttempts": <integer>,
-    "techniques": ["<string: observed grappling technique>"],
-    "recommendations": ["<string: improvement suggestion>"]
-  },
+${roleType === 'study' ? `
+🔬 STUDY MODE - NEUTRAL ANALYSIS
 
-  "defenseAnalysis": {
-    "headMovement": <number 0-100>,
-    "footwork": <number 0-100>,
-    "blockingRate": <number 0-100>,
-    "counterStrikeRate": <number 0-100>,
-    "vulnerabilities": ["<string: defensive weakness>"],
-    "improvements": ["<string: how to improve>"]
-  },
+You are providing an objective, educational breakdown of both fighters.
+NO game plans, NO training recommendations, NO personalized coaching.
 
-  "cardioAnalysis": {
-    "roundByRound": [
-      {
-        "roundNumber": <integer>,
-        "outputLevel": <number 0-100>,
-        "staminaScore": <number 0-100>,
-        "notes": "<string: observation about this round>"
-      }
-    ],
-    "overallStamina": <number 0-100>,
-    "fatigueIndicators": ["<string: sign of fatigue>"],
-    "recommendations": ["<string: conditioning recommendation>"]
-  },
-
-  "fightIQ": {
-    "overallScore": <number 0-100>,
-    "decisionMaking": <number 0-100>,
-    "adaptability": <number 0-100>,
-    "strategyExecution": <number 0-100>,
-    "keyObservations": ["<string: observation about fight IQ>"],
-    "improvements": ["<string: how to improve>"]
-  },
-
-  "strengthsWeaknesses": {
-    "strengths": [
-      {
-        "title": "<string: strength name>",
-        "description": "<string: DETAILED 2-3 sentence explanation. Describe HOW they demonstrate this strength, specific examples from the video, and why it makes them dangerous.>",
-        "score": <number 0-100>,
-        "statistics": "<string or null: relevant stat with context - e.g., 'Landed 8 of 10 counter punches'>"
-      }
-    ],
-    "weaknesses": [
-      {
-        "title": "<string: weakness name>",
-        "description": "<string: DETAILED 2-3 sentence explanation. Describe specific instances where this weakness appeared and the consequences.>",
-        "severity": <number 0-100>,
-        "exploitablePattern": "<string: DETAILED explanation of how opponents successfully exploited this - include timing and setups>",
-        "frequency": "<string or null: how often it occurs with specifics - e.g., 'Every time opponent pressured forward'>",
-        "exploitationStrategy": "<string: DETAILED 2-sentence tactical plan to exploit this weakness, including specific techniques and timing>"
-      }
-    ],
-    "opportunitiesToExploit": ["<string: DETAILED opportunity with specific technique and timing to use>", "<string>", "<string>"]
-  },
-
-  "mistakePatterns": {
-    "patterns": [
-      {
-        "pattern": "<string: DETAILED description of repeated mistake - include when/why it happens and what opening it creates>",
-        "frequency": <integer: times observed>,
-        "severity": "<string: 'high', 'medium', or 'low'>",
-        "howToExploit": "<string: specific technique and timing to capitalize on this mistake>"
-      }
-    ]
-  },
-
-  "counterStrategy": {
-    "bestCounter": {
-      "style": "<string: recommended fighting style to use>",
-      "reason": "<string: DETAILED 2-3 sentence explanation of WHY this style works. Reference specific weaknesses observed and how this style exploits them.>"
-    },
-    "secondBestCounter": {
-      "style": "<string>",
-      "reason": "<string: DETAILED explanation with specific reasoning>"
-    },
-    "thirdBestCounter": {
-      "style": "<string>",
-      "reason": "<string: DETAILED explanation with specific reasoning>"
-    },
-    "techniquesToEmphasize": ["<string: specific technique WITH explanation of why it's effective>", "<string>", "<string>", "<string>"]
-  },
-${userCentricJsonSchema}
-  "roundByRoundMetrics": {
-    "rounds": [
-      {
-        "roundNumber": <integer>,
-        "outputLevel": <number 0-100>,
-        "notes": "<string or null: round observation>",
-        "striking": {
-          "strikesLanded": <integer>,
-          "strikesAttempted": <integer>,
-          "accuracy": <number 0-100>,
-          "significantStrikes": <integer>,
-          "powerStrikes": <integer>,
-          "headStrikes": <integer>,
-          "bodyStrikes": <integer>,
-          "legStrikes": <integer>,
-          "knockdowns": <integer>
-        },
-        "grappling": {
-          "takedownsLanded": <integer>,
-          "takedownsAttempted": <integer>,
-          "takedownAccuracy": <number 0-100>,
-          "takedownsDefended": <integer>,
-          "takedownDefenseRate": <number 0-100>,
-          "controlTimeSeconds": <integer>,
-          "submissionAttempts": <integer>,
-          "reversals": <integer>
-        },
-        "defense": {
-          "strikesAbsorbed": <integer>,
-          "strikesAvoided": <number 0-100>,
-          "headMovementSuccess": <number 0-100>,
-          "takedownsDefended": <integer>,
-          "escapes": <integer>
-        }
-      }
-    ]
-  }
-}
-
-═══════════════════════════════════════════════════════════
-REQUIREMENTS - ${roleType.toUpperCase()} MODE
-═══════════════════════════════════════════════════════════
-
-${isStudyMode ? `
-🔬 STUDY MODE - NEUTRAL ANALYSIS
-
-You are providing an objective, educational breakdown of this fighter.
-NO game plans, NO training recommendations, NO personalized coaching.
+FOR EACH FIGHTER'S ANALYSIS:
+1. Summary, Style, Strengths, Weaknesses, Mistakes → Objective analysis of each fighter
+2. Counter Strategy → General tactical analysis of how to counter this style
+3. DO NOT include: gamePlan, midFightAdjustments, trainingRecommendations, keyInsights
 
 Focus on describing WHAT you observe, not prescribing what someone should DO.
 Use neutral language: "The fighter demonstrates...", "This style is characterized by..."
-
-DO NOT include: gamePlan, midFightAdjustments, trainingRecommendations, keyInsights
 ` : roleType === 'coach' ? `
 🎓 COACH MODE - INSTRUCTIONAL ANALYSIS
 
-You are a coach analyzing this fighter to train your students.
+You are a coach analyzing these fighters to train your students.
 Frame everything from an educational, instructional perspective.
 
+FOR EACH FIGHTER'S ANALYSIS:
+1. Summary, Style, Strengths, Weaknesses, Mistakes → ABOUT that fighter (objectively analyze them)
+2. Counter Strategy → How to teach a fighter to beat this style
+3. Game Plan → Your fighter's round-by-round strategy to beat this opponent
+4. Adjustments → What your fighter should do if situations arise
+5. Training → What drills and training to prescribe
+6. Insights → Key teaching points about this fighter type
+
 Use instructional language: "Your fighter should...", "Teach them to...", "Focus training on..."
 ` : `
 🥊 FIGHTER MODE - USER-CENTRIC COACHING
 
 All output is for THE USER who uploaded this video.
-The USER wants to learn how to fight AGAINST this fighter.
+The USER wants to learn how to fight AGAINST fighters like these.
 
-All coaching content should read as "YOU should do X" or "Your goal is Y" - USER-CENTRIC!
+FOR EACH FIGHTER'S ANALYSIS:
+1. Summary, Style, Strengths, Weaknesses, Mistakes → ABOUT that fighter (objectively analyze them)
+2. Counter Strategy → How USER can beat that fighter type
+3. Game Plan → USER's round-by-round strategy to beat that fighter
+4. Adjustments → What USER should do if situations arise against that fighter
+5. Training → What USER should train to defeat that fighter type
+6. Insights → Key observations USER needs to know about that fighter
+
+All game plan content should read as "YOU should do X" or "Your goal is Y" - USER-CENTRIC!
 `}
 
 SPECIFIC REQUIREMENTS:
-${!isStudyMode ? `1. GAME PLANS: Create EXACTLY ${userRounds} roundByRound entries and ${userRounds} roundGamePlans entries (for rounds 1-${userRounds})
-2. ` : `1. `}ROUND METRICS: Create EXACTLY ${videoRounds} entries in roundByRoundMetrics.rounds (for rounds 1-${videoRounds} from video)
-${!isStudyMode ? `3. ` : `2. `}CARDIO: Create ${videoRounds} roundByRound entries in cardioAnalysis
-${!isStudyMode ? `4. ` : `3. `}STRENGTHS: Provide 3-5 strengths with scores - ONLY what you OBSERVED in the video
-${!isStudyMode ? `5. ` : `4. `}WEAKNESSES: Provide 3-5 weaknesses with exploitation strategies - ONLY what you OBSERVED
-${!isStudyMode ? `6. ` : `5. `}MISTAKES: Provide 3-5 mistake patterns you actually SAW in the video
-${!isStudyMode ? `7. ADJUSTMENTS: Provide 5-6 if/then adjustments
-8. ` : `6. `}Use the fighter's actual name "${fighterName}" throughout the report
-${!isStudyMode ? `9. ` : `7. `}Be specific and actionable in all ${isStudyMode ? 'observations' : 'recommendations'}
-${!isStudyMode ? `10. ` : `8. `}All number scores should be realistic (not all 80s - vary them based on actual observation)
+- Give DIFFERENT overallScores for each fighter based on their observed skill level
+- roundByRoundMetrics should have ${videoRounds} entries for each fighter
+${roleType !== 'study' ? `- Each fighter gets their OWN gamePlan, adjustments, training, insights - NOT shared!
+- gamePlan.roundGamePlans should have ${userRounds} entries for each fighter
+- Provide 5-6 specific midFightAdjustments per fighter
+- Training recommendations must be specific to beating THAT fighter's style` : `- Focus on pure analysis without actionable coaching recommendations`}
+
+═══════════════════════════════════════════════════════════
+🚨🚨🚨 ABSOLUTE RULE: VIDEO-FIRST OPPONENT PREPARATION 🚨🚨🚨
+═══════════════════════════════════════════════════════════
+
+⚠️ THIS IS THE MOST IMPORTANT SECTION - GET THIS WRONG AND THE ENTIRE ANALYSIS FAILS ⚠️
+
+The matchupAnalysis MUST reflect WHAT ACTUALLY HAPPENED IN THE VIDEO.
+Focus on actionable preparation guidance, NOT predictions.
+
+═══════════════════════════════════════════════════════════
+🎯 OPPONENT PREPARATION REQUIREMENTS (CRITICAL) 🎯
+═══════════════════════════════════════════════════════════
+
+The opponentPreparation section is designed to help users PREPARE for opponents like this.
+This is NOT a prediction tool - it's a PREPARATION tool.
+
+FOR "keyDangers" - What specific threats does this opponent present?
+- Reference actual moments from the video where these dangers manifested
+- Be specific: "Explosive overhand right" not just "good hands"
+- Include timing/setup patterns you observed
+
+FOR "tacticalAdjustments" - What should the user change when facing this style?
+- Specific range adjustments, stance changes, tactical shifts
+- Based on weaknesses you observed in the video
+- Actionable advice, not generic statements
+
+FOR "preparationGuidance" - How should the user train for this opponent?
+- Specific drills that address the dangers identified
+- Sparring recommendations to simulate this style
+- Training focus areas based on video analysis
+
+FOR "similarStyleGuidance" - Reference point for preparation
+- Name similar fighters or styles to study
+- Explain what makes them similar
+- Optional but valuable for context
 
 ═══════════════════════════════════════════════════════════
-🏆 PREMIUM QUALITY REQUIREMENT - $19.99 ANALYSIS 🏆
+📋 CRITICAL MOMENTS RULES 📋
 ═══════════════════════════════════════════════════════════
 
-This is a PREMIUM paid analysis. Users expect DEEP, DETAILED insights - NOT generic summaries.
+The "criticalMoments" array must capture fight-defining events:
+- Knockdowns, near-finishes, dominant positions
+- Moments that reveal key vulnerabilities
+- Turning points that show what works against this opponent
+
+Example: If ${fighter1Name} knocked down ${fighter2Name}, this MUST be in criticalMoments as it reveals a key danger and opportunity.
+${buildEvidenceInstruction(true, plan.sections)}
+═══════════════════════════════════════════════════════════
+🏆 ${plan.label.toUpperCase()} QUALITY REQUIREMENT 🏆
+═══════════════════════════════════════════════════════════
 
+This is a ${plan.label.toUpperCase()} paid analysis. Users expect DEEP, DETAILED insights - NOT generic summaries.
+${buildPlanScopeNote(plan)}
 EVERY text field should be:
 - DETAILED: Multiple sentences with specific observations, not 1-2 line summaries
 - SPECIFIC: Reference actual moments, techniques, and patterns observed in the video
 - ACTIONABLE: Explain WHY something matters and HOW to use the information
 - EXPERT-LEVEL: Sound like advice from a professional fight analyst/coach
 
-❌ BAD (too generic): "Technical striker with good movement"
-✅ GOOD (detailed): "Technical counter-striker who excels at controlling distance using a stiff jab and lateral movement. Shows excellent timing on pull-back counters, particularly landing clean right hands when opponents overcommit. However, his reliance on backing straight up under pressure was exploited multiple times, suggesting vulnerability to aggressive cage-cutting."
-
-❌ BAD (too brief): "Pressure wrestling with body shots"
-✅ GOOD (detailed): "Your primary strategy should be pressure wrestling combined with body attacks. Close distance using feints and jab entries, then shoot takedowns when he backs up - his takedown defense deteriorates significantly when moving backward. On the feet, target his body with hooks and uppercuts when he shells up, as this will slow his movement and create further takedown opportunities. Avoid standing at range where he's most comfortable counter-striking."
+❌ BAD: "Technical striker with good movement"
+✅ GOOD: "Technical counter-striker who excels at controlling distance using a stiff jab and lateral movement. Shows excellent timing on pull-back counters, but reliance on backing straight up under pressure was exploited multiple times."
 
-Every section should demonstrate this level of depth and specificity.
+❌ BAD: "Pressure wrestling with body shots"
+✅ GOOD: "Your primary strategy should be pressure wrestling combined with body attacks. Close distance using feints, then shoot when he backs up - his takedown defense deteriorates when moving backward. On the feet, target his body to slow his movement and create further takedown opportunities."
 
 ═══════════════════════════════════════════════════════════
-CRITICAL REMINDERS
+📋 GAME PLAN QUALITY REQUIREMENTS (CRITICAL USP) 📋
 ═══════════════════════════════════════════════════════════
 
-🚨 FIGHTER IDENTIFICATION IS PARAMOUNT 🚨
-- FIRST confirm you've identified the correct fighter using visual markers
-- ${shortsColor ? `Look for ${shortsColor.toUpperCase()} shorts to identify ${fighterName}` : `Use the description to identify ${fighterName}`}
-- If you see wrestling/takedowns, ask: WHO is initiating them?
-- The person SHOOTING the takedown is the wrestler
-- The person BEING taken down may have WEAK takedown defense (not wrestler skills)
+The Game Plan is one of our CORE features. It MUST be detailed and actionable.
 
-- **primaryStyle** MUST reflect what ${fighterName} DOES (not what's done TO them):
-  - If ${fighterName} shoots takedowns and controls → "Wrestler" or "Grappler"
-  - If ${fighterName} primarily boxes and strikes → "Boxer" or "Striker"
-  - If ${fighterName} uses clinch and knees → "Muay Thai Fighter"
-  - If ${fighterName} attempts submissions → "BJJ Specialist" or "Submission Grappler"
-  - If ${fighterName} IS BEING wrestled/controlled → check their OFFENSE to determine style
+FOR "overallStrategy":
+❌ BAD: "Pressure and wrestle"
+✅ GOOD: "Implement a pressure-based attack focusing on closing distance and initiating clinch exchanges. His poor takedown defense (visible when backing up) creates opportunities for reactive shots. On the feet, target the body to slow his movement and set up takedowns. If he starts finding range, immediately close distance - allowing him to establish his jab rhythm is dangerous."
 
-- **overallScore** is the THREAT LEVEL (how dangerous they appear):
-  - 90-100: Elite, championship caliber performance in the video
-  - 80-89: Very skilled, high-level performance
-  - 70-79: Skilled, competent performance
-  - 60-69: Average, some clear weaknesses shown
-  - Below 60: Developing, many areas need improvement
+FOR "thingsToAvoid" - THIS IS ABSOLUTELY CRITICAL, READ CAREFULLY:
+
+⚠️⚠️⚠️ ALL THREE FIELDS (avoidance, reason, alternative) ARE MANDATORY ⚠️⚠️⚠️
+You MUST provide ALL three fields for EACH item in thingsToAvoid.
+Each field MUST contain UNIQUE, VIDEO-SPECIFIC content.
+NEVER leave reason or alternative empty or generic.
+
+🚫🚫🚫 ABSOLUTELY FORBIDDEN PHRASES - USING THESE WILL FAIL THE ANALYSIS 🚫🚫🚫
+- "This pattern was identified as a vulnerability based on video analysis" ← FORBIDDEN
+- "Adjust your approach based on opponent reaction" ← FORBIDDEN
+- "Reset when necessary" ← FORBIDDEN
+- "This is dangerous for you" ← FORBIDDEN
+- "Based on analysis" ← FORBIDDEN
+- "Based on video analysis" ← FORBIDDEN
+- Any generic phrase that could apply to any fight ← FORBIDDEN
+
+✅ WHAT YOU MUST DO INSTEAD:
+- "reason": Describe EXACTLY what you SAW in the video. Reference specific moments, counts, or patterns.
+- "alternative": Give a SPECIFIC tactical adjustment with HOW to execute it.
+
+❌ FAILING EXAMPLE (DO NOT DO THIS):
+{
+  "avoidance": "Don't stand and trade",
+  "reason": "This pattern was identified as a vulnerability based on video analysis.",
+  "alternative": "Adjust your approach based on opponent reaction and reset when necessary."
+}
+
+✅ PASSING EXAMPLE (DO THIS):
+{
+  "avoidance": "Prolonged exchanges at boxing range",
+  "reason": "He has faster hands and better timing on counters - he landed clean hooks 4 times when opponent stayed in the pocket too long. Every second spent trading increases your damage accumulation.",
+  "alternative": "Close the distance into clinch range or reset completely to outside range. Use feints to draw his counter, then immediately change levels for takedowns."
+}
+
+❌ ANOTHER FAILING EXAMPLE:
+{
+  "avoidance": "Backing up in straight lines",
+  "reason": "Dangerous pattern observed",
+  "alternative": "Move better"
+}
+
+✅ ANOTHER PASSING EXAMPLE:
+{
+  "avoidance": "Backing up in a straight line under pressure",
+  "reason": "When pressured backward, his hands dropped and he ate the overhand right twice - once visibly hurting him in round 2",
+  "alternative": "Circle off to his power-hand side (his right), keeping your lead hand active. If you must retreat, take an angle and counter off the exit"
+}
+
+REMEMBER: Each thingsToAvoid entry needs ALL THREE fields with UNIQUE, SPECIFIC content!
+
+FOR "tactics" in roundGamePlans:
+❌ BAD: "Use leg kicks"
+✅ GOOD: "Attack his lead leg with inside and outside low kicks whenever he squares his stance - he showed zero checking ability and his mobility visibly decreased after accumulating leg damage in round 2."${buildResponseInstruction(options.tool)}`;
+}
+
+/**
+ * Build the Claude prompt with EXACT JSON schema matching iOS models
+ * This is CRITICAL - the JSON structure must match AnalysisReport.swift exactly
+ * Role-based output:
+ *   - fighter: Full user-centric coaching with game plans
+ *   - coach: Educational/instructional framing
+ *   - study: Pure analysis, no game plans or coaching
+ * options.tool: the report is submitted through the report tool, so the prompt ends with
+ * the tool instruction instead of asking for bare JSON
+ */
+function buildClaudePrompt(config, options = {}) {
+  // For "both" mode, use the special prompt
+  if (config.analysisType === 'both') {
+    return buildBothFightersPrompt(config, options);
+  }
+
+  const fighterName = config.fighter1Name || 'the fighter';
+  const userRounds = config.userFightRounds || 3;
+
+  // Calculate reasonable round constraints from video duration
+  const videoConstraints = calculateVideoRoundConstraints(config.videoDuration);
+  // Clamp videoRounds to what's actually possible based on duration
+  const claimedRounds = config.videoRounds || 3;
+  const videoRounds = Math.min(claimedRounds, videoConstraints.maxRounds);
+
+  const sessionType = config.sessionType || 'competition';
+  const roleType = getUserRoleType(config.userRole);
+  const plan = getAnalysisPlan(config);
+
+  // Extract appearance data (new structured format or legacy string)
+  const fighter1Appearance = config.fighter1Appearance || {};
+
+  // Get shorts color - prefer structured, fall back to legacy description parsing
+  const shortsColor = fighter1Appearance.shortsColor ||
+    config.fighter1Description?.match(/(\w+)\s*shorts/i)?.[1] || '';
+
+  const fighter1AppearanceStr = buildAppearanceString(fighter1Appearance, config.fighter1Description);
+
+  // Get declared backgrounds
+  const fighter1Background = config.fighter1DeclaredBackground || null;
+
+  // Build fighter context with STRONG visual emphasis
+  let fighterContext = `
+═══════════════════════════════════════════════════════════
+🎯 TARGET FIGHTER IDENTIFICATION (CRITICAL)
+═══════════════════════════════════════════════════════════
+NAME: ${fighterName}
+CORNER: ${config.fighter1Corner || 'Unknown'} Corner
+${shortsColor ? `🎯 SHORTS COLOR: ${shortsColor.toUpperCase()} - USE THIS TO IDENTIFY THE FIGHTER` : ''}
+${fighter1AppearanceStr ? `PHYSICAL DESCRIPTION: ${fighter1AppearanceStr}` : ''}
+${fighter1Background ? `DECLARED BACKGROUND: ${fighter1Background} (user-provided - verify against observed behavior)` : ''}
+
+⚠️ CRITICAL: You MUST identify "${fighterName}" using the visual markers above.
+⚠️ Look for the fighter wearing ${shortsColor ? shortsColor.toUpperCase() + ' shorts' : 'the described attire'} in the ${config.fighter1Corner || ''} corner.
+⚠️ The OTHER fighter in the video is the OPPONENT - do NOT analyze their skills as if they belong to ${fighterName}.
+${fighter1Background ? `⚠️ User says "${fighterName}" has a ${fighter1Background} background - VERIFY this matches what you observe. Report if different.` : ''}`;
+
+  const roleContextLabel = {
+    'fighter': 'FIGHTER MODE - User preparing to face this opponent',
+    'coach': 'COACH MODE - Coach analyzing for their student/fighter',
+    'study': 'STUDY MODE - General study and analysis purposes'
+  }[roleType] || 'General analysis';
+
+  // Determine if we should include user-centric sections
+  const isStudyMode = roleType === 'study';
+  const isFighterMode = roleType === 'fighter';
+
+  // JSON skeleton rendered from the report schema (user-centric sections dropped in study mode)
+  const reportSkeleton = renderSchemaSkeleton(getReportSchema('single'), getSchemaContext(config));
+
+  return `You are an expert MMA fight analyst. Analyze the provided fight video frames and generate a comprehensive tactical analysis.
+
+═══════════════════════════════════════════════════════════
+🚨 CRITICAL INSTRUCTION - FIGHTER IDENTIFICATION 🚨
+═══════════════════════════════════════════════════════════
+
+**STEP 1 - IDENTIFY THE TARGET FIGHTER FIRST:**
+Before analyzing ANYTHING, you MUST identify which person in the video is the target fighter.
+Use these visual identifiers in order of reliability:
+1. SHORTS COLOR - Most reliable identifier
+2. CORNER POSITION - Which corner they came from
+3. PHYSICAL DESCRIPTION - Body type, tattoos, appearance
+
+${fighterContext}
+
+═══════════════════════════════════════════════════════════
+🚨 CRITICAL - ANALYZE ONLY THE TARGET FIGHTER 🚨
+═══════════════════════════════════════════════════════════
+
+**WHAT TO ANALYZE (TARGET FIGHTER'S ACTIONS):**
+- Strikes that ${fighterName} THROWS (their offense)
+- Takedowns that ${fighterName} INITIATES (their wrestling offense)
+- Ground control when ${fighterName} IS ON TOP
+- Submissions that ${fighterName} ATTEMPTS
+- Movement and footwork of ${fighterName}
+- Defense when ${fighterName} blocks/evades (their defensive skills)
+
+**WHAT NOT TO ANALYZE AS THE TARGET'S SKILLS:**
+- Takedowns AGAINST ${fighterName} = OPPONENT's skill, NOT ${fighterName}'s
+- Ground control when ${fighterName} IS ON BOTTOM = OPPONENT's skill
+- Strikes that HIT ${fighterName} = OPPONENT's skill
+
+**EXAMPLE:**
+If ${fighterName} (wearing ${shortsColor || 'identified'} shorts) is getting taken down and controlled by the opponent:
+- This shows ${fighterName}'s WEAKNESS in takedown defense
+- This does NOT mean ${fighterName} is a "wrestler"
+- The OPPONENT is the wrestler in this case
+
+═══════════════════════════════════════════════════════════
+🚨🚨🚨 CRITICAL: VIDEO-GROUNDED ANALYSIS ONLY 🚨🚨🚨
+═══════════════════════════════════════════════════════════
+
+VIDEO DURATION: ${videoConstraints.videoDurationMinutes} minutes
+MAXIMUM POSSIBLE ROUNDS: ${videoRounds} (based on video length)
+SESSION TYPE: ${sessionType}
+USER'S UPCOMING FIGHT: ${userRounds} rounds
+ANALYSIS MODE: ${roleContextLabel}
+
+⚠️ ABSOLUTE RULES - VIOLATION = ANALYSIS FAILURE:
+
+1. **NO ROUND HALLUCINATIONS**: A ${videoConstraints.videoDurationMinutes}-minute video can have AT MOST ${videoRounds} round(s).
+   - NEVER claim "Round 3" events in a video under 10 minutes
+   - NEVER claim "Round 5" events in a video under 20 minutes
+   - If round breaks are not VISIBLE, use "throughout the video" or "in the footage"
+
+2. **VIDEO-ONLY OBSERVATIONS**: Only describe what you ACTUALLY SEE in these frames.
+   - Do NOT invent specific round-by-round events unless you can SEE round breaks
+   - Use language like: "Throughout the video...", "Across the footage...", "Observed patterns show..."
+   - If you cannot distinguish rounds, analyze as ONE continuous session
+   - Do NOT use any prior knowledge about the fighter's name or reputation
+
+3. **NO TEMPLATED CONTENT**: Every piece of analysis must be SPECIFIC to THIS video.
+   - Generic phrases like "This pattern was identified as a vulnerability" are FORBIDDEN
+   - Every reason/alternative/observation must reference SPECIFIC actions from the video
+
+4. **FIGHTER IDENTIFICATION FIRST**:
+   - ONLY analyze what you can actually SEE the TARGET FIGHTER doing
+   - If ${fighterName} primarily shoots takedowns and controls → they are a WRESTLER/GRAPPLER
+   - If ${fighterName} primarily throws punches and kicks → they are a STRIKER
+   - If ${fighterName} IS BEING taken down and controlled → they may have WEAK wrestling (check their offense)
+
+═══════════════════════════════════════════════════════════
+CRITICAL: JSON OUTPUT FORMAT
+═══════════════════════════════════════════════════════════
+
+You MUST respond with ONLY valid JSON matching this EXACT structure.
+Use camelCase for all field names. All scores are 0-100 unless noted.
+
+${reportSkeleton}
+
+═══════════════════════════════════════════════════════════
+REQUIREMENTS - ${roleType.toUpperCase()} MODE
+═══════════════════════════════════════════════════════════
+
+${isStudyMode ? `
+🔬 STUDY MODE - NEUTRAL ANALYSIS
+
+You are providing an objective, educational breakdown of this fighter.
+NO game plans, NO training recommendations, NO personalized coaching.
+
+Focus on describing WHAT you observe, not prescribing what someone should DO.
+Use neutral language: "The fighter demonstrates...", "This style is characterized by..."
+
+DO NOT include: gamePlan, midFightAdjustments, trainingRecommendations, keyInsights
+` : roleType === 'coach' ? `
+🎓 COACH MODE - INSTRUCTIONAL ANALYSIS
+
+You are a coach analyzing this fighter to train your students.
+Frame everything from an educational, instructional perspective.
+
+Use instructional language: "Your fighter should...", "Teach them to...", "Focus training on..."
+` : `
+🥊 FIGHTER MODE - USER-CENTRIC COACHING
+
+All output is for THE USER who uploaded this video.
+The USER wants to learn how to fight AGAINST this fighter.
+
+All coaching content should read as "YOU should do X" or "Your goal is Y" - USER-CENTRIC!
+`}
+
+SPECIFIC REQUIREMENTS:
+${!isStudyMode ? `1. GAME PLANS: Create EXACTLY ${userRounds} roundByRound entries and ${userRounds} roundGamePlans entries (for rounds 1-${userRounds})
+2. ` : `1. `}ROUND METRICS: Create EXACTLY ${videoRounds} entries in roundByRoundMetrics.rounds (for rounds 1-${videoRounds} from video)
+${!isStudyMode ? `3. ` : `2. `}CARDIO: Create ${videoRounds} roundByRound entries in cardioAnalysis
+${!isStudyMode ? `4. ` : `3. `}STRENGTHS: Provide 3-5 strengths with scores - ONLY what you OBSERVED in the video
+${!isStudyMode ? `5. ` : `4. `}WEAKNESSES: Provide 3-5 weaknesses with exploitation strategies - ONLY what you OBSERVED
+${!isStudyMode ? `6. ` : `5. `}MISTAKES: Provide 3-5 mistake patterns you actually SAW in the video
+${!isStudyMode ? `7. ADJUSTMENTS: Provide 5-6 if/then adjustments
+8. ` : `6. `}Use the fighter's actual name "${fighterName}" throughout the report
+${!isStudyMode ? `9. ` : `7. `}Be specific and actionable in all ${isStudyMode ? 'observations' : 'recommendations'}
+${!isStudyMode ? `10. ` : `8. `}All number scores should be realistic (not all 80s - vary them based on actual observation)
+${buildEvidenceInstruction(false, plan.sections)}
+
+═══════════════════════════════════════════════════════════
+🏆 ${plan.label.toUpperCase()} QUALITY REQUIREMENT 🏆
+═══════════════════════════════════════════════════════════
+
+This is a ${plan.label.toUpperCase()} paid analysis. Users expect DEEP, DETAILED insights - NOT generic summaries.
+${buildPlanScopeNote(plan)}
+EVERY text field should be:
+- DETAILED: Multiple sentences with specific observations, not 1-2 line summaries
+- SPECIFIC: Reference actual moments, techniques, and patterns observed in the video
+- ACTIONABLE: Explain WHY something matters and HOW to use the information
+- EXPERT-LEVEL: Sound like advice from a professional fight analyst/coach
+
+❌ BAD (too generic): "Technical striker with good movement"
+✅ GOOD (detailed): "Technical counter-striker who excels at controlling distance using a stiff jab and lateral movement. Shows excellent timing on pull-back counters, particularly landing clean right hands when opponents overcommit. However, his reliance on backing straight up under pressure was exploited multiple times, suggesting vulnerability to aggressive cage-cutting."
+
+❌ BAD (too brief): "Pressure wrestling with body shots"
+✅ GOOD (detailed): "Your primary strategy should be pressure wrestling combined with body attacks. Close distance using feints and jab entries, then shoot takedowns when he backs up - his takedown defense deteriorates significantly when moving backward. On the feet, target his body with hooks and uppercuts when he shells up, as this will slow his movement and create further takedown opportunities. Avoid standing at range where he's most comfortable counter-striking."
+
+Every section should demonstrate this level of depth and specificity.
+
+═══════════════════════════════════════════════════════════
+CRITICAL REMINDERS
+═══════════════════════════════════════════════════════════
+
+🚨 FIGHTER IDENTIFICATION IS PARAMOUNT 🚨
+- FIRST confirm you've identified the correct fighter using visual markers
+- ${shortsColor ? `Look for ${shortsColor.toUpperCase()} shorts to identify ${fighterName}` : `Use the description to identify ${fighterName}`}
+- If you see wrestling/takedowns, ask: WHO is initiating them?
+- The person SHOOTING the takedown is the wrestler
+- The person BEING taken down may have WEAK takedown defense (not wrestler skills)
+
+- **primaryStyle** MUST reflect what ${fighterName} DOES (not what's done TO them):
+  - If ${fighterName} shoots takedowns and controls → "Wrestler" or "Grappler"
+  - If ${fighterName} primarily boxes and strikes → "Boxer" or "Striker"
+  - If ${fighterName} uses clinch and knees → "Muay Thai Fighter"
+  - If ${fighterName} attempts submissions → "BJJ Specialist" or "Submission Grappler"
+  - If ${fighterName} IS BEING wrestled/controlled → check their OFFENSE to determine style
+
+- **overallScore** is the THREAT LEVEL (how dangerous they appear):
+  - 90-100: Elite, championship caliber performance in the video
+  - 80-89: Very skilled, high-level performance
+  - 70-79: Skilled, competent performance
+  - 60-69: Average, some clear weaknesses shown
+  - Below 60: Developing, many areas need improvement
+
+- Do NOT assume based on fighter names - analyze ONLY the video frames
+- Do NOT confuse the opponent's skills with ${fighterName}'s skills${buildResponseInstruction(options.tool)}`;
+}
+
+/**
+ * Seconds as m:ss (or h:mm:ss for long videos)
+ */
+function formatVideoTimestamp(seconds) {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const ss = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${ss}` : `${m}:${ss}`;
+}
+
+/**
+ * Text label sent just before a frame's image, e.g. "Frame 12 - 4:05 (mid fight, action spike)"
+ * Frames without metadata are labelled with their number only, so evidence can still cite them
+ */
+function formatFrameLabel(number, meta) {
+  if (!meta) return `Frame ${number}`;
+  const details = [meta.phase === 'transition' ? 'key transition' : `${meta.phase} fight`];
+  if (meta.isSpike) details.push('action spike');
+  return `Frame ${number} - ${formatVideoTimestamp(meta.timestamp)} (${details.join(', ')})`;
+}
+
+/**
+ * Frame counts per sampling bucket for the prompt's distribution block
+ * With per-frame metadata the counts (and each phase's time span) are measured - spike and
+ * 'transition' frames count as transitions, the rest by phase. Without it they are the
+ * iOS sampler's nominal 25/35/25/15% shares of frameCount.
+ * Returns: { measured, early, mid, late, transitions } - each { count, from, to }
+ */
+function getFrameDistribution(metas, frameCount) {
+  if (metas.length === 0 || metas.some(meta => !meta)) {
+    const estimate = (share) => ({ count: Math.round(frameCount * share), from: null, to: null });
+    return { measured: false, early: estimate(0.25), mid: estimate(0.35), late: estimate(0.25), transitions: estimate(0.15) };
+  }
+
+  const distribution = { measured: true };
+  const buckets = { early: [], mid: [], late: [], transitions: [] };
+  metas.forEach(meta => {
+    buckets[meta.isSpike || meta.phase === 'transition' ? 'transitions' : meta.phase].push(meta.timestamp);
+  });
+  Object.entries(buckets).forEach(([bucket, timestamps]) => {
+    distribution[bucket] = {
+      count: timestamps.length,
+      from: timestamps.length ? Math.min(...timestamps) : null,
+      to: timestamps.length ? Math.max(...timestamps) : null
+    };
+  });
+  return distribution;
+}
+
+// Prompt rows per sampling bucket - focus lines are shared by the estimated box and the measured list
+const FRAME_BUCKET_NOTES = {
+  early: ['Focus: Opening speed, timing, stance, initial style reads', 'Sampling: Moderate density'],
+  mid: ['Focus: Tactical adjustments, fatigue patterns, pressure', 'Why: Peak activity period with most combinations'],
+  late: ['Focus: Cardio decline, fatigue-induced mistakes', 'Importance: Desperation moves, endurance indicators'],
+  transitions: ['Focus: Takedowns, knockdowns, clinch entries', 'Why: Critical moments captured with spike sampling']
+};
+
+/**
+ * Nominal iOS sampling shares as the fixed-width box (every row fits in 60 columns)
+ */
+function formatEstimatedFrameDistribution(distribution) {
+  const boxRow = (text) => `│ ${text.padEnd(60)}│`;
+  const rows = [
+    [`Early Fight (0-33% of video): ~${distribution.early.count} frames`, 'early'],
+    [`Mid Fight (33-66% of video): ~${distribution.mid.count} frames [DENSEST]`, 'mid'],
+    [`Late Fight (66-90% of video): ~${distribution.late.count} frames`, 'late'],
+    [`Key Transitions (throughout): ~${distribution.transitions.count} frames`, 'transitions']
+  ].map(([title, bucket]) => [title, ...FRAME_BUCKET_NOTES[bucket].map(note => `  ${note}`)].map(boxRow).join('\n'));
+
+  return `FRAME DISTRIBUTION (matching typical MMA fight dynamics):
+┌─────────────────────────────────────────────────────────────┐
+${rows.join('\n├─────────────────────────────────────────────────────────────┤\n')}
+└─────────────────────────────────────────────────────────────┘`;
+}
+
+/**
+ * Measured counts and time spans as a plain list - the spans make rows too long for the box
+ * Phase ranges follow getFramePhase (late runs to the end of the video)
+ */
+function formatMeasuredFrameDistribution(distribution) {
+  const describe = ({ count, from, to }) =>
+    `${count} frames${count > 0 ? ` (${formatVideoTimestamp(from)}-${formatVideoTimestamp(to)})` : ''}`;
+  const rows = [
+    [`Early Fight (0-33% of video): ${describe(distribution.early)}`, 'early'],
+    [`Mid Fight (33-66% of video): ${describe(distribution.mid)}`, 'mid'],
+    [`Late Fight (66-100% of video): ${describe(distribution.late)}`, 'late'],
+    [`Key Transitions (throughout): ${describe(distribution.transitions)}`, 'transitions']
+  ].map(([title, bucket]) => [`- ${title}`, ...FRAME_BUCKET_NOTES[bucket].map(note => `    ${note}`)].join('\n'));
+
+  return `FRAME DISTRIBUTION (measured from the frame timestamps):
+${rows.join('\n')}`;
+}
+
+/**
+ * Build the image content blocks plus the frame sampling metadata text
+ * Shared by the single-call and sectioned analysis paths
+ */
+function buildFrameContent(frames, config) {
+  // Build the content array with images as base64
+  const imageBlocks = [];
+
+  // Process up to the plan's frame budget (at most 100 - Claude API limit for optimal performance)
+  // All frames are strategically sampled by iOS, so no additional filtering needed
+  // iOS frame distribution: 25% early, 35% mid (peak activity), 25% late, 15% transitions
+  const maxFrames = Math.min(frames.length, getAnalysisPlan(config).maxFrames, 100);
+
+  // Process ALL frames sent from iOS when they fit the budget (no skipping)
+  // iOS already did strategic sampling, so every frame matters; over budget, frames are
+  // picked at an even stride so the early/mid/late distribution is kept
+  const stride = frames.length / maxFrames;
+  const metas = [];
+  const sentFrames = [];
+  let frameCount = 0;
+  for (let i = 0; i < maxFrames; i++) {
+    const uploadedIndex = Math.floor(i * stride);
+    const frame = frames[uploadedIndex];
+    if (!frame) break;
+
+    // Every frame is numbered for evidence references; frames with metadata (uploaded or
+    // server-selected) are also labelled with timestamp and phase
+    imageBlocks.push({ type: 'text', text: formatFrameLabel(frameCount + 1, frame.meta) });
+    imageBlocks.push(modelProvider.buildImageBlock(frame.buffer, 'image/jpeg'));
+    metas.push(frame.meta || null);
+    // Frame labels count sent frames only - keep the uploaded position so evidence maps back to the footage
+    sentFrames.push({ uploadedFrameIndex: uploadedIndex + 1, meta: frame.meta || null });
+    frameCount++;
+  }
+
+  // Build frame distribution metadata to help Claude understand the sampling strategy
+  const videoDuration = config.videoDuration || 0;
+  const videoDurationMin = Math.round(videoDuration / 60);
+  const frameDistribution = getFrameDistribution(metas, frameCount);
+  const frameDistributionBlock = frameDistribution.measured
+    ? formatMeasuredFrameDistribution(frameDistribution)
+    : formatEstimatedFrameDistribution(frameDistribution);
+  const frameMetadata = `
+═══════════════════════════════════════════════════════════
+📊 STRATEGIC FRAME SAMPLING INFORMATION
+═══════════════════════════════════════════════════════════
+
+You are analyzing ${frameCount} frames from a ${videoDurationMin}-minute MMA fight, strategically distributed as follows:
+
+${frameDistributionBlock}
+${frameDistribution.measured ? `
+FRAME TIMESTAMPS: Each image is preceded by a label such as "Frame 12 - 4:05 (mid fight)".
+- Use these video timestamps when describing when something happened (e.g. "at 4:05")
+- Frames marked "action spike" were picked because of a sudden burst of movement
+` : ''}
+FRAME QUALITY: 1280x720 resolution for detailed technique analysis
+- Hand positioning, footwork, stance, and guard are clearly visible
+- Use this detail level for precise tactical observations
+
+USE THIS DISTRIBUTION TO PROVIDE INSIGHTS INTO:
+1. How the fighter's tactics evolved from early → mid → late phases
+2. Fatigue impact on technique quality and decision-making
+3. Critical transition moments and their outcomes
+4. Pattern changes under pressure (mid-fight is most revealing)
+
+`;
+
+  // metas[i] belongs to "Frame i + 1" - evidence references are checked against it
+  return { imageBlocks, frameCount, frameMetadata, frameDistribution, sentFrames };
+}
+
+const REPORT_TOOL_NAME = 'submit_analysis_report';
+
+/**
+ * Tool definition Claude fills in with the report (input_schema generated from the report schema)
+ * options.sectioned relaxes the top-level required keys so one tool serves every part -
+ * the tool definition is part of the cached prefix, so it must not change between parts.
+ */
+function buildReportTool(config, options = {}) {
+  const inputSchema = buildModelOutputSchema(getReportSchema(config.analysisType), getSchemaContext(config));
+
+  if (options.sectioned) {
+    inputSchema.required = [];
+    ['fighter1Analysis', 'fighter2Analysis'].forEach(key => {
+      if (inputSchema.properties[key]) inputSchema.properties[key].required = [];
+    });
+  }
+
+  return {
+    name: REPORT_TOOL_NAME,
+    description: 'Submit the fight analysis report. The input is the complete report object described in the instructions.',
+    input_schema: inputSchema,
+  };
+}
+
+const REPORT_TOOL_INSTRUCTION = `
+
+Submit your answer by calling the ${REPORT_TOOL_NAME} tool - its input is the JSON object described above. Do not write the JSON as text.`;
+
+/**
+ * Closing instruction of a report prompt - call the tool when one is passed, otherwise
+ * answer with bare JSON text (never both, they contradict each other)
+ */
+function buildResponseInstruction(tool) {
+  return tool
+    ? REPORT_TOOL_INSTRUCTION
+    : '\n\nRESPOND WITH ONLY THE JSON OBJECT. NO MARKDOWN, NO EXPLANATION, JUST PURE JSON.';
+}
+
+// How reports were parsed since startup - tool_use is the normal path,
+// text_fallback / repaired mean free-text JSON extraction had to be used
+const reportParseStats = { tool_use: 0, text_fallback: 0, repaired: 0 };
+const PARSE_MODE_RANK = { tool_use: 0, text_fallback: 1, repaired: 2 };
+
+/**
+ * Share of reports that needed free-text parsing (null before the first report)
+ */
+function getParseFallbackRate() {
+  const total = reportParseStats.tool_use + reportParseStats.text_fallback + reportParseStats.repaired;
+  if (total === 0) return null;
+  return Number(((reportParseStats.text_fallback + reportParseStats.repaired) / total).toFixed(3));
+}
+
+/**
+ * Turn one Claude result into report data
+ * Tool arguments are used directly; free text goes through extractAndParseJSON (fallback).
+ * A result that hit max_tokens is only partially recovered and counts as 'repaired'.
+ * Returns: { data, parseMode }
+ */
+function parseReportResult(result) {
+  const truncated = result.stopReason === 'max_tokens';
+  const toolInput = result.toolInput;
+
+  if (toolInput && typeof toolInput === 'object' && Object.keys(toolInput).length > 0) {
+    return { data: toolInput, parseMode: truncated ? 'repaired' : 'tool_use' };
+  }
+
+  if (STRUCTURED_OUTPUT) {
+    console.warn('Claude answered without the report tool - falling back to free-text JSON parsing');
+  }
+  return { data: extractAndParseJSON(result.text), parseMode: truncated ? 'repaired' : 'text_fallback' };
+}
+
+/**
+ * Parse Retry-After / retry-after-ms response headers into milliseconds
+ * Returns null when the server gave no usable hint
+ */
+function getRetryAfterMs(headers) {
+  if (!headers) return null;
+
+  const retryAfterMs = parseFloat(headers['retry-after-ms']);
+  if (!isNaN(retryAfterMs)) return retryAfterMs;
+
+  const retryAfter = headers['retry-after'];
+  if (!retryAfter) return null;
+  const seconds = parseFloat(retryAfter);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(retryAfter);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Map a provider error (as returned by describeError) or an abort to our coded errors
+ * The coded prefix (TIMEOUT / STALLED / API_RATE_LIMIT / ...) drives refund reasons;
+ * status, retryable and retryAfterMs drive requestClaudeWithRetry.
+ */
+function mapClaudeError(apiError, abortReason) {
+  const coded = (message, props = {}) => Object.assign(new Error(message), { retryable: false }, props);
+
+  if (abortReason === 'timeout') {
+    return coded('TIMEOUT: Analysis took too long (12+ minutes). Please try again - the AI service may be experiencing high load.');
+  }
+  if (abortReason === 'stalled') {
+    return coded('STALLED: The AI service stopped responding mid-analysis. Please try again.', { retryable: true });
+  }
+  if (abortReason === 'cancelled') {
+    return coded('CANCELLED: Analysis was cancelled.');
+  }
+  if (abortReason === 'deadline') {
+    return coded('TIMEOUT: Analysis ran out of time across retries. Please try again - the AI service may be experiencing high load.');
+  }
+
+  // Provide more specific error messages for Claude API errors
+  const errorMessage = apiError.message || 'Unknown API error';
+  const status = apiError.status;
+  console.error('Claude API error details:', {
+    name: apiError.name,
+    message: errorMessage,
+    status: status,
+    type: apiError.type
+  });
+
+  const props = { status, retryAfterMs: getRetryAfterMs(apiError.headers) };
+
+  if (status === 429) {
+    return coded('API_RATE_LIMIT: The service is temporarily busy. Please try again in a few minutes.', { ...props, retryable: true });
+  } else if (status === 400) {
+    return coded('API_BAD_REQUEST: Invalid request to AI service. ' + errorMessage, props);
+  } else if (status >= 500) {
+    // 500/502/503/504 plus 529 overloaded
+    return coded('API_SERVICE_ERROR: AI service is temporarily unavailable. Please try again later.', { ...props, retryable: true });
+  } else if (apiError.connectionError) {
+    // No HTTP response at all - connection reset, DNS failure, etc.
+    return coded('API_ERROR: ' + errorMessage, { ...props, retryable: true });
+  }
+  return coded('API_ERROR: ' + errorMessage, props);
+}
+
+/**
+ * Make one streaming Claude request and return the raw outcome
+ * hooks.tool forces Claude to answer through that tool (structured output)
+ * hooks.onUsage({ model, usage, frames }) is called with the token usage of every finished response
+ * Returns: { text, toolInput, toolJson, stopReason, usage } - toolInput is null without a tool call;
+ * toolJson is the raw argument JSON as streamed (partial when the call hit max_tokens)
+ * Timeouts, stalls, cancellation and API errors are thrown as coded errors
+ * (TIMEOUT / STALLED / CANCELLED / API_*) that processAnalysis maps to refund reasons.
+ */
+async function requestClaudeCompletion(messages, config, hooks = {}) {
+  const frameCount = messages[0].content.filter(block => block.type === 'image').length;
+  const plan = getAnalysisPlan(config);
+
+  // Create AbortController for timeout (12 minutes max per request)
+  // Must support 30-min videos with up to 100 frames as advertised
+  // Claude processing time scales with frame count: ~6 sec/frame + overhead
+  const controller = new AbortController();
+  let abortReason = null;
+  const abort = (reason) => {
+    if (abortReason) return;
+    abortReason = reason;
+    controller.abort();
+  };
+
+  // hooks.deadline (the analysis' total model-call budget) can cut a request shorter
+  const timeoutMs = 12 * 60 * 1000; // 12 minutes
+  const deadlineMs = hooks.deadline ? hooks.deadline - Date.now() : Infinity;
+  const timeoutId = setTimeout(() => {
+    if (deadlineMs < timeoutMs) {
+      abort('deadline');
+      console.error(`Claude API call stopped at the analysis deadline (${frameCount} frames)`);
+      return;
+    }
+    abort('timeout');
+    console.error(`Claude API call timed out after 12 minutes (${frameCount} frames)`);
+  }, Math.max(0, Math.min(timeoutMs, deadlineMs)));
+
+  // Caller-initiated cancellation (POST /api/analysis/cancel/:id)
+  const onCancel = () => abort('cancelled');
+  if (hooks.signal) {
+    if (hooks.signal.aborted) onCancel();
+    hooks.signal.addEventListener('abort', onCancel);
+  }
+
+  // Progress is derived from streamed output vs. the expected response size
+  const expectedTokens = hooks.expectedTokens ||
+    EXPECTED_OUTPUT_TOKENS[config.analysisType === 'both' ? 'both' : 'single'];
+  const requestStartedAt = Date.now();
+  let lastTokenAt = null;
+  let streamedChars = 0;
+  // Raw tool-argument JSON as streamed - what a truncated tool call is continued from
+  let toolJson = '';
+
+  // Stall watchdog: abort early instead of waiting out the full 12 minutes
+  const stallCheckId = setInterval(() => {
+    const now = Date.now();
+    if (lastTokenAt === null && now - requestStartedAt > FIRST_TOKEN_TIMEOUT_MS) {
+      console.error(`Claude stream produced no output after ${FIRST_TOKEN_TIMEOUT_MS / 1000}s - aborting`);
+      abort('stalled');
+    } else if (lastTokenAt !== null && now - lastTokenAt > STALL_TIMEOUT_MS) {
+      console.error(`Claude stream stalled for ${STALL_TIMEOUT_MS / 1000}s after ~${Math.round(streamedChars / CHARS_PER_TOKEN)} tokens - aborting`);
+      abort('stalled');
+    }
+  }, 5000);
+
+  let response;
+  try {
+    const request = {
+      model: plan.model,
+      max_tokens: Math.min(plan.maxOutputTokens, modelProvider.maxTokens),
+      messages: messages,
+    };
+    if (hooks.tool) {
+      request.tools = [hooks.tool];
+      request.tool_choice = { type: 'tool', name: hooks.tool.name };
+    }
+
+    const onDelta = (delta, kind) => {
+      lastTokenAt = Date.now();
+      streamedChars += delta.length;
+      if (kind === 'tool') toolJson += delta;
+      if (hooks.onProgress) {
+        const outputTokens = Math.round(streamedChars / CHARS_PER_TOKEN);
+        hooks.onProgress({ outputTokens, expectedTokens, fraction: Math.min(1, outputTokens / expectedTokens) });
+      }
+    };
+
+    response = await modelProvider.streamMessage(request, {
+      signal: controller.signal,
+      onDelta,
+      config
+    });
+  } catch (apiError) {
+    throw mapClaudeError(modelProvider.describeError(apiError), abortReason);
+  } finally {
+    clearTimeout(timeoutId);
+    clearInterval(stallCheckId);
+    if (hooks.signal) hooks.signal.removeEventListener('abort', onCancel);
+  }
+
+  console.log(`Claude request completed at: ${new Date().toISOString()}`);
+
+  // Check for truncated response (stop_reason will be "max_tokens" if cut off)
+  const stopReason = response.stop_reason;
+  const inputTokens = response.usage?.input_tokens || 0;
+  const outputTokens = response.usage?.output_tokens || 0;
+
+  console.log(`Claude response stats: stop_reason=${stopReason}, input_tokens=${inputTokens}, output_tokens=${outputTokens}`);
+  if (hooks.onUsage) hooks.onUsage({ model: plan.model, usage: response.usage || {}, frames: frameCount });
+
+  const text = response.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+  // On max_tokens the SDK leaves the partially parsed arguments here
+  const toolUse = response.content.find(block => block.type === 'tool_use');
+
+  return { text, toolInput: toolUse ? toolUse.input : null, toolJson, stopReason, usage: response.usage || {} };
+}
+
+/**
+ * requestClaudeCompletion with exponential backoff for transient errors
+ * Delay = the server's Retry-After when it sent one, else full jitter over
+ * base * 2^(attempt-1) capped at CLAUDE_RETRY_MAX_DELAY_MS. Gives up after
+ * CLAUDE_RETRY_MAX_ATTEMPTS, or when the delay doesn't fit before the deadline -
+ * hooks.deadline (shared by every call of the analysis), else CLAUDE_RETRY_DEADLINE_MS from now.
+ * No attempt starts after the deadline, and a running attempt is cut off at it.
+ * hooks.onAttempt({ attempt, startedAt, durationMs, error, status, retryInMs }) records each try.
+ */
+async function requestClaudeWithRetry(messages, config, hooks = {}) {
+  const deadline = hooks.deadline || Date.now() + CLAUDE_RETRY_DEADLINE_MS;
+
+  for (let attempt = 1; ; attempt++) {
+    if (Date.now() >= deadline) throw mapClaudeError(null, 'deadline');
+    const startedAt = Date.now();
+    try {
+      const result = await requestClaudeCompletion(messages, config, { ...hooks, deadline });
+      if (hooks.onAttempt) {
+        hooks.onAttempt({ attempt, startedAt: new Date(startedAt).toISOString(), durationMs: Date.now() - startedAt, error: null, status: 200, retryInMs: null });
+      }
+      return result;
+    } catch (error) {
+      const backoff = Math.min(CLAUDE_RETRY_MAX_DELAY_MS, CLAUDE_RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1));
+      const remaining = deadline - Date.now();
+      // A server-sent Retry-After is honoured as is - retrying earlier would just be rejected again
+      const delay = error.retryAfterMs != null ? error.retryAfterMs : Math.round(Math.random() * backoff);
+      const canRetry = error.retryable &&
+        attempt < CLAUDE_RETRY_MAX_ATTEMPTS &&
+        delay < remaining;
+
+      if (hooks.onAttempt) {
+        hooks.onAttempt({
+          attempt,
+          startedAt: new Date(startedAt).toISOString(),
+          durationMs: Date.now() - startedAt,
+          error: error.message,
+          status: error.status || null,
+          retryInMs: canRetry ? delay : null
+        });
+      }
+
+      if (!canRetry) throw error;
+
+      console.warn(`Claude attempt ${attempt}/${CLAUDE_RETRY_MAX_ATTEMPTS} failed (${error.message.split(':')[0]}) - retrying in ${(delay / 1000).toFixed(1)}s`);
+      await sleepUnlessCancelled(delay, hooks.signal);
+    }
+  }
+}
+
+/**
+ * Stop work between stages once the analysis was cancelled - the model calls abort
+ * on their own, but parsing, validation and storing the report do not
+ */
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    throw new Error('CANCELLED: Analysis was cancelled.');
+  }
+}
+
+/**
+ * Wait between retries, bailing out immediately if the analysis is cancelled
+ */
+function sleepUnlessCancelled(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(new Error('CANCELLED: Analysis was cancelled.'));
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error('CANCELLED: Analysis was cancelled.'));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Request a JSON response, continuing it if Claude runs out of output tokens
+ * A truncated response is sent back as an assistant prefill so Claude picks up exactly
+ * where it stopped; the pieces are stitched together. Up to MAX_CONTINUATIONS extra calls.
+ * With hooks.tool the report comes back as tool arguments. A forced tool call can't be
+ * prefilled, so a truncated one is continued as plain JSON text: the raw arguments
+ * streamed so far become the prefill and the request drops the tool. The stitched JSON
+ * is parsed back into toolInput (left in text for repair if it doesn't parse).
+ * Returns: { text, toolInput, stopReason, usage, continuations } - stopReason is still
+ * 'max_tokens' if the response never finished, leaving repair/sectioning to the caller.
+ */
+async function requestClaudeJSON(content, config, hooks = {}) {
+  const expectedTokens = hooks.expectedTokens ||
+    EXPECTED_OUTPUT_TOKENS[config.analysisType === 'both' ? 'both' : 'single'];
+  const usage = { input_tokens: 0, output_tokens: 0 };
+
+  let text = '';
+  let toolInput = null;
+  let stopReason = null;
+  let continuations = 0;
+  let tool = hooks.tool;
+  let continuedToolCall = false;
+
+  while (true) {
+    const messages = [{ role: 'user', content: content }];
+    if (text) {
+      // The API rejects prefills ending in whitespace; it carries no meaning in JSON anyway
+      text = text.trimEnd();
+      messages.push({ role: 'assistant', content: text });
+    }
+
+    const priorTokens = usage.output_tokens;
+    const result = await requestClaudeWithRetry(messages, config, {
+      ...hooks,
+      tool,
+      expectedTokens,
+      onProgress: hooks.onProgress && (({ outputTokens }) => {
+        const total = priorTokens + outputTokens;
+        hooks.onProgress({ outputTokens: total, fraction: Math.min(1, total / expectedTokens) });
+      })
+    });
+
+    text += result.text;
+    toolInput = result.toolInput;
+    stopReason = result.stopReason;
+    usage.input_tokens += result.usage.input_tokens || 0;
+    usage.output_tokens += result.usage.output_tokens || 0;
+
+    if (stopReason !== 'max_tokens' || continuations >= MAX_CONTINUATIONS) break;
+    if (tool) {
+      if (!result.toolJson) break;
+      text = result.toolJson;
+      tool = null;
+      continuedToolCall = true;
+    }
+
+    continuations++;
+    console.warn(`Response hit max_tokens after ${usage.output_tokens} tokens - requesting continuation ${continuations}/${MAX_CONTINUATIONS}`);
+  }
+
+  if (continuations > 0) {
+    console.log(`Stitched response from ${continuations + 1} calls (stop_reason=${stopReason})`);
+  }
+  if (continuedToolCall) {
+    try {
+      toolInput = JSON.parse(text);
+    } catch (err) {
+      toolInput = null;
+    }
+  }
+
+  return { text, toolInput, stopReason, usage, continuations };
+}
+
+/**
+ * Report sections requested per call in sectioned (chunked) mode
+ * Each group is small enough to finish well inside max_tokens even for BOTH FIGHTERS mode.
+ * perFighter sections live inside fighter1Analysis/fighter2Analysis in both mode;
+ * shared sections (matchupAnalysis) are always top-level.
+ */
+const REPORT_SECTION_GROUPS = [
+  {
+    name: 'overview',
+    perFighter: ['fighterIdentification', 'executiveSummary', 'fightingStyleBreakdown'],
+    shared: ['matchupAnalysis']
+  },
+  {
+    name: 'performance',
+    perFighter: ['strikeAnalysis', 'grapplingAnalysis', 'defenseAnalysis', 'cardioAnalysis', 'fightIQ', 'roundByRoundMetrics'],
+    shared: []
+  },
+  {
+    name: 'patterns',
+    perFighter: ['strengthsWeaknesses', 'mistakePatterns', 'counterStrategy'],
+    shared: []
+  },
+  {
+    name: 'coaching',
+    perFighter: ['gamePlan', 'midFightAdjustments', 'trainingRecommendations', 'keyInsights'],
+    shared: [],
+    userCentric: true // Not requested in study mode
+  }
+];
+
+/**
+ * Decide whether to request the whole report in one call or in sections
+ * Sectioned mode can be forced per request (config.chunkedAnalysis) or server-wide (ANALYSIS_MODE=chunked)
+ */
+function shouldUseSectionedAnalysis(config) {
+  return config.chunkedAnalysis === true || process.env.ANALYSIS_MODE === 'chunked';
+}
+
+/**
+ * Instruction appended to the full prompt so Claude returns only one group of sections
+ * The full schema stays in the prompt so every part follows the same structure.
+ */
+function buildSectionInstruction(group, partNumber, partCount, config, tool) {
+  const isBothMode = config.analysisType === 'both';
+  const keys = isBothMode
+    ? `Inside BOTH "fighter1Analysis" and "fighter2Analysis", include ONLY these keys: ${group.perFighter.join(', ')}.` +
+      (group.shared.length > 0 ? `\nAlso include these top-level keys: ${group.shared.join(', ')}.` : '')
+    : `Include ONLY these top-level keys: ${group.perFighter.join(', ')}.`;
+
+  return `
+
+═══════════════════════════════════════════════════════════
+📦 SECTIONED RESPONSE - PART ${partNumber} OF ${partCount}
+═══════════════════════════════════════════════════════════
+
+This report is being generated in ${partCount} parts to keep each response complete.
+For THIS response, output ONLY part ${partNumber}:
+${keys}
+
+Use EXACTLY the structure shown in the JSON format above for these keys.
+Omit every other key - the remaining sections are requested separately.
+Apply the same quality and video-grounding rules as for a full report.${buildResponseInstruction(tool)}`;
+}
+
+/**
+ * Merge one sectioned response into the report being assembled
+ * Fighter objects are merged key-by-key so parts don't overwrite each other.
+ */
+function mergeReportSections(target, part) {
+  for (const [key, value] of Object.entries(part || {})) {
+    if ((key === 'fighter1Analysis' || key === 'fighter2Analysis') && value && typeof value === 'object') {
+      target[key] = { ...(target[key] || {}), ...value };
+    } else {
+      target[key] = value;
+    }
+  }
+  return target;
+}
+
+/**
+ * Request the report group-by-group and merge the parts
+ * Frames + prompt are marked cacheable so only the first part pays full input cost.
+ * A part that is still truncated after continuations is repaired on its own (last resort),
+ * losing at most that part's tail.
+ * Returns: { data, parseMode } - parseMode is the worst of the parts
+ */
+async function analyzeInSections(imageBlocks, promptText, config, hooks = {}) {
+  const isStudyMode = getUserRoleType(config.userRole) === 'study';
+  const { sections } = getAnalysisPlan(config);
+  const groups = REPORT_SECTION_GROUPS
+    .filter(group => !(group.userCentric && isStudyMode))
+    .map(group => ({
+      ...group,
+      perFighter: group.perFighter.filter(section => sections.includes(section)),
+      shared: group.shared.filter(section => sections.includes(section))
+    }))
+    .filter(group => group.perFighter.length > 0 || (config.analysisType === 'both' && group.shared.length > 0));
+  const partCount = groups.length;
+  const expectedPerPart = Math.ceil(
+    EXPECTED_OUTPUT_TOKENS[config.analysisType === 'both' ? 'both' : 'single'] / partCount
+  );
+
+  const sharedPrefix = [
+    ...imageBlocks,
+    { type: 'text', text: promptText, cache_control: { type: 'ephemeral' } }
+  ];
+
+  const tool = STRUCTURED_OUTPUT ? buildReportTool(config, { sectioned: true }) : null;
+  const merged = {};
+  let parseMode = 'tool_use';
+  for (let i = 0; i < groups.length; i++) {
+    const group = groups[i];
+    console.log(`Requesting report part ${i + 1}/${partCount} (${group.name})`);
+
+    const content = [
+      ...sharedPrefix,
+      { type: 'text', text: buildSectionInstruction(group, i + 1, partCount, config, tool) }
+    ];
+
+    const result = await requestClaudeJSON(content, config, {
+      signal: hooks.signal,
+      deadline: hooks.deadline,
+      onAttempt: hooks.onAttempt,
+      onUsage: hooks.onUsage,
+      tool,
+      expectedTokens: expectedPerPart,
+      // Overall progress advances part by part
+      onProgress: hooks.onProgress && (({ outputTokens, fraction }) => {
+        hooks.onProgress({ outputTokens, fraction: (i + fraction) / partCount });
+      })
+    });
+
+    if (result.stopReason === 'max_tokens') {
+      console.error(`Report part ${group.name} still truncated after continuations - repairing just this part`);
+    }
+
+    const part = parseReportResult(result);
+    if (PARSE_MODE_RANK[part.parseMode] > PARSE_MODE_RANK[parseMode]) parseMode = part.parseMode;
+    mergeReportSections(merged, part.data);
+  }
+
+  return { data: merged, parseMode };
+}
+
+/**
+ * Call Claude API with frames and get analysis
+ * Sends frames as base64 directly to Claude (no R2 URLs needed)
+ * The report comes back as arguments of a schema-generated tool; free-text JSON parsing
+ * (extractAndParseJSON) is only the fallback when Claude answers in text or STRUCTURED_OUTPUT=false.
+ * Uses one call by default. A truncated response is first continued (text mode only), then
+ * re-requested in sections; repairing a partial response is only the last resort.
+ * Parts validation had to fill with placeholders get one targeted regeneration request
+ * (SECTION_REGENERATION=false disables it).
+ * hooks.onStage(stage) is called as the analysis moves through prompting → parsing → validating
+ * → regenerating (only when something was deficient)
+ * hooks.onProgress({ outputTokens, fraction }) is called as output streams in
+ * hooks.signal (AbortSignal) cancels the request mid-stream
+ * hooks.onAttempt(attempt) is called after every Claude API attempt, including retries
+ * hooks.onParseMode(mode) reports how the report was parsed (tool_use / text_fallback / repaired)
+ */
+async function analyzeWithClaude(frames, config, hooks = {}) {
+  const onStage = hooks.onStage || (() => {});
+
+  onStage('prompting');
+  // Sectioned and single-call requests both use the report tool when structured output is on
+  const prompt = buildClaudePrompt(config, { tool: STRUCTURED_OUTPUT });
+  const { imageBlocks, frameCount, frameMetadata, frameDistribution, sentFrames } = buildFrameContent(frames, config);
+
+  const approx = frameDistribution.measured ? '' : '~';
+  console.log(`📊 Sending ${frameCount} strategically sampled frames to Claude API`);
+  console.log(`   Distribution: ${approx}${frameDistribution.early.count} early, ${approx}${frameDistribution.mid.count} mid, ${approx}${frameDistribution.late.count} late, ${approx}${frameDistribution.transitions.count} transitions`);
+  console.log(`Analysis started at: ${new Date().toISOString()}`);
+
+  onStage('model_running');
+
+  let analysisData;
+  let parseMode;
+  if (shouldUseSectionedAnalysis(config)) {
+    console.log('Using sectioned analysis mode');
+    ({ data: analysisData, parseMode } = await analyzeInSections(imageBlocks, frameMetadata + prompt, config, hooks));
+    onStage('parsing');
+  } else {
+    // Add the analysis prompt with frame metadata
+    const tool = STRUCTURED_OUTPUT ? buildReportTool(config) : null;
+    const content = [...imageBlocks, { type: 'text', text: frameMetadata + prompt }];
+    const result = await requestClaudeJSON(content, config, { ...hooks, tool });
+
+    if (result.stopReason !== 'max_tokens') {
+      onStage('parsing');
+
+      if (!result.toolInput) {
+        // Log raw response for debugging (first 500 chars and last 200 chars)
+        const responseText = result.text;
+        console.log('Claude raw response (first 500 chars):', responseText.substring(0, 500));
+        console.log('Claude raw response (last 200 chars):', responseText.substring(responseText.length - 200));
+      }
+
+      ({ data: analysisData, parseMode } = parseReportResult(result));
+    } else {
+      const outputTokens = result.usage.output_tokens || 0;
+      console.error(`CRITICAL: Response still TRUNCATED after ${result.continuations} continuation(s) (${outputTokens} output tokens)!`);
+
+      if (process.env.CHUNKED_FALLBACK !== 'false') {
+        // Recover by asking for the report in smaller sections instead of refunding
+        console.warn('Retrying as a sectioned analysis');
+        ({ data: analysisData, parseMode } = await analyzeInSections(imageBlocks, frameMetadata + prompt, config, hooks));
+        onStage('parsing');
+      } else {
+        // Last resort: keep whatever parsed from the truncated response
+        onStage('parsing');
+        try {
+          ({ data: analysisData, parseMode } = parseReportResult(result));
+        } catch (e) {
+          console.error(`Used ${outputTokens} output tokens - need to increase max_tokens`);
+          throw new Error('RESPONSE_TRUNCATED: Analysis response was cut off. This is a server configuration issue - please contact support.');
+        }
+      }
+    }
+  }
+
+  throwIfCancelled(hooks.signal);
+  reportParseStats[parseMode]++;
+  console.log(`Report parsed via ${parseMode}`);
+  if (hooks.onParseMode) hooks.onParseMode(parseMode);
+
+  // DEBUG: Log raw thingsToAvoid from Claude before validation
+  if (analysisData.gamePlan?.thingsToAvoid) {
+    console.log('=== DEBUG: Raw thingsToAvoid from Claude ===');
+    console.log(JSON.stringify(analysisData.gamePlan.thingsToAvoid, null, 2));
+  } else if (analysisData.fighter1Analysis?.gamePlan?.thingsToAvoid) {
+    console.log('=== DEBUG: Raw fighter1 thingsToAvoid from Claude ===');
+    console.log(JSON.stringify(analysisData.fighter1Analysis.gamePlan.thingsToAvoid, null, 2));
+  }
+
+  onStage('validating');
+
+  // Validate and fix the data to match iOS model exactly
+  let validatedData = validateAndFixAnalysisData(analysisData, config, sentFrames);
+
+  // Ask again for the parts validation had to fill with placeholders
+  if (SECTION_REGENERATION) {
+    validatedData = await regenerateDeficientSections(validatedData, config, {
+      imageBlocks,
+      signal: hooks.signal,
+      deadline: hooks.deadline,
+      onAttempt: hooks.onAttempt,
+      onUsage: hooks.onUsage,
+      onStage
+    });
+  }
+  throwIfCancelled(hooks.signal);
+
+  // DEBUG: Log thingsToAvoid after validation
+  if (validatedData.gamePlan?.thingsToAvoid) {
+    console.log('=== DEBUG: thingsToAvoid after validation ===');
+    console.log(JSON.stringify(validatedData.gamePlan.thingsToAvoid, null, 2));
+  } else if (validatedData.fighter1Analysis?.gamePlan?.thingsToAvoid) {
+    console.log('=== DEBUG: fighter1 thingsToAvoid after validation ===');
+    console.log(JSON.stringify(validatedData.fighter1Analysis.gamePlan.thingsToAvoid, null, 2));
+  }
+
+  return validatedData;
+}
+
+/**
+ * Extract JSON from Claude's response, handling markdown and extra text
+ * Also attempts to repair common JSON issues from truncated responses
+ */
+function extractAndParseJSON(text) {
+  // Remove markdown code blocks if present
+  let cleaned = text.trim();
+
+  // Remove ```json ... ``` or ``` ... ```
+  cleaned = cleaned.replace(/^```json\s*/i, '').replace(/^```\s*/i, '');
+  cleaned = cleaned.replace(/\s*```$/i, '');
+
+  // Log response length for debugging
+  console.log(`Response length: ${cleaned.length} characters`);
+
+  // Try direct parse first
+  try {
+    return JSON.parse(cleaned);
+  } catch (e) {
+    console.log('Direct parse failed:', e.message);
+  }
+
+  // Try to find JSON object in text
+  const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
+  if (jsonMatch) {
+    let jsonStr = jsonMatch[0];
+
+    // Try direct parse of extracted JSON
+    try {
+      return JSON.parse(jsonStr);
+    } catch (e) {
+      console.log('Extracted JSON parse failed, attempting repair:', e.message);
+
+      // Attempt to repair truncated JSON
+      jsonStr = repairTruncatedJSON(jsonStr);
+
+      try {
+        return JSON.parse(jsonStr);
+      } catch (e2) {
+        console.error('JSON repair failed:', e2.message);
+        console.error('JSON snippet around error:', jsonStr.substring(Math.max(0, jsonStr.length - 500)));
+      }
+    }
+  }
+
+  throw new Error('Could not extract valid JSON from Claude response');
+}
+
+/**
+ * Attempt to repair truncated JSON by closing unclosed brackets
+ */
+function repairTruncatedJSON(jsonStr) {
+  console.log('Attempting to repair truncated JSON...');
+
+  // Count open and close brackets
+  let openBraces = 0;
+  let openBrackets = 0;
+  let inString = false;
+  let escapeNext = false;
+
+  for (let i = 0; i < jsonStr.length; i++) {
+    const char = jsonStr[i];
+
+    if (escapeNext) {
+      escapeNext = false;
+      continue;
+    }
+
+    if (char === '\\') {
+      escapeNext = true;
+      continue;
+    }
+
+    if (char === '"' && !escapeNext) {
+      inString = !inString;
+      continue;
+    }
+
+    if (!inString) {
+      if (char === '{') openBraces++;
+      else if (char === '}') openBraces--;
+      else if (char === '[') openBrackets++;
+      else if (char === ']') openBrackets--;
+    }
+  }
+
+  console.log(`Unclosed braces: ${openBraces}, unclosed brackets: ${openBrackets}`);
+
+  // If we're in a string, close it
+  if (inString) {
+    jsonStr += '"';
+  }
+
+  // Remove trailing incomplete values (like partial strings or numbers)
+  jsonStr = jsonStr.replace(/,\s*"[^"]*$/, ''); // Remove incomplete string value
+  jsonStr = jsonStr.replace(/,\s*\d+\.?\d*$/, ''); // Remove incomplete number
+  jsonStr = jsonStr.replace(/:\s*"[^"]*$/, ': ""'); // Complete incomplete string after colon
+  jsonStr = jsonStr.replace(/,\s*$/, ''); // Remove trailing comma
+
+  // Close unclosed brackets
+  while (openBrackets > 0) {
+    jsonStr += ']';
+    openBrackets--;
+  }
+
+  // Close unclosed braces
+  while (openBraces > 0) {
+    jsonStr += '}';
+    openBraces--;
+  }
+
+  return jsonStr;
+}
+
+/**
+ * Normalize config to ensure all dates are ISO8601 strings
+ * iOS Swift's JSONEncoder uses Double (seconds since reference date) by default,
+ * but JSONDecoder with .iso8601 expects ISO8601 strings
+ */
+function normalizeConfig(config) {
+  if (!config) return config;
+
+  const normalized = { ...config };
+
+  // Convert createdAt if it's a number (Swift's default Date encoding)
+  if (typeof normalized.createdAt === 'number') {
+    // Swift's reference date is 2001-01-01, Unix epoch is 1970-01-01
+    // Difference is 978307200 seconds
+    const swiftReferenceOffset = 978307200;
+    const unixTimestamp = normalized.createdAt + swiftReferenceOffset;
+    normalized.createdAt = new Date(unixTimestamp * 1000).toISOString();
+  } else if (!normalized.createdAt) {
+    normalized.createdAt = new Date().toISOString();
+  }
+
+  // Ensure all required fields exist with correct types
+  normalized.id = normalized.id || `config-${Date.now()}`;
+  normalized.analysisType = normalized.analysisType || 'single';
+
+  // userFightRounds must be an integer (3 or 5)
+  if (typeof normalized.userFightRounds === 'string') {
+    normalized.userFightRounds = parseInt(normalized.userFightRounds, 10) || 3;
+  } else if (typeof normalized.userFightRounds !== 'number') {
+    normalized.userFightRounds = 3;
+  }
+
+  // userRole must be a valid string matching iOS enum
+  const validRoles = [
+    "I'm preparing to fight this opponent",
+    "Coach analyzing for student",
+    "General study / Analysis"
+  ];
+  if (!validRoles.includes(normalized.userRole)) {
+    normalized.userRole = "I'm preparing to fight this opponent";
+  }
+
+  // Optional fields - ensure they're null if not provided (not undefined)
+  normalized.sessionTitle = normalized.sessionTitle || null;
+  normalized.sessionType = normalized.sessionType || null;
+  normalized.sessionSubtitle = normalized.sessionSubtitle || null;
+  normalized.fighter1Name = normalized.fighter1Name || null;
+  normalized.fighter1Corner = normalized.fighter1Corner || null;
+  normalized.fighter1Description = normalized.fighter1Description || null;
+  normalized.fighter2Name = normalized.fighter2Name || null;
+  normalized.fighter2Corner = normalized.fighter2Corner || null;
+  normalized.fighter2Description = normalized.fighter2Description || null;
+  normalized.videoURL = normalized.videoURL || null;
+  normalized.videoDuration = normalized.videoDuration || null;
+  normalized.videoRounds = normalized.videoRounds || null;
+  normalized.videoFileSize = normalized.videoFileSize || null;
+  normalized.plan = getAnalysisPlan(normalized).name;
+
+  console.log('Normalized config:', JSON.stringify(normalized, null, 2));
+  return normalized;
+}
+
+/**
+ * Validate a single fighter's analysis data (used for both fighters mode)
+ * options: { videoRounds, userRounds, isStudyMode, sections, path, quality }
+ */
+function validateSingleFighterAnalysis(data, fighterName, options) {
+  const { videoRounds, userRounds, isStudyMode, sections, path, quality } = options;
+  const schema = REPORT_SCHEMA.$defs.FighterAnalysis;
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) data = {};
+  prepareUserCentricSections(data, schema, { isStudyMode, sections, path, quality });
+
+  const analysis = coerceToSchema(data, schema, {
+    fighterName,
+    onDefault: (fieldPath) => quality.defaultedFields.push(fieldPath)
+  }, path);
+
+  fillVideoRoundDefaults(analysis, videoRounds, quality, path);
+  if (!isStudyMode && analysis.gamePlan) {
+    fillGamePlanRoundDefaults(analysis.gamePlan, userRounds, quality, `${path}.gamePlan`);
+  }
+  return analysis;
+}
+
+const USER_CENTRIC_SECTIONS = ['gamePlan', 'midFightAdjustments', 'trainingRecommendations', 'keyInsights'];
+
+function joinSchemaPath(base, key) {
+  return base ? `${base}.${key}` : key;
+}
+
+/**
+ * User-centric sections are null in study mode or when the plan leaves them out,
+ * schema defaults otherwise
+ * Also converts/inspects thingsToAvoid before schema coercion fills missing fields
+ * options.trackDefaults is false for sections that are never requested (both mode top level)
+ */
+function prepareUserCentricSections(target, schema, { isStudyMode, sections = REPORT_SECTIONS, path = '', quality, trackDefaults = true }) {
+  USER_CENTRIC_SECTIONS.forEach(section => {
+    if (!sections.includes(section)) {
+      target[section] = null;
+      return;
+    }
+    if (target[section]) return;
+    if (isStudyMode) {
+      target[section] = null;
+      return;
+    }
+    target[section] = buildSchemaDefault(schema.properties[section]);
+    if (trackDefaults) quality.defaultedFields.push(joinSchemaPath(path, section));
+  });
+
+  if (!isStudyMode && target.gamePlan) {
+    target.gamePlan.thingsToAvoid = normalizeThingsToAvoid(
+      target.gamePlan.thingsToAvoid,
+      joinSchemaPath(path, 'gamePlan.thingsToAvoid'),
+      trackDefaults ? quality : null
+    );
+  }
+}
+
+/**
+ * Fill cardio and round metrics entries when Claude returned too few rounds
+ * The placeholder rounds are recorded as defaulted fields
+ */
+function fillVideoRoundDefaults(analysis, videoRounds, quality, path = '') {
+  if (analysis.cardioAnalysis.roundByRound.length === 0) {
+    quality.defaultedFields.push(joinSchemaPath(path, 'cardioAnalysis.roundByRound'));
+    for (let i = 1; i <= videoRounds; i++) {
+      analysis.cardioAnalysis.roundByRound.push({
+        roundNumber: i, outputLevel: 80, staminaScore: 80, notes: `Round ${i} performance`
+      });
+    }
+  }
+
+  if (analysis.roundByRoundMetrics.rounds.length < videoRounds) {
+    quality.defaultedFields.push(joinSchemaPath(path, 'roundByRoundMetrics.rounds'));
+    analysis.roundByRoundMetrics.rounds = [];
+    for (let i = 1; i <= videoRounds; i++) {
+      analysis.roundByRoundMetrics.rounds.push({
+        roundNumber: i,
+        outputLevel: 75,
+        notes: `Round ${i}`,
+        striking: {
+          strikesLanded: 10, strikesAttempted: 20, accuracy: 50,
+          significantStrikes: 5, powerStrikes: 3, headStrikes: 4, bodyStrikes: 3, legStrikes: 3, knockdowns: 0
+        },
+        grappling: {
+          takedownsLanded: 0, takedownsAttempted: 1, takedownAccuracy: 0,
+          takedownsDefended: 0, takedownDefenseRate: 50, controlTimeSeconds: 0, submissionAttempts: 0, reversals: 0
+        },
+        defense: {
+          strikesAbsorbed: 10, strikesAvoided: 50, headMovementSuccess: 50, takedownsDefended: 0, escapes: 0
+        }
+      });
+    }
+  }
+}
+
+/**
+ * Fill game plan round entries when Claude returned fewer than the user's fight rounds
+ * quality is null for the unrequested top-level game plan in both fighters mode
+ */
+function fillGamePlanRoundDefaults(gamePlan, userRounds, quality, path) {
+  if (gamePlan.roundByRound.length < userRounds) {
+    if (quality) quality.defaultedFields.push(`${path}.roundByRound`);
+    gamePlan.roundByRound = [];
+    for (let i = 1; i <= userRounds; i++) {
+      gamePlan.roundByRound.push({
+        roundNumber: i,
+        objective: `Round ${i} objective`,
+        tactics: ['Stay focused', 'Execute game plan'],
+        keyFocus: 'Maintain composure'
+      });
+    }
+  }
+
+  if (gamePlan.roundGamePlans.length < userRounds) {
+    if (quality) quality.defaultedFields.push(`${path}.roundGamePlans`);
+    gamePlan.roundGamePlans = [];
+    for (let i = 1; i <= userRounds; i++) {
+      gamePlan.roundGamePlans.push({
+        roundNumber: i,
+        title: `Round ${i} Strategy`,
+        planA: { name: 'Primary Plan', goal: 'Execute strategy', tactics: ['Stay focused'], successIndicators: ['Landing strikes'], switchTrigger: 'If not working, switch' },
+        planB: { name: 'Backup Plan', goal: 'Adjust approach', tactics: ['Change rhythm'], successIndicators: ['Creating openings'], switchTrigger: 'If needed' },
+        planC: { name: 'Emergency Plan', goal: 'Survive and recover', tactics: ['Clinch and control'], successIndicators: ['Regaining composure'], switchTrigger: null }
+      });
+    }
+  }
+}
+
+// Forbidden template phrases that indicate Claude didn't generate specific content
+const TEMPLATED_PHRASES = [
+  'this pattern was identified as a vulnerability',
+  'adjust your approach based on opponent',
+  'reset when necessary',
+  'based on video analysis',
+  'based on analysis',
+  'dangerous pattern observed',
+  'move better'
+];
+
+/**
+ * Why a thingsToAvoid reason/alternative counts as templated, or null if it looks specific
+ * Returns { issue: 'missing' | 'too_short' | 'template_phrase', phrases }
+ */
+function getTemplatedContentIssue(text) {
+  if (!text || typeof text !== 'string') return { issue: 'missing', phrases: [] };
+  const lowerText = text.toLowerCase();
+  const phrases = TEMPLATED_PHRASES.filter(phrase => lowerText.includes(phrase));
+  if (phrases.length > 0) return { issue: 'template_phrase', phrases };
+  if (text.length < 20) return { issue: 'too_short', phrases: [] };
+  return null;
+}
+
+/**
+ * Convert legacy string thingsToAvoid entries to objects and flag templated content
+ * Flagged fields are added to quality.templatedThingsToAvoid (quality may be null).
+ * Missing reason/alternative fields are filled from the schema defaults afterwards.
+ */
+function normalizeThingsToAvoid(thingsToAvoid, path, quality) {
+  if (!Array.isArray(thingsToAvoid)) return thingsToAvoid;
+
+  return thingsToAvoid.map((item, index) => {
+    // Convert legacy string format to new object format
+    if (typeof item === 'string') {
+      console.warn(`WARNING: thingsToAvoid[${index}] was in legacy string format, converting.`);
+      return { avoidance: item };
+    }
+    // If already in new format, check quality
+    if (item && typeof item === 'object' && item.avoidance) {
+      ['reason', 'alternative'].forEach(field => {
+        const templated = getTemplatedContentIssue(item[field]);
+        if (!templated) return;
+        console.warn(`WARNING: thingsToAvoid[${index}].${field} is ${templated.issue}. Claude returned: "${item[field] || ''}"`);
+        if (quality) {
+          quality.templatedThingsToAvoid.push({ path: `${path}[${index}].${field}`, ...templated });
+        }
+      });
+      // Empty strings get the schema fallback text, same as missing fields
+      if (!item.reason) delete item.reason;
+      if (!item.alternative) delete item.alternative;
+    }
+    return item;
+  });
+}
+
+// Reports scoring below this are flagged lowQuality (candidates for re-run or refund)
+const DATA_QUALITY_MIN_SCORE = parseInt(process.env.DATA_QUALITY_MIN_SCORE, 10) || 70;
+
+/**
+ * Leaf value paths under a report section (empty arrays and nulls count as leaves)
+ */
+function collectLeafPaths(value, path, leaves = []) {
+  if (Array.isArray(value) && value.length > 0) {
+    value.forEach((item, index) => collectLeafPaths(item, `${path}[${index}]`, leaves));
+  } else if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0) {
+    Object.entries(value).forEach(([key, child]) => collectLeafPaths(child, `${path}.${key}`, leaves));
+  } else {
+    leaves.push(path);
+  }
+  return leaves;
+}
+
+/**
+ * Whether a report path is the parent path itself or lies inside it
+ */
+function isSchemaPathUnder(parent, child) {
+  return child === parent || child.startsWith(`${parent}.`) || child.startsWith(`${parent}[`);
+}
+
+/**
+ * Build the dataQuality block attached to every report
+ * completenessScore = share of requested leaf fields that came from Claude
+ * (not defaulted and not templated), 0-100
+ * Sections outside the analysis plan were never requested and are not counted
+ */
+function buildDataQuality(data, reportSchema, quality, sections = REPORT_SECTIONS) {
+  // Only report the outermost defaulted path (a defaulted section implies its fields)
+  const uniqueDefaults = [...new Set(quality.defaultedFields)].filter(fieldPath => isPathInPlan(fieldPath, sections));
+  const templatedThingsToAvoid = quality.templatedThingsToAvoid.filter(entry => isPathInPlan(entry.path, sections));
+  const defaultedFields = uniqueDefaults.filter(fieldPath =>
+    !uniqueDefaults.some(other => other !== fieldPath && isSchemaPathUnder(other, fieldPath))
+  );
+  const deficientPaths = [...defaultedFields, ...templatedThingsToAvoid.map(entry => entry.path)];
+
+  // Only sections Claude was asked for count towards completeness
+  const leaves = [];
+  Object.entries(reportSchema.properties).forEach(([key, rawPropertySchema]) => {
+    const propertySchema = resolveSchemaRef(rawPropertySchema);
+    if (propertySchema['x-serverField'] || propertySchema['x-promptOmit'] || data[key] === undefined) return;
+    collectLeafPaths(data[key], key, leaves);
+  });
+  const requestedLeaves = leaves.filter(leaf => isPathInPlan(leaf, sections));
+  const deficientCount = requestedLeaves.filter(leaf => deficientPaths.some(fieldPath => isSchemaPathUnder(fieldPath, leaf))).length;
+  const completenessScore = requestedLeaves.length > 0
+    ? Math.round(((requestedLeaves.length - deficientCount) / requestedLeaves.length) * 100)
+    : 0;
+
+  return {
+    completenessScore,
+    lowQuality: completenessScore < DATA_QUALITY_MIN_SCORE || templatedThingsToAvoid.length > 0,
+    checkedFields: requestedLeaves.length,
+    deficientFields: deficientCount,
+    defaultedFields,
+    templatedThingsToAvoid,
+    regeneratedFields: quality.regeneratedFields || [],
+    invalidEvidence: quality.invalidEvidence || []
+  };
+}
+
+// Evidence references kept per finding - more frames than this add nothing for the app
+const MAX_EVIDENCE_PER_FINDING = 5;
+
+/**
+ * Check a finding's evidence references against the frames that were sent
+ * Returns valid { frameIndex, uploadedFrameIndex, timestamp } entries (deduped, sorted, capped),
+ * with the uploaded position and timestamp taken from the sent frame; references that don't point at a sent frame are
+ * recorded in invalidEvidence as { path, frameIndex }
+ */
+function normalizeEvidenceList(evidence, path, sentFrames, invalidEvidence) {
+  if (evidence === undefined || evidence === null) return [];
+  const entries = Array.isArray(evidence) ? evidence : [evidence];
+
+  const frameIndexes = new Set();
+  entries.forEach(entry => {
+    const raw = entry && typeof entry === 'object' ? entry.frameIndex : entry;
+    const frameIndex = typeof raw === 'number' ? raw : parseFloat(raw);
+    if (!Number.isInteger(frameIndex) || frameIndex < 1 || frameIndex > sentFrames.length) {
+      invalidEvidence.push({ path, frameIndex: Number.isFinite(frameIndex) ? frameIndex : null });
+      return;
+    }
+    frameIndexes.add(frameIndex);
+  });
+
+  return [...frameIndexes]
+    .sort((a, b) => a - b)
+    .slice(0, MAX_EVIDENCE_PER_FINDING)
+    .map(frameIndex => {
+      const { uploadedFrameIndex, meta } = sentFrames[frameIndex - 1];
+      return { frameIndex, uploadedFrameIndex, timestamp: meta ? meta.timestamp : null };
+    });
+}
+
+/**
+ * Link the evidence on weaknesses, mistake patterns and critical moments to the sent frames
+ * Runs before schema coercion so out-of-range references are dropped, not clamped.
+ * criticalMomentEvidence is realigned to criticalMoments - matched by moment text, else by
+ * position - so entry i always belongs to criticalMoments[i].
+ * Returns the dropped references for dataQuality.invalidEvidence
+ */
+function linkFindingEvidence(data, config, sentFrames = []) {
+  const invalidEvidence = [];
+  const linkFindings = (findings, path) => {
+    if (!Array.isArray(findings)) return;
+    findings.forEach((finding, index) => {
+      if (!finding || typeof finding !== 'object' || finding.evidence === undefined) return;
+      const evidencePath = `${path}[${index}].evidence`;
+      finding.evidence = normalizeEvidenceList(finding.evidence, evidencePath, sentFrames, invalidEvidence);
+    });
+  };
+
+  // Fighter sections sit at the top level in single mode (and as a fallback in both mode)
+  const fighterRoots = [['', data]];
+  if (config.analysisType === 'both') {
+    fighterRoots.push(['fighter1Analysis', data.fighter1Analysis], ['fighter2Analysis', data.fighter2Analysis]);
+  }
+  fighterRoots.forEach(([root, analysis]) => {
+    if (!analysis || typeof analysis !== 'object') return;
+    linkFindings(analysis.strengthsWeaknesses?.weaknesses, joinSchemaPath(root, 'strengthsWeaknesses.weaknesses'));
+    linkFindings(analysis.mistakePatterns?.patterns, joinSchemaPath(root, 'mistakePatterns.patterns'));
+  });
+
+  const matchup = data.matchupAnalysis;
+  if (matchup && typeof matchup === 'object' && matchup.criticalMomentEvidence !== undefined) {
+    const moments = Array.isArray(matchup.criticalMoments) ? matchup.criticalMoments : [];
+    const given = (Array.isArray(matchup.criticalMomentEvidence) ? matchup.criticalMomentEvidence : [])
+      .map(entry => (entry && typeof entry === 'object' ? entry : null));
+    matchup.criticalMomentEvidence = moments.map((moment, index) => {
+      const entry = given.find(candidate => candidate && candidate.moment === moment) ||
+        (given[index] && !moments.includes(given[index].moment) ? given[index] : null);
+      const evidencePath = `matchupAnalysis.criticalMomentEvidence[${index}].evidence`;
+      return {
+        moment: String(moment),
+        evidence: entry ? normalizeEvidenceList(entry.evidence, evidencePath, sentFrames, invalidEvidence) : []
+      };
+    });
+  }
+
+  if (invalidEvidence.length > 0) {
+    console.warn(`Dropped ${invalidEvidence.length} evidence reference(s) outside frames 1-${sentFrames.length}:`, JSON.stringify(invalidEvidence.slice(0, 10)));
+  }
+  return invalidEvidence;
+}
+
+/**
+ * Validate and fix analysis data to match iOS AnalysisReport model exactly
+ * Coerces types and fills defaults from the report schema, then tops up round entries
+ * Handles role-based sections (study mode may not have game plans, etc.)
+ * Everything that had to be defaulted is recorded in data.dataQuality, and cross-field
+ * contradictions in the stats are corrected or listed in data.consistency
+ * sentFrames ({ uploadedFrameIndex, meta } per sent frame) is what evidence references are checked against
+ */
+function validateAndFixAnalysisData(data, config, sentFrames = []) {
+  const userRounds = config.userFightRounds || 3;
+  // Same clamped round count the prompt asked for, so short clips aren't padded with placeholders
+  const { videoRounds } = getSchemaContext(config);
+  const roleType = getUserRoleType(config.userRole);
+  const isStudyMode = roleType === 'study';
+  const isBothMode = config.analysisType === 'both';
+  const reportSchema = getReportSchema(config.analysisType);
+  const { sections } = getAnalysisPlan(config);
+  const quality = { defaultedFields: [], templatedThingsToAvoid: [] };
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    data = {};
+  }
+
+  quality.invalidEvidence = linkFindingEvidence(data, config, sentFrames);
+
+  // HANDLE BOTH FIGHTERS MODE
+  if (isBothMode) {
+    console.log('Processing BOTH FIGHTERS mode data...');
+
+    if (!data.fighter1Analysis) data.fighter1Analysis = {};
+    if (!data.fighter2Analysis) data.fighter2Analysis = {};
+
+    // Migrate old prediction format to new opponentPreparation format
+    if (data.matchupAnalysis && !data.matchupAnalysis.opponentPreparation) {
+      delete data.matchupAnalysis.predictedWinner;
+      delete data.matchupAnalysis.winProbability;
+      delete data.matchupAnalysis.likelyOutcome;
+      delete data.matchupAnalysis.predictionReasoning;
+    }
+
+    // If Claude returned data at top level instead of in fighter objects, copy it to fighter1Analysis
+    // This handles cases where Claude doesn't follow the nested structure perfectly
+    const topLevelFields = ['executiveSummary', 'fightingStyleBreakdown', 'strikeAnalysis',
+      'grapplingAnalysis', 'defenseAnalysis', 'cardioAnalysis', 'fightIQ',
+      'strengthsWeaknesses', 'mistakePatterns', 'counterStrategy', 'fighterIdentification'];
+
+    topLevelFields.forEach(field => {
+      if (data[field] && !data.fighter1Analysis[field]) {
+        console.log(`Copying top-level ${field} to fighter1Analysis`);
+        data.fighter1Analysis[field] = data[field];
+      }
+    });
+
+    const fighterOptions = { videoRounds, userRounds, isStudyMode, sections, quality };
+    data.fighter1Analysis = validateSingleFighterAnalysis(data.fighter1Analysis, config.fighter1Name || 'Fighter 1', { ...fighterOptions, path: 'fighter1Analysis' });
+    data.fighter2Analysis = validateSingleFighterAnalysis(data.fighter2Analysis, config.fighter2Name || 'Fighter 2', { ...fighterOptions, path: 'fighter2Analysis' });
+  }
+
+  // Shared at top level in both fighters mode for iOS compatibility - never requested
+  // there, so placeholders don't count against data quality
+  prepareUserCentricSections(data, reportSchema, { isStudyMode, sections, quality, trackDefaults: !isBothMode });
+
+  data = coerceToSchema(data, reportSchema, {
+    fighterName: config.fighter1Name || (isBothMode ? 'Fighter 1' : 'Unknown Fighter'),
+    fighter1Name: config.fighter1Name || 'Fighter 1',
+    fighter2Name: config.fighter2Name || 'Fighter 2',
+    skipServerFields: true,
+    onDefault: (fieldPath) => quality.defaultedFields.push(fieldPath)
+  });
+
+  if (!isBothMode) {
+    fillVideoRoundDefaults(data, videoRounds, quality);
+    console.log(`Fighter identification: ${data.fighterIdentification.confirmedName} - ${data.fighterIdentification.visualIdentifiers} (Confidence: ${data.fighterIdentification.confidenceLevel})`);
+  }
+  if (!isStudyMode && data.gamePlan) {
+    fillGamePlanRoundDefaults(data.gamePlan, userRounds, isBothMode ? null : quality, 'gamePlan');
+  }
+
+  const schemaErrors = validateAgainstSchema(data, reportSchema, { skipServerFields: true });
+  if (schemaErrors.length > 0) {
+    console.warn(`Schema validation found ${schemaErrors.length} issue(s):`, JSON.stringify(schemaErrors.slice(0, 10)));
+  }
+
+  data.dataQuality = buildDataQuality(data, reportSchema, quality, sections);
+  console.log(`Data quality: ${data.dataQuality.completenessScore}% complete, ${data.dataQuality.defaultedFields.length} defaulted field(s), ${data.dataQuality.templatedThingsToAvoid.length} templated thingsToAvoid field(s)`);
+  data.consistency = checkReportConsistency(data, config);
+
+  console.log('Validation complete. Data structure verified.');
+  return data;
+}
+
+// Derived percentages within this many points of the recalculated value are left alone
+const CONSISTENCY_PERCENT_TOLERANCE = 1;
+
+function percentOf(part, total) {
+  return total > 0 ? Math.round((part / total) * 100) : 0;
+}
+
+/**
+ * Check one fighter's round metrics against each other and against the aggregate stats
+ * Derived fields (accuracies, volume, control time, submission totals) are recalculated
+ * from the counts; contradictions between counts are reported as conflicts.
+ * Placeholder rounds (and sections outside the plan) are skipped and never used to
+ * recalculate aggregates.
+ */
+function checkFighterConsistency(analysis, path, defaultedFields, sections, result) {
+  const at = (fieldPath) => joinSchemaPath(path, fieldPath);
+  const isDefaulted = (fieldPath) => !isPathInPlan(at(fieldPath), sections) ||
+    defaultedFields.some(defaulted => isSchemaPathUnder(defaulted, at(fieldPath)));
+  const correct = (object, key, value, fieldPath, rule, tolerance = 0) => {
+    if (Math.abs(object[key] - value) <= tolerance) return;
+    result.corrections.push({ path: at(fieldPath), rule, from: object[key], to: value });
+    object[key] = value;
+  };
+  const conflict = (rule, fieldPaths, message) => {
+    result.conflicts.push({ rule, paths: fieldPaths.map(at), message });
+  };
+
+  if (isDefaulted('roundByRoundMetrics.rounds')) return;
+  const rounds = analysis.roundByRoundMetrics.rounds;
+
+  rounds.forEach((round, index) => {
+    const base = `roundByRoundMetrics.rounds[${index}]`;
+    const { striking, grappling, defense } = round;
+    const label = `Round ${round.roundNumber}`;
+
+    if (striking.strikesLanded > striking.strikesAttempted) {
+      conflict('strikes_landed_exceed_attempted', [`${base}.striking.strikesLanded`, `${base}.striking.strikesAttempted`],
+        `${label}: ${striking.strikesLanded} strikes landed but only ${striking.strikesAttempted} attempted`);
+    } else {
+      correct(striking, 'accuracy', percentOf(striking.strikesLanded, striking.strikesAttempted),
+        `${base}.striking.accuracy`, 'round_strike_accuracy', CONSISTENCY_PERCENT_TOLERANCE);
+    }
+
+    const targetTotal = striking.headStrikes + striking.bodyStrikes + striking.legStrikes;
+    if (targetTotal > striking.strikesLanded) {
+      conflict('target_split_exceeds_landed', [`${base}.striking.headStrikes`, `${base}.striking.bodyStrikes`, `${base}.striking.legStrikes`, `${base}.striking.strikesLanded`],
+        `${label}: head/body/leg strikes add up to ${targetTotal} but only ${striking.strikesLanded} strikes landed`);
+    }
+    if (striking.significantStrikes > striking.strikesLanded) {
+      conflict('significant_exceed_landed', [`${base}.striking.significantStrikes`, `${base}.striking.strikesLanded`],
+        `${label}: ${striking.significantStrikes} significant strikes but only ${striking.strikesLanded} strikes landed`);
+    }
+
+    if (grappling.takedownsLanded > grappling.takedownsAttempted) {
+      conflict('takedowns_landed_exceed_attempted', [`${base}.grappling.takedownsLanded`, `${base}.grappling.takedownsAttempted`],
+        `${label}: ${grappling.takedownsLanded} takedowns landed but only ${grappling.takedownsAttempted} attempted`);
+    } else {
+      correct(grappling, 'takedownAccuracy', percentOf(grappling.takedownsLanded, grappling.takedownsAttempted),
+        `${base}.grappling.takedownAccuracy`, 'round_takedown_accuracy', CONSISTENCY_PERCENT_TOLERANCE);
+    }
+
+    if (grappling.takedownsDefended !== defense.takedownsDefended) {
+      conflict('takedowns_defended_mismatch', [`${base}.grappling.takedownsDefended`, `${base}.defense.takedownsDefended`],
+        `${label}: grappling says ${grappling.takedownsDefended} takedowns defended, defense says ${defense.takedownsDefended}`);
+    }
+  });
+
+  if (rounds.length === 0) return;
+  const sum = (select) => rounds.reduce((total, round) => total + select(round), 0);
+  const attempted = sum(round => round.striking.strikesAttempted);
+  const landed = sum(round => round.striking.strikesLanded);
+  const takedownsAttempted = sum(round => round.grappling.takedownsAttempted);
+  const takedownsLanded = sum(round => round.grappling.takedownsLanded);
+
+  // All-zero rounds mean the counts weren't filled in, not that nothing was thrown
+  if (attempted > 0 && !isDefaulted('strikeAnalysis')) {
+    const strikeAnalysis = analysis.strikeAnalysis;
+    correct(strikeAnalysis, 'volume', attempted, 'strikeAnalysis.volume', 'volume_matches_rounds');
+    if (landed <= attempted) {
+      correct(strikeAnalysis, 'accuracy', percentOf(landed, attempted), 'strikeAnalysis.accuracy',
+        'accuracy_matches_rounds', CONSISTENCY_PERCENT_TOLERANCE);
+    }
+  } else if (attempted === 0 && analysis.strikeAnalysis.volume > 0) {
+    conflict('volume_without_round_strikes', ['strikeAnalysis.volume', 'roundByRoundMetrics.rounds'],
+      `Strike volume is ${analysis.strikeAnalysis.volume} but no round records any strikes attempted`);
+  }
+
+  const breakdown = analysis.strikeAnalysis.breakdown;
+  const breakdownTotal = Object.values(breakdown).reduce((total, count) => total + count, 0);
+  if (breakdownTotal > analysis.strikeAnalysis.volume) {
+    conflict('breakdown_exceeds_volume', ['strikeAnalysis.breakdown', 'strikeAnalysis.volume'],
+      `Strike breakdown adds up to ${breakdownTotal} but total volume is ${analysis.strikeAnalysis.volume}`);
+  }
+
+  if (!isDefaulted('grapplingAnalysis')) {
+    const grapplingAnalysis = analysis.grapplingAnalysis;
+    if (takedownsAttempted > 0 && takedownsLanded <= takedownsAttempted) {
+      correct(grapplingAnalysis, 'takedownAccuracy', percentOf(takedownsLanded, takedownsAttempted),
+        'grapplingAnalysis.takedownAccuracy', 'takedown_accuracy_matches_rounds', CONSISTENCY_PERCENT_TOLERANCE);
+    }
+    // Same guard as strike volume - all-zero rounds don't overwrite a reported aggregate
+    const controlTime = sum(round => round.grappling.controlTimeSeconds);
+    if (controlTime > 0) {
+      correct(grapplingAnalysis, 'controlTime', controlTime, 'grapplingAnalysis.controlTime', 'control_time_matches_rounds');
+    } else if (grapplingAnalysis.controlTime > 0) {
+      conflict('control_time_without_round_data', ['grapplingAnalysis.controlTime', 'roundByRoundMetrics.rounds'],
+        `Control time is ${grapplingAnalysis.controlTime}s but no round records any control time`);
+    }
+    const submissionAttempts = sum(round => round.grappling.submissionAttempts);
+    if (submissionAttempts > 0) {
+      correct(grapplingAnalysis, 'submissionAttempts', submissionAttempts,
+        'grapplingAnalysis.submissionAttempts', 'submissions_match_rounds');
+    } else if (grapplingAnalysis.submissionAttempts > 0) {
+      conflict('submissions_without_round_data', ['grapplingAnalysis.submissionAttempts', 'roundByRoundMetrics.rounds'],
+        `${grapplingAnalysis.submissionAttempts} submission attempts reported but no round records any`);
+    }
+  }
+}
+
+/**
+ * Cross-field consistency checks for a validated report (data.dataQuality must be set)
+ * Both fighters mode also checks each round against the opponent's numbers.
+ * Returns: { consistent, corrections: [{ path, rule, from, to }], conflicts: [{ rule, paths, message }] }
+ */
+function checkReportConsistency(data, config) {
+  const result = { consistent: true, corrections: [], conflicts: [] };
+  const { defaultedFields } = data.dataQuality;
+  const { sections } = getAnalysisPlan(config);
+
+  if (config.analysisType !== 'both') {
+    checkFighterConsistency(data, '', defaultedFields, sections, result);
+  } else {
+    checkFighterConsistency(data.fighter1Analysis, 'fighter1Analysis', defaultedFields, sections, result);
+    checkFighterConsistency(data.fighter2Analysis, 'fighter2Analysis', defaultedFields, sections, result);
+
+    const isDefaulted = (fighterKey) => !sections.includes('roundByRoundMetrics') ||
+      defaultedFields.some(defaulted => isSchemaPathUnder(defaulted, `${fighterKey}.roundByRoundMetrics.rounds`));
+    if (!isDefaulted('fighter1Analysis') && !isDefaulted('fighter2Analysis')) {
+      const opponentRounds = data.fighter2Analysis.roundByRoundMetrics.rounds;
+      data.fighter1Analysis.roundByRoundMetrics.rounds.forEach((round, index) => {
+        const opponentIndex = opponentRounds.findIndex(other => other.roundNumber === round.roundNumber);
+        if (opponentIndex === -1) return;
+        const opponent = opponentRounds[opponentIndex];
+        const path1 = `fighter1Analysis.roundByRoundMetrics.rounds[${index}]`;
+        const path2 = `fighter2Analysis.roundByRoundMetrics.rounds[${opponentIndex}]`;
+        [
+          [round, path1, opponent, path2, config.fighter1Name || 'Fighter 1', config.fighter2Name || 'Fighter 2'],
+          [opponent, path2, round, path1, config.fighter2Name || 'Fighter 2', config.fighter1Name || 'Fighter 1']
+        ].forEach(([defender, defenderPath, attacker, attackerPath, defenderName, attackerName]) => {
+          if (defender.defense.strikesAbsorbed !== attacker.striking.strikesLanded) {
+            result.conflicts.push({
+              rule: 'absorbed_matches_opponent_landed',
+              paths: [`${defenderPath}.defense.strikesAbsorbed`, `${attackerPath}.striking.strikesLanded`],
+              message: `Round ${round.roundNumber}: ${defenderName} absorbed ${defender.defense.strikesAbsorbed} strikes but ${attackerName} landed ${attacker.striking.strikesLanded}`
+            });
+          }
+        });
+      });
+    }
+  }
+
+  result.consistent = result.conflicts.length === 0;
+  if (result.corrections.length > 0 || result.conflicts.length > 0) {
+    console.warn(`Consistency: ${result.corrections.length} derived field(s) corrected, ${result.conflicts.length} conflict(s) remain`);
+  }
+  return result;
+}
+
+/**
+ * Deficient parts of a report that a targeted follow-up request can regenerate
+ * pattern matches a defaulted/templated path relative to the fighter analysis;
+ * minItems(config) is how many entries the regenerated value must have to be kept.
+ */
+const REGENERATION_RULES = [
+  {
+    pattern: /^gamePlan$/,
+    path: 'gamePlan',
+    problem: () => 'the whole game plan was missing'
+  },
+  {
+    pattern: /^gamePlan\.thingsToAvoid(\[\d+\].*)?$/,
+    path: 'gamePlan.thingsToAvoid',
+    problem: () => 'reason/alternative were missing, too short or generic template phrases',
+    minItems: () => 1
+  },
+  {
+    pattern: /^gamePlan\.roundByRound$/,
+    path: 'gamePlan.roundByRound',
+    problem: (config) => `missing or too few entries - need EXACTLY ${config.userFightRounds || 3}`,
+    minItems: (config) => config.userFightRounds || 3
+  },
+  {
+    pattern: /^gamePlan\.roundGamePlans$/,
+    path: 'gamePlan.roundGamePlans',
+    problem: (config) => `missing or too few entries - need EXACTLY ${config.userFightRounds || 3}`,
+    minItems: (config) => config.userFightRounds || 3
+  },
+  {
+    pattern: /^roundByRoundMetrics(\.rounds)?$/,
+    path: 'roundByRoundMetrics.rounds',
+    problem: (config) => `fewer rounds than the video shows - need EXACTLY ${getSchemaContext(config).videoRounds}`,
+    minItems: (config) => getSchemaContext(config).videoRounds
+  }
+];
+
+// Report fields sent as compact context so regenerated parts stay consistent with the rest
+const REGENERATION_SUMMARY_FIELDS = [
+  'fighterIdentification.visualIdentifiers',
+  'executiveSummary.summary',
+  'executiveSummary.keyFindings',
+  'fightingStyleBreakdown.primaryStyle',
+  'fightingStyleBreakdown.stance',
+  'fightingStyleBreakdown.styleDescription',
+  'strikeAnalysis.volume',
+  'strikeAnalysis.accuracy',
+  'cardioAnalysis.overallStamina',
+  'strengthsWeaknesses.strengths',
+  'strengthsWeaknesses.weaknesses',
+  'mistakePatterns.patterns',
+  'gamePlan.overallStrategy'
+];
+
+function getValueAtPath(target, path) {
+  return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), target);
+}
+
+function setValueAtPath(target, path, value) {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((object, key) => {
+    if (!object[key] || typeof object[key] !== 'object') object[key] = {};
+    return object[key];
+  }, target);
+  parent[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Schema (and template context) of a dotted report path, e.g. 'fighter1Analysis.gamePlan'
+ */
+function getSchemaAtPath(rootSchema, path, context) {
+  let schema = resolveSchemaRef(rootSchema);
+  for (const key of path.split('.')) {
+    schema = resolveSchemaRef((schema.properties || {})[key]);
+    if (!schema) throw new Error(`SCHEMA_ERROR: No schema for report path ${path}`);
+    context = getPropertyContext(schema, context);
+  }
+  return { schema, context };
+}
+
+/**
+ * Turn a report's dataQuality findings into regeneration targets
+ * Returns [{ path, problem, minItems }] - a whole-section target replaces its own fields
+ */
+function findRegenerationTargets(dataQuality, config) {
+  const deficientPaths = [
+    ...dataQuality.defaultedFields,
+    ...dataQuality.templatedThingsToAvoid.map(entry => entry.path)
+  ];
+
+  const targets = new Map();
+  deficientPaths.forEach(fieldPath => {
+    const [, prefix = '', relativePath] = fieldPath.match(/^(fighter[12]Analysis\.)?(.*)$/);
+    const rule = REGENERATION_RULES.find(candidate => candidate.pattern.test(relativePath));
+    if (!rule) return;
+    const path = prefix + rule.path;
+    targets.set(path, {
+      path,
+      problem: rule.problem(config),
+      minItems: rule.minItems ? rule.minItems(config) : 0
+    });
+  });
+
+  return [...targets.values()].filter(target =>
+    ![...targets.keys()].some(other => other !== target.path && isSchemaPathUnder(other, target.path))
+  );
+}
+
+/**
+ * Compact view of the report so far (per fighter in both mode)
+ * Fields the server defaulted are left out so placeholders aren't echoed back as context
+ */
+function buildRegenerationSummary(data, config) {
+  const { defaultedFields } = data.dataQuality;
+  const pick = (analysis, prefix) => Object.fromEntries(
+    REGENERATION_SUMMARY_FIELDS
+      .filter(fieldPath => !defaultedFields.some(defaulted => isSchemaPathUnder(defaulted, prefix + fieldPath)))
+      .map(fieldPath => [fieldPath, getValueAtPath(analysis, fieldPath)])
+      .filter(([, value]) => value !== undefined && value !== null)
+  );
+  return config.analysisType === 'both'
+    ? {
+        fighter1Analysis: pick(data.fighter1Analysis, 'fighter1Analysis.'),
+        fighter2Analysis: pick(data.fighter2Analysis, 'fighter2Analysis.')
+      }
+    : pick(data, '');
+}
 
-- Do NOT assume based on fighter names - analyze ONLY the video frames
-- Do NOT confuse the opponent's skills with ${fighterName}'s skills
+/**
+ * Tool for the regeneration call - one property per target path
+ */
+function buildRegenerationTool(targets, config) {
+  const reportSchema = getReportSchema(config.analysisType);
+  const properties = {};
+  targets.forEach(target => {
+    const { schema, context } = getSchemaAtPath(reportSchema, target.path, getSchemaContext(config));
+    properties[target.path] = buildModelOutputSchema(schema, context);
+  });
 
-RESPOND WITH ONLY THE JSON OBJECT. NO MARKDOWN, NO EXPLANATION, JUST PURE JSON.`;
+  return {
+    name: REPORT_TOOL_NAME,
+    description: 'Submit the regenerated report parts. Each key is a report path; its value replaces that part of the report.',
+    input_schema: { type: 'object', properties, required: targets.map(target => target.path) },
+  };
 }
 
 /**
- * Call Claude API with frames and get analysis
- * Sends frames as base64 directly to Claude (no R2 URLs needed)
+ * Prompt for the follow-up request that regenerates only the deficient parts
  */
-async function analyzeWithClaude(frames, config) {
-  const prompt = buildClaudePrompt(config);
+function buildRegenerationPrompt(targets, data, config, { withFrames, tool }) {
+  const reportSchema = getReportSchema(config.analysisType);
+  const schemaContext = getSchemaContext(config);
+  const targetList = targets.map(target => `- "${target.path}": ${target.problem}`).join('\n');
+  const skeleton = targets.map(target => {
+    const { schema, context } = getSchemaAtPath(reportSchema, target.path, schemaContext);
+    return `  "${target.path}": ${renderSchemaSkeleton(schema, context, '  ')}`;
+  }).join(',\n');
+
+  return `You are an elite MMA analyst. An earlier pass produced a tactical report${config.analysisType === 'both' ? ` comparing ${schemaContext.fighter1Name} and ${schemaContext.fighter2Name}` : ` on ${schemaContext.fighterName}`}, but some parts came back missing or generic. Regenerate ONLY these parts:
+${targetList}
+
+${withFrames
+    ? 'The fight frames are attached again. Every detail must come from what is visible in them.'
+    : 'The frames are not attached. Base every detail on the report summary below and keep it consistent with it.'}
 
-  // Build the content array with images as base64
-  const content = [];
+═══════════════════════════════════════════════════════════
+REPORT SO FAR (summary - keep the regenerated parts consistent with it)
+═══════════════════════════════════════════════════════════
+${JSON.stringify(buildRegenerationSummary(data, config), null, 2)}
 
-  // Process up to 100 frames (Claude API limit for optimal performance)
-  // All frames are strategically sampled by iOS, so no additional filtering needed
-  // iOS frame distribution: 25% early, 35% mid (peak activity), 25% late, 15% transitions
-  const maxFrames = Math.min(frames.length, 100);
+RULES:
+- Be specific to this fighter and this footage - reference the observed strengths, weaknesses and mistake patterns above.
+- Every thingsToAvoid "reason" must explain the specific danger and every "alternative" must give a concrete replacement action (at least one full sentence each).
+- NEVER use these phrases: ${TEMPLATED_PHRASES.map(phrase => `"${phrase}"`).join(', ')}.
+- Game plan rounds: EXACTLY ${schemaContext.userRounds}. Round metrics: EXACTLY ${schemaContext.videoRounds} rounds.
 
-  // Process ALL frames sent from iOS (no skipping)
-  // iOS already did strategic sampling, so every frame matters
-  let frameCount = 0;
-  for (let i = 0; i < maxFrames; i++) {
-    const frame = frames[i];
-    if (!frame) break;
+JSON FORMAT - an object with exactly these keys:
+{
+${skeleton}
+}${buildResponseInstruction(tool)}`;
+}
 
-    const base64Data = frame.buffer.toString('base64');
+/**
+ * Regenerate placeholder or templated parts of a validated report with one targeted request
+ * The regenerated values are schema-coerced and merged in place of the filler; a value that
+ * is still too short (e.g. too few rounds) is discarded and the placeholder kept.
+ * dataQuality is recomputed, with the replaced paths listed in regeneratedFields.
+ * A failed request keeps the report as-is - only cancellation is propagated.
+ * options: { imageBlocks, signal, onAttempt, onUsage, onStage }
+ */
+async function regenerateDeficientSections(data, config, options = {}) {
+  const targets = findRegenerationTargets(data.dataQuality, config);
+  if (targets.length === 0) return data;
+
+  if (options.onStage) options.onStage('regenerating');
+  console.log(`Regenerating ${targets.length} deficient part(s): ${targets.map(target => target.path).join(', ')}`);
+
+  const withFrames = REGENERATION_CONTEXT === 'frames' && (options.imageBlocks || []).length > 0;
+  const tool = STRUCTURED_OUTPUT ? buildRegenerationTool(targets, config) : null;
+  const content = [
+    ...(withFrames ? options.imageBlocks : []),
+    { type: 'text', text: buildRegenerationPrompt(targets, data, config, { withFrames, tool }) }
+  ];
 
-    content.push({
-      type: 'image',
-      source: {
-        type: 'base64',
-        media_type: 'image/jpeg',
-        data: base64Data,
-      },
+  let regenerated;
+  try {
+    const result = await requestClaudeJSON(content, config, {
+      tool,
+      signal: options.signal,
+      deadline: options.deadline,
+      onAttempt: options.onAttempt,
+      onUsage: options.onUsage
     });
-    frameCount++;
+    regenerated = parseReportResult(result).data;
+  } catch (error) {
+    if (error.message.includes('CANCELLED')) throw error;
+    console.error(`Regeneration failed - keeping placeholders: ${error.message}`);
+    return data;
   }
 
-  // Build frame distribution metadata to help Claude understand the sampling strategy
-  const videoDuration = config.videoDuration || 0;
-  const videoDurationMin = Math.round(videoDuration / 60);
-  const frameMetadata = `
-═══════════════════════════════════════════════════════════
-📊 STRATEGIC FRAME SAMPLING INFORMATION
-═══════════════════════════════════════════════════════════
-
-You are analyzing ${frameCount} frames from a ${videoDurationMin}-minute MMA fight, strategically distributed as follows:
-
-FRAME DISTRIBUTION (matching typical MMA fight dynamics):
-┌─────────────────────────────────────────────────────────────┐
-│ Early Fight (0-33% of video): ~${Math.round(frameCount * 0.25)} frames                │
-│   Focus: Opening speed, timing, stance, initial style reads │
-│   Sampling: Moderate density                                │
-├─────────────────────────────────────────────────────────────┤
-│ Mid Fight (33-66% of video): ~${Math.round(frameCount * 0.35)} frames [DENSEST]       │
-│   Focus: Tactical adjustments, fatigue patterns, pressure   │
-│   Why: Peak activity period with most combinations          │
-├─────────────────────────────────────────────────────────────┤
-│ Late Fight (66-90% of video): ~${Math.round(frameCount * 0.25)} frames                │
-│   Focus: Cardio decline, fatigue-induced mistakes           │
-│   Importance: Desperation moves, endurance indicators       │
-├─────────────────────────────────────────────────────────────┤
-│ Key Transitions (throughout): ~${Math.round(frameCount * 0.15)} frames                │
-│   Focus: Takedowns, knockdowns, clinch entries              │
-│   Why: Critical moments captured with spike sampling        │
-└─────────────────────────────────────────────────────────────┘
-
-FRAME QUALITY: 1280x720 resolution for detailed technique analysis
-- Hand positioning, footwork, stance, and guard are clearly visible
-- Use this detail level for precise tactical observations
+  const reportSchema = getReportSchema(config.analysisType);
+  const schemaContext = getSchemaContext(config);
+  const quality = {
+    defaultedFields: [...data.dataQuality.defaultedFields],
+    templatedThingsToAvoid: [...data.dataQuality.templatedThingsToAvoid],
+    regeneratedFields: [],
+    invalidEvidence: data.dataQuality.invalidEvidence
+  };
 
-USE THIS DISTRIBUTION TO PROVIDE INSIGHTS INTO:
-1. How the fighter's tactics evolved from early → mid → late phases
-2. Fatigue impact on technique quality and decision-making
-3. Critical transition moments and their outcomes
-4. Pattern changes under pressure (mid-fight is most revealing)
+  targets.forEach(target => {
+    let value = regenerated[target.path] !== undefined
+      ? regenerated[target.path]
+      : getValueAtPath(regenerated, target.path);
+    if (value === undefined || value === null) {
+      console.warn(`Regeneration returned nothing for ${target.path} - keeping placeholder`);
+      return;
+    }
 
-`;
+    // Findings for the replacement are collected separately so a rejected value changes nothing
+    const targetQuality = { defaultedFields: [], templatedThingsToAvoid: [] };
+    const { schema, context } = getSchemaAtPath(reportSchema, target.path, schemaContext);
+    if (target.path.endsWith('thingsToAvoid')) {
+      value = normalizeThingsToAvoid(value, target.path, targetQuality);
+    } else if (target.path.endsWith('gamePlan') && value && typeof value === 'object') {
+      value.thingsToAvoid = normalizeThingsToAvoid(value.thingsToAvoid, `${target.path}.thingsToAvoid`, targetQuality);
+    }
+    value = coerceToSchema(value, schema, {
+      ...context,
+      onDefault: (fieldPath) => targetQuality.defaultedFields.push(fieldPath)
+    }, target.path);
+
+    if (target.minItems && (!Array.isArray(value) || value.length < target.minItems)) {
+      console.warn(`Regenerated ${target.path} has ${Array.isArray(value) ? value.length : 0} entries (need ${target.minItems}) - keeping placeholder`);
+      return;
+    }
+    if (target.path.endsWith('gamePlan') && value) {
+      fillGamePlanRoundDefaults(value, config.userFightRounds || 3, targetQuality, target.path);
+    }
 
-  // Add the analysis prompt with frame metadata
-  content.push({
-    type: 'text',
-    text: frameMetadata + prompt,
+    setValueAtPath(data, target.path, value);
+    quality.defaultedFields = quality.defaultedFields
+      .filter(fieldPath => !isSchemaPathUnder(target.path, fieldPath))
+      .concat(targetQuality.defaultedFields);
+    quality.templatedThingsToAvoid = quality.templatedThingsToAvoid
+      .filter(entry => !isSchemaPathUnder(target.path, entry.path))
+      .concat(targetQuality.templatedThingsToAvoid);
+    quality.regeneratedFields.push(target.path);
   });
 
-  console.log(`📊 Sending ${frameCount} strategically sampled frames to Claude API`);
-  console.log(`   Distribution: ~${Math.round(frameCount * 0.25)} early, ~${Math.round(frameCount * 0.35)} mid, ~${Math.round(frameCount * 0.25)} late, ~${Math.round(frameCount * 0.15)} transitions`);
-  console.log(`Analysis started at: ${new Date().toISOString()}`);
-
-  // Create AbortController for timeout (12 minutes max for video analysis)
-  // Must support 30-min videos with up to 100 frames as advertised
-  // Claude processing time scales with frame count: ~6 sec/frame + overhead
-  const controller = new AbortController();
-  const timeoutMs = 12 * 60 * 1000; // 12 minutes
-  const timeoutId = setTimeout(() => {
-    controller.abort();
-    console.error(`Claude API call timed out after 12 minutes (${frameCount} frames)`);
-  }, timeoutMs);
+  data.dataQuality = buildDataQuality(data, reportSchema, quality, getAnalysisPlan(config).sections);
 
-  let response;
-  try {
-    response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 16000, // Must be high enough for full JSON response - DO NOT REDUCE
-      messages: [
-        {
-          role: 'user',
-          content: content,
-        },
-      ],
-    }, {
-      signal: controller.signal,
-    });
-  } catch (apiError) {
-    clearTimeout(timeoutId);
-    if (apiError.name === 'AbortError') {
-      throw new Error('TIMEOUT: Analysis took too long (12+ minutes). Please try again - the AI service may be experiencing high load.');
-    }
-    // Provide more specific error messages for Claude API errors
-    const errorMessage = apiError.message || 'Unknown API error';
-    console.error('Claude API error details:', {
-      name: apiError.name,
-      message: errorMessage,
-      status: apiError.status,
-      type: apiError.type
-    });
+  // Re-check with the regenerated rounds; earlier corrections outside them still apply
+  const previousCorrections = data.consistency.corrections.filter(correction =>
+    !quality.regeneratedFields.some(fieldPath => isSchemaPathUnder(fieldPath, correction.path)));
+  data.consistency = checkReportConsistency(data, config);
+  data.consistency.corrections.unshift(...previousCorrections);
+  console.log(`Regenerated ${quality.regeneratedFields.length}/${targets.length} part(s) - data quality now ${data.dataQuality.completenessScore}% complete`);
+  return data;
+}
 
-    if (apiError.status === 429) {
-      throw new Error('API_RATE_LIMIT: The service is temporarily busy. Please try again in a few minutes.');
-    } else if (apiError.status === 400) {
-      throw new Error('API_BAD_REQUEST: Invalid request to AI service. ' + errorMessage);
-    } else if (apiError.status === 500 || apiError.status === 502 || apiError.status === 503) {
-      throw new Error('API_SERVICE_ERROR: AI service is temporarily unavailable. Please try again later.');
-    } else {
-      throw new Error('API_ERROR: ' + errorMessage);
-    }
-  } finally {
-    clearTimeout(timeoutId);
-  }
+// ============================================
+// WEBHOOK CALLBACKS
+// ============================================
 
-  console.log(`Analysis completed at: ${new Date().toISOString()}`);
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const WEBHOOK_BASE_DELAY_MS = 2000; // 2s, 4s, 8s, 16s between attempts
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Callbacks may only reach public addresses - otherwise any caller could make the server
+// probe loopback, cloud metadata (169.254.169.254) or the private network.
+// WEBHOOK_ALLOWED_HOSTS (comma-separated hostnames) restricts callbacks to those hosts,
+// which are trusted to resolve anywhere (e.g. a partner's internal endpoint, localhost in dev)
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+
+const blockedWebhookAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => blockedWebhookAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => blockedWebhookAddresses.addSubnet(network, prefix, 'ipv6'));
 
-  // Check for truncated response (stop_reason will be "max_tokens" if cut off)
-  const stopReason = response.stop_reason;
-  const inputTokens = response.usage?.input_tokens || 0;
-  const outputTokens = response.usage?.output_tokens || 0;
+/**
+ * Loopback, link-local, private, ULA and other non-public addresses
+ * IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked as IPv4
+ */
+function isBlockedWebhookAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return blockedWebhookAddresses.check(mapped[1], 'ipv4');
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return blockedWebhookAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
 
-  console.log(`Claude response stats: stop_reason=${stopReason}, input_tokens=${inputTokens}, output_tokens=${outputTokens}`);
+function isAllowlistedWebhookHost(hostname) {
+  return WEBHOOK_ALLOWED_HOSTS.includes(hostname.toLowerCase());
+}
 
-  if (stopReason === 'max_tokens') {
-    console.error('CRITICAL: Response was TRUNCATED due to max_tokens limit!');
-    console.error(`Used ${outputTokens} output tokens - need to increase max_tokens`);
-    throw new Error('RESPONSE_TRUNCATED: Analysis response was cut off. This is a server configuration issue - please contact support.');
-  }
+/**
+ * URL hostname without IPv6 brackets
+ */
+function getWebhookHost(url) {
+  return url.hostname.replace(/^\[|\]$/g, '');
+}
 
-  // Extract the JSON from Claude's response
-  const responseText = response.content[0].text;
+/**
+ * dns.lookup replacement for webhook requests - fails when the host resolves to a
+ * blocked address, so the address checked is the one the socket connects to
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(entry => isBlockedWebhookAddress(entry.address))) {
+      return callback(new Error('WEBHOOK_BLOCKED: callbackUrl does not resolve to a public address'));
+    }
+    callback(null, address, family);
+  });
+}
 
-  // Log raw response for debugging (first 500 chars and last 200 chars)
-  console.log('Claude raw response (first 500 chars):', responseText.substring(0, 500));
-  console.log('Claude raw response (last 200 chars):', responseText.substring(responseText.length - 200));
+// Callback secrets are stored encrypted (AES-256-GCM) so they never sit in plain text in
+// data/analyses - the key comes from WEBHOOK_SECRET_KEY (or AUTH_TOKEN_SECRET); without
+// either it is random per process and secrets of jobs resumed after a restart are lost
+const WEBHOOK_SECRET_KEY = crypto.createHash('sha256')
+  .update(`webhook-secret:${process.env.WEBHOOK_SECRET_KEY || process.env.AUTH_TOKEN_SECRET || crypto.randomBytes(32).toString('hex')}`)
+  .digest();
 
-  // Parse JSON with robust extraction
-  const analysisData = extractAndParseJSON(responseText);
+/**
+ * Encrypt a callback secret for storage - "<iv>.<tag>.<ciphertext>", base64url encoded
+ */
+function encryptWebhookSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', WEBHOOK_SECRET_KEY, iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+}
 
-  // DEBUG: Log raw thingsToAvoid from Claude before validation
-  if (analysisData.gamePlan?.thingsToAvoid) {
-    console.log('=== DEBUG: Raw thingsToAvoid from Claude ===');
-    console.log(JSON.stringify(analysisData.gamePlan.thingsToAvoid, null, 2));
-  } else if (analysisData.fighter1Analysis?.gamePlan?.thingsToAvoid) {
-    console.log('=== DEBUG: Raw fighter1 thingsToAvoid from Claude ===');
-    console.log(JSON.stringify(analysisData.fighter1Analysis.gamePlan.thingsToAvoid, null, 2));
+/**
+ * Decrypt a stored callback secret - null when it was encrypted under another key
+ */
+function decryptWebhookSecret(encrypted) {
+  try {
+    const [iv, tag, ciphertext] = encrypted.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', WEBHOOK_SECRET_KEY, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+  } catch (e) {
+    return null;
   }
+}
 
-  // Validate and fix the data to match iOS model exactly
-  const validatedData = validateAndFixAnalysisData(analysisData, config);
+/**
+ * Validate callback settings from the /analyze config
+ * Returns { url, encryptedSecret } or null when no callback was requested; throws on a bad URL
+ * Hosts that are obviously internal (localhost, private IP literals) are rejected here;
+ * names are resolved and checked again on every delivery attempt
+ */
+function parseWebhookConfig(config) {
+  if (!config.callbackUrl) return null;
 
-  // DEBUG: Log thingsToAvoid after validation
-  if (validatedData.gamePlan?.thingsToAvoid) {
-    console.log('=== DEBUG: thingsToAvoid after validation ===');
-    console.log(JSON.stringify(validatedData.gamePlan.thingsToAvoid, null, 2));
-  } else if (validatedData.fighter1Analysis?.gamePlan?.thingsToAvoid) {
-    console.log('=== DEBUG: fighter1 thingsToAvoid after validation ===');
-    console.log(JSON.stringify(validatedData.fighter1Analysis.gamePlan.thingsToAvoid, null, 2));
+  let url;
+  try {
+    url = new URL(config.callbackUrl);
+  } catch (e) {
+    throw new Error('INVALID_CALLBACK_URL: callbackUrl is not a valid URL');
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new Error('INVALID_CALLBACK_URL: callbackUrl must use http or https');
+  }
+  const host = getWebhookHost(url);
+  if (WEBHOOK_ALLOWED_HOSTS.length > 0) {
+    if (!isAllowlistedWebhookHost(host)) {
+      throw new Error('INVALID_CALLBACK_URL: callbackUrl host is not on the allowed list');
+    }
+  } else if (host.toLowerCase() === 'localhost' || host.toLowerCase().endsWith('.localhost') ||
+    (net.isIP(host) && isBlockedWebhookAddress(host))) {
+    throw new Error('INVALID_CALLBACK_URL: callbackUrl must be a public address');
   }
 
-  return validatedData;
+  return {
+    url: url.toString(),
+    encryptedSecret: typeof config.callbackSecret === 'string' && config.callbackSecret
+      ? encryptWebhookSecret(config.callbackSecret)
+      : null
+  };
 }
 
 /**
- * Extract JSON from Claude's response, handling markdown and extra text
- * Also attempts to repair common JSON issues from truncated responses
+ * Sign a webhook body so receivers can verify it came from us
+ * Signature = HMAC-SHA256(secret, "<timestamp>.<body>"), hex encoded
  */
-function extractAndParseJSON(text) {
-  // Remove markdown code blocks if present
-  let cleaned = text.trim();
+function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
 
-  // Remove ```json ... ``` or ``` ... ```
-  cleaned = cleaned.replace(/^```json\s*/i, '').replace(/^```\s*/i, '');
-  cleaned = cleaned.replace(/\s*```$/i, '');
+/**
+ * One webhook POST - resolves with the HTTP status code
+ * Redirects are not followed, and unless the host is allowlisted the resolved address
+ * must be public (IP literals are checked directly since they skip the lookup)
+ */
+function postWebhook(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const host = getWebhookHost(target);
+    const trusted = isAllowlistedWebhookHost(host);
+    if (!trusted && net.isIP(host) && isBlockedWebhookAddress(host)) {
+      return reject(new Error('WEBHOOK_BLOCKED: callbackUrl does not resolve to a public address'));
+    }
 
-  // Log response length for debugging
-  console.log(`Response length: ${cleaned.length} characters`);
+    const client = target.protocol === 'https:' ? https : http;
+    const request = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: trusted ? undefined : lookupPublicAddress
+    }, (response) => {
+      response.resume();
+      response.on('end', () => {
+        clearTimeout(timer);
+        resolve(response.statusCode);
+      });
+    });
+    const timer = setTimeout(() => {
+      request.destroy(Object.assign(new Error('Request timed out'), { name: 'TimeoutError' }));
+    }, WEBHOOK_TIMEOUT_MS);
+    request.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    request.end(body);
+  });
+}
+
+/**
+ * POST the final analysis outcome to the configured callbackUrl
+ * Retries non-2xx responses and network errors with exponential backoff.
+ * Every attempt is appended to stored.webhookDeliveries so it can be inspected later.
+ * The callback secret is dropped from the record once delivery is over (delivered or given up).
+ * Pending retries are not resumed after a restart.
+ */
+async function deliverWebhook(analysisId) {
+  const stored = analysisStore.get(analysisId);
+  if (!stored || !stored.webhook) return;
+  if (stored.status !== 'completed' && stored.status !== 'failed') return;
 
-  // Try direct parse first
   try {
-    return JSON.parse(cleaned);
-  } catch (e) {
-    console.log('Direct parse failed:', e.message);
+    await sendWebhookAttempts(analysisId, stored);
+  } finally {
+    if (stored.webhook.encryptedSecret) {
+      stored.webhook.encryptedSecret = null;
+      analysisStore.set(analysisId, stored);
+    }
   }
+}
 
-  // Try to find JSON object in text
-  const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
-  if (jsonMatch) {
-    let jsonStr = jsonMatch[0];
+async function sendWebhookAttempts(analysisId, stored) {
+  let secret = null;
+  if (stored.webhook.encryptedSecret) {
+    secret = decryptWebhookSecret(stored.webhook.encryptedSecret);
+    if (!secret) {
+      // An unsigned payload would just be rejected by a receiver that expects signatures
+      console.error(`Webhook for ${analysisId} not sent: callback secret can no longer be decrypted (server key changed)`);
+      stored.webhookDeliveries = stored.webhookDeliveries || [];
+      stored.webhookDeliveries.push({
+        deliveryId: uuidv4(),
+        event: stored.status === 'completed' ? 'analysis.completed' : 'analysis.failed',
+        attempt: 0,
+        attemptedAt: new Date().toISOString(),
+        statusCode: null,
+        success: false,
+        error: 'Callback secret unavailable after a server restart'
+      });
+      analysisStore.set(analysisId, stored);
+      return;
+    }
+  }
 
-    // Try direct parse of extracted JSON
+  const event = stored.status === 'completed' ? 'analysis.completed' : 'analysis.failed';
+  const deliveryId = uuidv4();
+  const body = JSON.stringify({
+    event,
+    analysisID: analysisId,
+    status: stored.status === 'completed' ? 'Completed' : 'Failed',
+    shouldRefund: stored.shouldRefund || false,
+    refundReason: stored.refundReason || null,
+    refund: stored.refund || null,
+    error: stored.error || null,
+    timestamp: new Date().toISOString()
+  });
+
+  for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'FightLab-Webhook/1.0',
+      'X-FightLab-Event': event,
+      'X-FightLab-Delivery': deliveryId,
+      'X-FightLab-Timestamp': timestamp
+    };
+    if (secret) {
+      headers['X-FightLab-Signature'] = `sha256=${signWebhookPayload(secret, timestamp, body)}`;
+    }
+
+    const startedAt = Date.now();
+    const entry = { deliveryId, event, attempt, attemptedAt: new Date(startedAt).toISOString() };
+
+    let blocked = false;
     try {
-      return JSON.parse(jsonStr);
-    } catch (e) {
-      console.log('Extracted JSON parse failed, attempting repair:', e.message);
+      const statusCode = await postWebhook(stored.webhook.url, headers, body);
+      entry.statusCode = statusCode;
+      entry.success = statusCode >= 200 && statusCode < 300;
+      if (!entry.success) entry.error = `HTTP ${statusCode}`;
+    } catch (err) {
+      blocked = err.message.startsWith('WEBHOOK_BLOCKED');
+      entry.statusCode = null;
+      entry.success = false;
+      entry.error = err.name === 'TimeoutError' ? 'Request timed out'
+        : blocked ? 'callbackUrl does not resolve to a public address'
+          : `Delivery failed${err.code ? ` (${err.code})` : ''}`;
+      console.warn(`Webhook request error for ${analysisId}: ${err.message}`);
+    }
+    entry.durationMs = Date.now() - startedAt;
 
-      // Attempt to repair truncated JSON
-      jsonStr = repairTruncatedJSON(jsonStr);
+    const delay = WEBHOOK_BASE_DELAY_MS * Math.pow(2, attempt - 1);
+    if (!entry.success && !blocked && attempt < WEBHOOK_MAX_ATTEMPTS) {
+      entry.nextRetryAt = new Date(Date.now() + delay).toISOString();
+    }
 
-      try {
-        return JSON.parse(jsonStr);
-      } catch (e2) {
-        console.error('JSON repair failed:', e2.message);
-        console.error('JSON snippet around error:', jsonStr.substring(Math.max(0, jsonStr.length - 500)));
-      }
+    stored.webhookDeliveries = stored.webhookDeliveries || [];
+    stored.webhookDeliveries.push(entry);
+    analysisStore.set(analysisId, stored);
+
+    if (entry.success) {
+      console.log(`Webhook ${event} delivered for ${analysisId} (attempt ${attempt})`);
+      return;
+    }
+
+    console.warn(`Webhook ${event} for ${analysisId} failed (attempt ${attempt}/${WEBHOOK_MAX_ATTEMPTS}): ${entry.error}`);
+    if (blocked) {
+      // Retrying won't change where the host points to within this window
+      console.error(`Webhook ${event} for ${analysisId} refused: callback host is not public`);
+      return;
+    }
+    if (attempt < WEBHOOK_MAX_ATTEMPTS) {
+      await new Promise(resolve => setTimeout(resolve, delay));
     }
   }
 
-  throw new Error('Could not extract valid JSON from Claude response');
+  console.error(`Webhook ${event} for ${analysisId} gave up after ${WEBHOOK_MAX_ATTEMPTS} attempts`);
 }
 
-/**
- * Attempt to repair truncated JSON by closing unclosed brackets
- */
-function repairTruncatedJSON(jsonStr) {
-  console.log('Attempting to repair truncated JSON...');
+// ============================================
+// AUTHENTICATION
+// ============================================
 
-  // Count open and close brackets
-  let openBraces = 0;
-  let openBrackets = 0;
-  let inString = false;
-  let escapeNext = false;
+// Tokens are HMAC-signed locally - no external identity provider
+// AUTH_DISABLED=true runs every request as one anonymous user (local development only);
+// it has to be set explicitly so a missing secret can't silently open every report
+const AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || '';
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true';
+const AUTH_ENABLED = !AUTH_DISABLED;
+const AUTH_TOKEN_TTL_SECONDS = parseInt(process.env.AUTH_TOKEN_TTL_SECONDS, 10) || 7 * 24 * 60 * 60;
+const ANONYMOUS_USER_ID = 'anonymous';
+const TOKEN_TYPES = ['bearer', 'api_key'];
+const USER_ID_PATTERN = /^[\w.@:-]{1,128}$/;
+
+if (AUTH_ENABLED && !AUTH_TOKEN_SECRET) {
+  throw new Error('AUTH_TOKEN_SECRET is not set - set it, or set AUTH_DISABLED=true to run without authentication');
+}
+if (!AUTH_ENABLED) {
+  console.warn('AUTH_DISABLED=true - authentication is DISABLED and all analyses are public');
+}
 
-  for (let i = 0; i < jsonStr.length; i++) {
-    const char = jsonStr[i];
+// Shared secret for /api/admin routes - unset disables them entirely
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || '';
 
-    if (escapeNext) {
-      escapeNext = false;
-      continue;
-    }
+const signTokenPayload = (encodedPayload) =>
+  crypto.createHmac('sha256', AUTH_TOKEN_SECRET).update(encodedPayload).digest('base64url');
 
-    if (char === '\\') {
-      escapeNext = true;
-      continue;
-    }
+/**
+ * Whether two strings are equal, compared in constant time
+ */
+function safeEqual(a, b) {
+  const given = Buffer.from(String(a));
+  const expected = Buffer.from(String(b));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
 
-    if (char === '"' && !escapeNext) {
-      inString = !inString;
-      continue;
-    }
+/**
+ * Revoked token IDs (jti)
+ * One line per revocation in DATA_DIR/revoked-tokens.jsonl (memory only with the memory store),
+ * replayed on startup. Bearer tokens are dropped from the list once they would have expired.
+ */
+function createTokenRevocationList(driver) {
+  const file = driver === 'file' ? path.join(DATA_DIR, 'revoked-tokens.jsonl') : null;
+  const revoked = new Map();
+  const isLive = (entry) => !entry.exp || entry.exp > Math.floor(Date.now() / 1000);
 
-    if (!inString) {
-      if (char === '{') openBraces++;
-      else if (char === '}') openBraces--;
-      else if (char === '[') openBrackets++;
-      else if (char === ']') openBrackets--;
+  if (file && fs.existsSync(file)) {
+    for (const line of fs.readFileSync(file, 'utf8').split('\n').filter(Boolean)) {
+      try {
+        const entry = JSON.parse(line);
+        if (isLive(entry)) revoked.set(entry.jti, entry);
+      } catch (err) {
+        console.error('Skipping unreadable revocation line:', err.message);
+      }
     }
+    console.log(`Loaded ${revoked.size} revoked tokens from ${file}`);
   }
 
-  console.log(`Unclosed braces: ${openBraces}, unclosed brackets: ${openBrackets}`);
+  return {
+    has: (jti) => revoked.has(jti),
+
+    /**
+     * Revoke a token ID - revoking it again returns the original entry
+     */
+    add({ jti, userId = null, exp = null }) {
+      if (revoked.has(jti)) return revoked.get(jti);
+      const entry = { jti, userId, exp, revokedAt: new Date().toISOString() };
+      if (file) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+      }
+      revoked.set(jti, entry);
+      return entry;
+    }
+  };
+}
 
-  // If we're in a string, close it
-  if (inString) {
-    jsonStr += '"';
-  }
+const revokedTokens = createTokenRevocationList(STORE_DRIVER);
 
-  // Remove trailing incomplete values (like partial strings or numbers)
-  jsonStr = jsonStr.replace(/,\s*"[^"]*$/, ''); // Remove incomplete string value
-  jsonStr = jsonStr.replace(/,\s*\d+\.?\d*$/, ''); // Remove incomplete number
-  jsonStr = jsonStr.replace(/:\s*"[^"]*$/, ': ""'); // Complete incomplete string after colon
-  jsonStr = jsonStr.replace(/,\s*$/, ''); // Remove trailing comma
+/**
+ * Issue a signed token for a user
+ * Bearer tokens expire after expiresInSeconds; API keys never expire but, like any
+ * token, can be revoked by their ID (jti)
+ * Format: base64url(payload).base64url(hmac)
+ */
+function issueAuthToken(userId, type = 'bearer', expiresInSeconds = AUTH_TOKEN_TTL_SECONDS) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = { sub: userId, type, jti: crypto.randomUUID(), iat: now };
+  if (type === 'bearer') payload.exp = now + expiresInSeconds;
 
-  // Close unclosed brackets
-  while (openBrackets > 0) {
-    jsonStr += ']';
-    openBrackets--;
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return { token: `${encodedPayload}.${signTokenPayload(encodedPayload)}`, payload };
+}
+
+/**
+ * Check a token's signature, expiry and revocation
+ * Returns the payload; throws AUTH_ERROR for anything invalid
+ */
+function verifyAuthToken(token) {
+  const [encodedPayload, signature, extra] = String(token).split('.');
+  if (!encodedPayload || !signature || extra !== undefined) {
+    throw new Error('AUTH_ERROR: Malformed token');
   }
-
-  // Close unclosed braces
-  while (openBraces > 0) {
-    jsonStr += '}';
-    openBraces--;
+  if (!safeEqual(signature, signTokenPayload(encodedPayload))) {
+    throw new Error('AUTH_ERROR: Invalid token signature');
   }
 
-  return jsonStr;
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (err) {
+    throw new Error('AUTH_ERROR: Malformed token');
+  }
+  if (typeof payload.sub !== 'string' || !payload.sub || !TOKEN_TYPES.includes(payload.type) ||
+      typeof payload.jti !== 'string' || !payload.jti) {
+    throw new Error('AUTH_ERROR: Malformed token');
+  }
+  if (payload.exp !== undefined && payload.exp <= Math.floor(Date.now() / 1000)) {
+    throw new Error('AUTH_ERROR: Token expired');
+  }
+  if (revokedTokens.has(payload.jti)) {
+    throw new Error('AUTH_ERROR: Token revoked');
+  }
+  return payload;
 }
 
 /**
- * Normalize config to ensure all dates are ISO8601 strings
- * iOS Swift's JSONEncoder uses Double (seconds since reference date) by default,
- * but JSONDecoder with .iso8601 expects ISO8601 strings
+ * Authenticate the caller from "Authorization: Bearer <token>" or "X-API-Key: <key>"
+ * Sets req.userId; 401 when the token is missing or invalid
  */
-function normalizeConfig(config) {
-  if (!config) return config;
+function requireUser(req, res, next) {
+  if (!AUTH_ENABLED) {
+    req.userId = ANONYMOUS_USER_ID;
+    return next();
+  }
 
-  const normalized = { ...config };
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : req.get('X-API-Key');
+  if (!token) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Unauthorized', message: 'Missing bearer token or X-API-Key' });
+  }
 
-  // Convert createdAt if it's a number (Swift's default Date encoding)
-  if (typeof normalized.createdAt === 'number') {
-    // Swift's reference date is 2001-01-01, Unix epoch is 1970-01-01
-    // Difference is 978307200 seconds
-    const swiftReferenceOffset = 978307200;
-    const unixTimestamp = normalized.createdAt + swiftReferenceOffset;
-    normalized.createdAt = new Date(unixTimestamp * 1000).toISOString();
-  } else if (!normalized.createdAt) {
-    normalized.createdAt = new Date().toISOString();
+  try {
+    req.userId = verifyAuthToken(token).sub;
+  } catch (err) {
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return res.status(401).json({ error: 'Unauthorized', message: err.message.replace('AUTH_ERROR: ', '') });
   }
+  next();
+}
 
-  // Ensure all required fields exist with correct types
-  normalized.id = normalized.id || `config-${Date.now()}`;
-  normalized.analysisType = normalized.analysisType || 'single';
+/**
+ * Stored analysis if it belongs to the caller, otherwise null
+ * Someone else's analysis looks exactly like a missing one, so IDs can't be probed
+ */
+function getOwnedAnalysis(req, id) {
+  const stored = analysisStore.get(id);
+  if (!stored) return null;
+  if (AUTH_ENABLED && stored.userId !== req.userId) return null;
+  return stored;
+}
 
-  // userFightRounds must be an integer (3 or 5)
-  if (typeof normalized.userFightRounds === 'string') {
-    normalized.userFightRounds = parseInt(normalized.userFightRounds, 10) || 3;
-  } else if (typeof normalized.userFightRounds !== 'number') {
-    normalized.userFightRounds = 3;
+/**
+ * Guard admin routes with the X-Admin-Key header
+ */
+function requireAdmin(req, res, next) {
+  if (!ADMIN_API_KEY) {
+    return res.status(403).json({ error: 'Admin API disabled', message: 'Set ADMIN_API_KEY to enable admin endpoints' });
   }
-
-  // userRole must be a valid string matching iOS enum
-  const validRoles = [
-    "I'm preparing to fight this opponent",
-    "Coach analyzing for student",
-    "General study / Analysis"
-  ];
-  if (!validRoles.includes(normalized.userRole)) {
-    normalized.userRole = "I'm preparing to fight this opponent";
+  if (!safeEqual(req.get('X-Admin-Key') || '', ADMIN_API_KEY)) {
+    return res.status(401).json({ error: 'Unauthorized', message: 'Invalid or missing X-Admin-Key' });
   }
+  next();
+}
 
-  // Optional fields - ensure they're null if not provided (not undefined)
-  normalized.sessionTitle = normalized.sessionTitle || null;
-  normalized.sessionType = normalized.sessionType || null;
-  normalized.sessionSubtitle = normalized.sessionSubtitle || null;
-  normalized.fighter1Name = normalized.fighter1Name || null;
-  normalized.fighter1Corner = normalized.fighter1Corner || null;
-  normalized.fighter1Description = normalized.fighter1Description || null;
-  normalized.fighter2Name = normalized.fighter2Name || null;
-  normalized.fighter2Corner = normalized.fighter2Corner || null;
-  normalized.fighter2Description = normalized.fighter2Description || null;
-  normalized.videoURL = normalized.videoURL || null;
-  normalized.videoDuration = normalized.videoDuration || null;
-  normalized.videoRounds = normalized.videoRounds || null;
-  normalized.videoFileSize = normalized.videoFileSize || null;
+// ============================================
+// CREDIT LEDGER
+// ============================================
 
-  console.log('Normalized config:', JSON.stringify(normalized, null, 2));
-  return normalized;
+// Credits are debited on /analyze and refunded by the server when an analysis fails,
+// so the refund decision never depends on the client. Needs authentication (per-user balances).
+const CREDITS_ENFORCED = AUTH_ENABLED && process.env.CREDIT_LEDGER !== 'false';
+
+if (!CREDITS_ENFORCED) {
+  console.warn('Credit ledger is not enforced - analyses are free and refunds are not recorded');
 }
 
 /**
- * Validate a single fighter's analysis data (used for both fighters mode)
+ * Append-only credit ledger
+ * Every transaction is one line in DATA_DIR/ledger.jsonl (memory only with the memory store);
+ * balances are rebuilt by replaying the log on startup.
+ * Transactions with a key are idempotent - recording the same key again returns the original.
  */
-function validateSingleFighterAnalysis(data, fighterName, videoRounds) {
-  const ensureArray = (val, defaultArr = []) => Array.isArray(val) ? val : defaultArr;
-  const ensureNumber = (val, defaultVal = 0) => {
-    if (typeof val === 'number') return val;
-    const parsed = parseFloat(val);
-    return isNaN(parsed) ? defaultVal : parsed;
+function createCreditLedger(driver) {
+  const file = driver === 'file' ? path.join(DATA_DIR, 'ledger.jsonl') : null;
+  const balances = new Map();
+  const userTransactions = new Map();
+  const keyed = new Map();
+
+  const apply = (transaction) => {
+    balances.set(transaction.userId, transaction.balanceAfter);
+    if (!userTransactions.has(transaction.userId)) userTransactions.set(transaction.userId, []);
+    userTransactions.get(transaction.userId).push(transaction);
+    if (transaction.key) keyed.set(transaction.key, transaction);
   };
-  const ensureString = (val, defaultVal = '') => typeof val === 'string' ? val : defaultVal;
-
-  // Fighter Identification
-  if (!data.fighterIdentification) {
-    data.fighterIdentification = {
-      confirmedName: fighterName,
-      visualIdentifiers: 'Identified based on description',
-      confidenceLevel: 'Medium',
-      observedStyle: 'Mixed',
-      declaredBackground: 'Not specified',
-      styleMismatch: false
-    };
-  }
 
-  // Executive Summary
-  if (!data.executiveSummary) {
-    data.executiveSummary = {
-      overallScore: 70,
-      summary: `Analysis of ${fighterName}`,
-      keyFindings: ['Analysis data available'],
-      recommendedApproach: 'See detailed analysis'
-    };
+  if (file) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    if (fs.existsSync(file)) {
+      const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+      for (const line of lines) {
+        try {
+          apply(JSON.parse(line));
+        } catch (err) {
+          // Only a crash mid-append can leave a partial (last) line behind
+          console.error('Skipping unreadable ledger line:', err.message);
+        }
+      }
+      console.log(`Loaded ${lines.length} ledger transactions for ${balances.size} users from ${file}`);
+    }
   }
 
-  // Fighting Style Breakdown
-  if (!data.fightingStyleBreakdown) {
-    data.fightingStyleBreakdown = {
-      primaryStyle: 'Mixed Martial Artist',
-      stance: 'Orthodox',
-      secondarySkills: [],
-      baseMartialArts: ['MMA'],
-      styleDescription: `${fighterName} shows mixed martial arts abilities.`,
-      secondaryAttributes: [],
-      comparableFighters: [],
-      tacticalTendencies: []
-    };
-  }
+  return {
+    driver,
+    balance: (userId) => balances.get(userId) || 0,
+    transactions: (userId) => userTransactions.get(userId) || [],
+    find: (key) => keyed.get(key) || null,
+
+    /**
+     * Record a transaction - amount is signed (debits negative)
+     * Throws INSUFFICIENT_CREDITS when a debit would take the balance below zero
+     */
+    record({ userId, type, amount, analysisId = null, reason = null, key = null }) {
+      if (key && keyed.has(key)) return keyed.get(key);
+
+      const balance = balances.get(userId) || 0;
+      if (amount < 0 && balance + amount < 0) {
+        throw Object.assign(
+          new Error(`INSUFFICIENT_CREDITS: ${-amount} credits required, balance is ${balance}`),
+          { balance, required: -amount }
+        );
+      }
 
-  // Strike Analysis
-  if (!data.strikeAnalysis) {
-    data.strikeAnalysis = {
-      accuracy: 50, volume: 0, powerScore: 50, techniqueScore: 50,
-      breakdown: { jabs: 0, crosses: 0, hooks: 0, uppercuts: 0, kicks: 0, knees: 0, elbows: 0 },
-      patterns: [], recommendations: []
-    };
-  }
+      const transaction = {
+        id: uuidv4(),
+        userId,
+        type,
+        amount,
+        balanceAfter: balance + amount,
+        analysisId,
+        reason,
+        key,
+        createdAt: new Date().toISOString()
+      };
+      // Written before it counts, so a failed write never changes a balance
+      if (file) fs.appendFileSync(file, JSON.stringify(transaction) + '\n');
+      apply(transaction);
+      return transaction;
+    }
+  };
+}
 
-  // Grappling Analysis
-  if (!data.grapplingAnalysis) {
-    data.grapplingAnalysis = {
-      takedownAccuracy: 50, takedownDefense: 50, controlTime: 0, submissionAttempts: 0,
-      techniques: [], recommendations: []
-    };
-  }
+const creditLedger = createCreditLedger(STORE_DRIVER);
 
-  // Defense Analysis
-  if (!data.defenseAnalysis) {
-    data.defenseAnalysis = {
-      headMovement: 50, footwork: 50, blockingRate: 50, counterStrikeRate: 50,
-      vulnerabilities: [], improvements: []
-    };
-  }
+/**
+ * Refund the credits an analysis was charged for
+ * Keyed on the analysis ID, so however many failure paths call this it is credited once.
+ * Sets stored.refund ({ transactionId, credits, refundedAt }); the caller persists stored.
+ */
+function refundAnalysisCredits(stored) {
+  const debit = creditLedger.find(`debit:${stored.id}`);
+  if (!debit) return;
+
+  const transaction = creditLedger.record({
+    userId: debit.userId,
+    type: 'refund',
+    amount: -debit.amount,
+    analysisId: stored.id,
+    reason: stored.refundReason || stored.error || 'Analysis failed',
+    key: `refund:${stored.id}`
+  });
+  stored.refund = {
+    transactionId: transaction.id,
+    credits: transaction.amount,
+    refundedAt: transaction.createdAt
+  };
+  console.log(`Refunded ${transaction.amount} credits to ${debit.userId} for analysis ${stored.id}`);
+}
 
-  // Cardio Analysis
-  if (!data.cardioAnalysis) {
-    data.cardioAnalysis = {
-      roundByRound: [],
-      overallStamina: 70,
-      fatigueIndicators: [],
-      recommendations: []
-    };
-  }
-  if (!data.cardioAnalysis.roundByRound || data.cardioAnalysis.roundByRound.length === 0) {
-    data.cardioAnalysis.roundByRound = [];
-    for (let i = 1; i <= videoRounds; i++) {
-      data.cardioAnalysis.roundByRound.push({
-        roundNumber: i, outputLevel: 80, staminaScore: 80, notes: `Round ${i}`
-      });
-    }
-  }
+// ============================================
+// IDEMPOTENCY KEYS
+// ============================================
 
-  // Fight IQ
-  if (!data.fightIQ) {
-    data.fightIQ = {
-      overallScore: 70, decisionMaking: 70, adaptability: 70, strategyExecution: 70,
-      keyObservations: [], improvements: []
-    };
-  }
+// A retried upload with the same Idempotency-Key returns the original job instead of
+// starting (and charging for) a new one. Keys are scoped per user and expire after the TTL.
+const IDEMPOTENCY_KEY_TTL_MS = (parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24) * 60 * 60 * 1000;
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
 
-  // Strengths and Weaknesses
-  if (!data.strengthsWeaknesses) {
-    data.strengthsWeaknesses = {
-      strengths: [{ title: 'To be analyzed', description: 'See details', score: 70, statistics: null }],
-      weaknesses: [{ title: 'To be analyzed', description: 'See details', severity: 50, exploitablePattern: '', frequency: null, exploitationStrategy: '' }],
-      opportunitiesToExploit: []
-    };
-  }
+const idempotencyIndexKey = (userId, key) => `${userId}\n${key}`;
 
-  // Mistake Patterns
-  if (!data.mistakePatterns) {
-    data.mistakePatterns = { patterns: [] };
+/**
+ * JSON with object keys sorted, so equal configs hash equally whatever the key order
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
   }
+  return JSON.stringify(value) ?? 'null';
+}
 
-  // Counter Strategy
-  if (!data.counterStrategy) {
-    data.counterStrategy = {
-      bestCounter: { style: 'Balanced approach', reason: 'Adapt based on opponent' },
-      secondBestCounter: { style: 'Pressure fighting', reason: 'Test their cardio' },
-      thirdBestCounter: { style: 'Counter striking', reason: 'Exploit openings' },
-      techniquesToEmphasize: []
-    };
+/**
+ * Fingerprint of an /analyze request - the config plus every frame's bytes (and metadata), in order
+ */
+function hashAnalysisPayload(config, frames) {
+  const hash = crypto.createHash('sha256').update(canonicalJSON(config));
+  for (const frame of frames) {
+    hash.update(crypto.createHash('sha256').update(frame.buffer).digest());
+    if (frame.meta) hash.update(canonicalJSON(frame.meta));
   }
+  return hash.digest('hex');
+}
 
-  // Round by Round Metrics
-  if (!data.roundByRoundMetrics) {
-    data.roundByRoundMetrics = { rounds: [] };
-  }
-  if (!data.roundByRoundMetrics.rounds || data.roundByRoundMetrics.rounds.length < videoRounds) {
-    data.roundByRoundMetrics.rounds = [];
-    for (let i = 1; i <= videoRounds; i++) {
-      data.roundByRoundMetrics.rounds.push({
-        roundNumber: i,
-        outputLevel: 75,
-        notes: `Round ${i}`,
-        striking: {
-          strikesLanded: 10, strikesAttempted: 20, accuracy: 50,
-          significantStrikes: 5, powerStrikes: 3, headStrikes: 4, bodyStrikes: 3, legStrikes: 3, knockdowns: 0
-        },
-        grappling: {
-          takedownsLanded: 0, takedownsAttempted: 1, takedownAccuracy: 0,
-          takedownsDefended: 0, takedownDefenseRate: 50, controlTimeSeconds: 0, submissionAttempts: 0, reversals: 0
-        },
-        defense: {
-          strikesAbsorbed: 10, strikesAvoided: 50, headMovementSuccess: 50, takedownsDefended: 0, escapes: 0
-        }
+/**
+ * Fingerprint of a /analyze/video request - the config plus the uploaded file's bytes
+ * Computed from the upload, so a retry is recognised before any frames are extracted
+ */
+function hashVideoPayload(config, file) {
+  return new Promise((resolve, reject) => {
+    const videoHash = crypto.createHash('sha256');
+    fs.createReadStream(file)
+      .on('error', reject)
+      .on('data', chunk => videoHash.update(chunk))
+      .on('end', () => {
+        resolve(crypto.createHash('sha256')
+          .update(canonicalJSON(config))
+          .update('video:')
+          .update(videoHash.digest())
+          .digest('hex'));
       });
-    }
-  }
+  });
+}
 
-  return data;
+// "<userId>\n<key>" -> analysis ID, rebuilt from the stored analyses on startup
+const idempotencyIndex = new Map();
+for (const stored of analysisStore.values()) {
+  if (stored.idempotency) {
+    idempotencyIndex.set(idempotencyIndexKey(stored.userId, stored.idempotency.key), stored.id);
+  }
 }
 
 /**
- * Validate and fix analysis data to match iOS AnalysisReport model exactly
- * Adds default values for missing optional fields, ensures correct types
- * Handles role-based sections (study mode may not have game plans, etc.)
+ * Whether a request with this key has been accepted but not stored yet (frames still saving)
  */
-function validateAndFixAnalysisData(data, config) {
-  const userRounds = config.userFightRounds || 3;
-  const videoRounds = config.videoRounds || 3;
-  const roleType = getUserRoleType(config.userRole);
-  const isStudyMode = roleType === 'study';
-
-  // Helper to ensure array
-  const ensureArray = (val, defaultArr = []) => Array.isArray(val) ? val : defaultArr;
+function isIdempotencyKeyPending(userId, key) {
+  const analysisId = idempotencyIndex.get(idempotencyIndexKey(userId, key));
+  return analysisId !== undefined && !analysisStore.has(analysisId);
+}
 
-  // Helper to ensure number
-  const ensureNumber = (val, defaultVal = 0) => {
-    if (typeof val === 'number') return val;
-    const parsed = parseFloat(val);
-    return isNaN(parsed) ? defaultVal : parsed;
-  };
+/**
+ * Unexpired analysis created with this user's Idempotency-Key, or null
+ */
+function findIdempotentAnalysis(userId, key) {
+  const stored = analysisStore.get(idempotencyIndex.get(idempotencyIndexKey(userId, key)));
+  if (!stored) return null;
+  if (Date.now() - Date.parse(stored.createdAt) > IDEMPOTENCY_KEY_TTL_MS) return null;
+  return stored;
+}
 
-  // Helper to ensure string
-  const ensureString = (val, defaultVal = '') => typeof val === 'string' ? val : defaultVal;
+// ============================================
+// RATE LIMITING
+// ============================================
 
-  // HANDLE BOTH FIGHTERS MODE
-  if (config.analysisType === 'both') {
-    console.log('Processing BOTH FIGHTERS mode data...');
+// Fixed-window counters per user and per IP. Submissions are limited per hour (each one
+// is a long, expensive model call), polling per second. Set a limit to 0 to disable it.
+// Submissions reserve a slot when checked (reserveSlot) so parallel uploads can't all pass,
+// and the slot is given back unless a new analysis is accepted - idempotent replays and
+// uploads rejected with 400/402/503 don't use up the quota.
+const limitFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const RATE_LIMIT_RULES = {
+  submit: {
+    windowMs: 60 * 60 * 1000,
+    perUser: limitFromEnv('RATE_LIMIT_SUBMIT_PER_HOUR', 20),
+    perIp: limitFromEnv('RATE_LIMIT_SUBMIT_PER_HOUR_PER_IP', 60),
+    reserveSlot: true
+  },
+  poll: {
+    windowMs: 1000,
+    perUser: limitFromEnv('RATE_LIMIT_POLL_PER_SECOND', 5),
+    perIp: limitFromEnv('RATE_LIMIT_POLL_PER_SECOND_PER_IP', 20)
+  }
+};
 
-    // Ensure fighter1Analysis exists
-    if (!data.fighter1Analysis) {
-      data.fighter1Analysis = {};
-    }
-    // Ensure fighter2Analysis exists
-    if (!data.fighter2Analysis) {
-      data.fighter2Analysis = {};
-    }
-    // Ensure matchupAnalysis exists
-    if (!data.matchupAnalysis) {
-      data.matchupAnalysis = {
-        summary: 'Matchup analysis not available',
-        keyMatchups: [],
-        criticalMoments: [],
-        opponentPreparation: {
-          keyDangers: [],
-          tacticalAdjustments: [],
-          preparationGuidance: [],
-          similarStyleGuidance: null
-        }
-      };
-    }
-    // Migrate old prediction format to new opponentPreparation format
-    if (data.matchupAnalysis && !data.matchupAnalysis.opponentPreparation) {
-      data.matchupAnalysis.opponentPreparation = {
-        keyDangers: [],
-        tacticalAdjustments: [],
-        preparationGuidance: [],
-        similarStyleGuidance: null
-      };
-      // Remove old prediction fields if they exist
-      delete data.matchupAnalysis.predictedWinner;
-      delete data.matchupAnalysis.winProbability;
-      delete data.matchupAnalysis.likelyOutcome;
-      delete data.matchupAnalysis.predictionReasoning;
+/**
+ * In-memory counters - per process, reset on restart
+ */
+function createMemoryRateLimitStore() {
+  const windows = new Map();
+
+  // Drop expired windows so one-off IPs don't accumulate forever
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
     }
+  }, 60 * 1000).unref();
 
-    // If Claude returned data at top level instead of in fighter objects, copy it to fighter1Analysis
-    // This handles cases where Claude doesn't follow the nested structure perfectly
-    const topLevelFields = ['executiveSummary', 'fightingStyleBreakdown', 'strikeAnalysis',
-      'grapplingAnalysis', 'defenseAnalysis', 'cardioAnalysis', 'fightIQ',
-      'strengthsWeaknesses', 'mistakePatterns', 'counterStrategy', 'fighterIdentification'];
-
-    topLevelFields.forEach(field => {
-      // If top-level has data but fighter1Analysis doesn't, copy it
-      if (data[field] && !data.fighter1Analysis[field]) {
-        console.log(`Copying top-level ${field} to fighter1Analysis`);
-        data.fighter1Analysis[field] = data[field];
+  return {
+    driver: 'memory',
+    hit(key, windowMs) {
+      const now = Date.now();
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
       }
-    });
-
-    // Validate fighter1Analysis
-    data.fighter1Analysis = validateSingleFighterAnalysis(data.fighter1Analysis, config.fighter1Name || 'Fighter 1', videoRounds);
+      window.count++;
+      return { count: window.count, resetAt: window.resetAt };
+    },
+    // Give back one hit - only within the window it was taken in
+    release(key, resetAt) {
+      const window = windows.get(key);
+      if (window && window.resetAt === resetAt && window.count > 0) window.count--;
+    }
+  };
+}
 
-    // Validate fighter2Analysis
-    data.fighter2Analysis = validateSingleFighterAnalysis(data.fighter2Analysis, config.fighter2Name || 'Fighter 2', videoRounds);
+/**
+ * SQLite counters in DATA_DIR/ratelimit.sqlite - survive restarts and are shared by
+ * every process on the host. Needs the optional better-sqlite3 package.
+ */
+function createSqliteRateLimitStore(baseDir) {
+  const Database = require('better-sqlite3');
+  fs.mkdirSync(baseDir, { recursive: true });
+  const db = new Database(path.join(baseDir, 'ratelimit.sqlite'));
+  db.pragma('journal_mode = WAL');
+  db.exec('CREATE TABLE IF NOT EXISTS rate_limits (key TEXT PRIMARY KEY, count INTEGER NOT NULL, reset_at INTEGER NOT NULL)');
+
+  // One statement per hit, so concurrent processes can't lose increments
+  const hit = db.prepare(`
+    INSERT INTO rate_limits (key, count, reset_at) VALUES (@key, 1, @resetAt)
+    ON CONFLICT(key) DO UPDATE SET
+      count = CASE WHEN reset_at > @now THEN count + 1 ELSE 1 END,
+      reset_at = CASE WHEN reset_at > @now THEN reset_at ELSE @resetAt END
+    RETURNING count, reset_at AS resetAt
+  `);
+  const release = db.prepare('UPDATE rate_limits SET count = count - 1 WHERE key = ? AND reset_at = ? AND count > 0');
+  const prune = db.prepare('DELETE FROM rate_limits WHERE reset_at <= ?');
+  setInterval(() => prune.run(Date.now()), 60 * 1000).unref();
 
-    // Ensure shared sections exist at top level for iOS compatibility (skip for study mode)
-    // Game Plan, Adjustments, Training, KeyInsights are shared between fighters
-    const roleType = getUserRoleType(config.userRole);
-    const isStudyMode = roleType === 'study';
+  return {
+    driver: 'sqlite',
+    hit(key, windowMs) {
+      const now = Date.now();
+      return hit.get({ key, now, resetAt: now + windowMs });
+    },
+    release(key, resetAt) {
+      release.run(key, resetAt);
+    }
+  };
+}
 
-    if (!data.gamePlan) {
-      if (isStudyMode) {
-        data.gamePlan = null;
-      } else {
-        data.gamePlan = {
-          overallStrategy: 'Implement a balanced game plan.',
-          roundByRound: [],
-          roundGamePlans: [],
-          keyTactics: [],
-          thingsToAvoid: []
-        };
-        // Generate default game plans for user rounds
-        for (let i = 1; i <= userRounds; i++) {
-          data.gamePlan.roundByRound.push({
-            roundNumber: i,
-            objective: `Round ${i} objective`,
-            tactics: ['Stay focused', 'Execute game plan'],
-            keyFocus: 'Maintain composure'
-          });
-          data.gamePlan.roundGamePlans.push({
-            roundNumber: i,
-            title: `Round ${i} Strategy`,
-            planA: { name: 'Primary Plan', goal: 'Execute strategy', tactics: ['Stay focused'], successIndicators: ['Landing strikes'], switchTrigger: 'If not working' },
-            planB: { name: 'Backup Plan', goal: 'Adjust approach', tactics: ['Change rhythm'], successIndicators: ['Creating openings'], switchTrigger: 'If needed' },
-            planC: { name: 'Emergency Plan', goal: 'Survive and recover', tactics: ['Clinch and control'], successIndicators: ['Regaining composure'], switchTrigger: null }
-          });
-        }
-      }
+/**
+ * Rate limit store: 'sqlite' (default with the file store) or 'memory'
+ * Falls back to memory when better-sqlite3 isn't installed
+ */
+function createRateLimitStore(driver) {
+  if (driver === 'sqlite') {
+    try {
+      return createSqliteRateLimitStore(DATA_DIR);
+    } catch (err) {
+      console.warn(`SQLite rate limit store unavailable (${err.message}) - using in-memory rate limits`);
+      return createMemoryRateLimitStore();
     }
+  }
+  if (driver !== 'memory') {
+    throw new Error(`Unknown RATE_LIMIT_STORE: ${driver} (expected 'sqlite' or 'memory')`);
+  }
+  return createMemoryRateLimitStore();
+}
 
-    // CRITICAL: Process thingsToAvoid for both fighters mode (was missing!)
-    if (!isStudyMode && data.gamePlan && data.gamePlan.thingsToAvoid && Array.isArray(data.gamePlan.thingsToAvoid)) {
-      console.log('Processing thingsToAvoid in BOTH FIGHTERS mode...');
-
-      // Forbidden template phrases that indicate Claude didn't generate specific content
-      const forbiddenPhrases = [
-        'this pattern was identified as a vulnerability',
-        'adjust your approach based on opponent',
-        'reset when necessary',
-        'based on video analysis',
-        'based on analysis',
-        'dangerous pattern observed',
-        'move better'
-      ];
-
-      const isTemplatedContent = (text) => {
-        if (!text || typeof text !== 'string') return true;
-        const lowerText = text.toLowerCase();
-        return forbiddenPhrases.some(phrase => lowerText.includes(phrase)) || text.length < 20;
-      };
+const rateLimitStore = createRateLimitStore(
+  process.env.RATE_LIMIT_STORE || (STORE_DRIVER === 'file' ? 'sqlite' : 'memory')
+);
 
-      data.gamePlan.thingsToAvoid = data.gamePlan.thingsToAvoid.map((item, index) => {
-        if (typeof item === 'object' && item.avoidance) {
-          const reason = ensureString(item.reason, '');
-          const alternative = ensureString(item.alternative, '');
+/**
+ * Counters a request is checked against - per user (not for anonymous callers, who all
+ * share one user ID) and per IP
+ */
+function getRateLimitChecks(ruleName, req) {
+  const rule = RATE_LIMIT_RULES[ruleName];
+  const checks = [];
+  if (rule.perUser > 0 && req.userId !== ANONYMOUS_USER_ID) {
+    checks.push({ key: `${ruleName}:user:${req.userId}`, limit: rule.perUser });
+  }
+  if (rule.perIp > 0) {
+    checks.push({ key: `${ruleName}:ip:${req.ip}`, limit: rule.perIp });
+  }
+  return checks;
+}
 
-          if (!reason || isTemplatedContent(reason)) {
-            console.warn(`BOTH_MODE WARNING: thingsToAvoid[${index}].reason is missing/templated. Claude returned: "${reason}"`);
-          }
-          if (!alternative || isTemplatedContent(alternative)) {
-            console.warn(`BOTH_MODE WARNING: thingsToAvoid[${index}].alternative is missing/templated. Claude returned: "${alternative}"`);
-          }
+// "<key>@<resetAt>" of windows whose violation was already logged (reserveSlot rules give
+// rejected hits back, so the count never stays past the limit - the first rejection is tracked here)
+const loggedRateLimitWindows = new Set();
 
-          return {
-            avoidance: ensureString(item.avoidance, 'Unknown avoidance'),
-            reason: reason || 'This creates tactical disadvantage based on the observed patterns in the video.',
-            alternative: alternative || 'Adjust timing and positioning to counter this specific vulnerability.'
-          };
-        }
-        if (typeof item === 'string') {
-          console.warn(`BOTH_MODE WARNING: thingsToAvoid[${index}] was legacy string format.`);
-          return {
-            avoidance: item,
-            reason: 'This creates tactical disadvantage based on the observed patterns in the video.',
-            alternative: 'Adjust timing and positioning to counter this specific vulnerability.'
-          };
-        }
-        return item;
-      });
+/**
+ * Middleware enforcing a RATE_LIMIT_RULES entry - must run after requireUser
+ * Rejections get 429 with Retry-After; the first rejection per window is logged.
+ * reserveSlot rules take the slot here and give it back when the response ends, unless
+ * the route called confirmRateLimitReservation (a new analysis was accepted). A retry
+ * carrying the Idempotency-Key of an existing analysis is let through so it can be
+ * answered with it.
+ */
+function rateLimit(ruleName) {
+  const rule = RATE_LIMIT_RULES[ruleName];
 
-      console.log('thingsToAvoid processed:', JSON.stringify(data.gamePlan.thingsToAvoid, null, 2));
+  return (req, res, next) => {
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (rule.reserveSlot && idempotencyKey && findIdempotentAnalysis(req.userId, idempotencyKey)) {
+      return next();
     }
 
-    if (!data.midFightAdjustments) {
-      data.midFightAdjustments = isStudyMode ? null : { adjustments: [] };
+    const taken = [];
+    const releaseTaken = () => {
+      taken.forEach(hit => rateLimitStore.release(hit.key, hit.resetAt));
+      taken.length = 0;
+    };
+    for (const check of getRateLimitChecks(ruleName, req)) {
+      const { count, resetAt } = rateLimitStore.hit(check.key, rule.windowMs);
+      if (rule.reserveSlot) taken.push({ key: check.key, resetAt });
+      if (count <= check.limit) continue;
+      releaseTaken();
+
+      const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+      const windowId = `${check.key}@${resetAt}`;
+      if (!loggedRateLimitWindows.has(windowId)) {
+        loggedRateLimitWindows.add(windowId);
+        setTimeout(() => loggedRateLimitWindows.delete(windowId), retryAfter * 1000).unref();
+        console.warn(`Rate limit ${ruleName} exceeded by user ${req.userId} (ip ${req.ip}, ${check.key.split(':')[1]} limit ${check.limit}/${rule.windowMs / 1000}s)`);
+      }
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Too many requests',
+        message: ruleName === 'submit'
+          ? `Analysis submission limit reached - try again in ${retryAfter}s`
+          : `Polling too fast - retry in ${retryAfter}s`,
+        retryAfter
+      });
     }
-
-    if (!data.trainingRecommendations) {
-      data.trainingRecommendations = isStudyMode ? null : {
-        priorityDrills: [],
-        sparringFocus: [],
-        conditioning: []
-      };
+    if (taken.length > 0) {
+      req.rateLimitReservation = { confirmed: false };
+      // 'close' also fires when the client disconnects mid-upload
+      res.on('close', () => {
+        if (!req.rateLimitReservation.confirmed) releaseTaken();
+      });
     }
+    next();
+  };
+}
 
-    if (!data.keyInsights) {
-      data.keyInsights = isStudyMode ? null : {
-        criticalObservations: [],
-        winConditions: [],
-        riskFactors: [],
-        finalRecommendation: 'Focus on your strengths and stay disciplined.',
-        confidenceLevel: 'Medium'
-      };
-    }
+/**
+ * Keep the slot a reserveSlot rule took for this request (a new analysis was accepted)
+ */
+function confirmRateLimitReservation(req) {
+  if (req.rateLimitReservation) req.rateLimitReservation.confirmed = true;
+}
 
-    console.log('Both fighters validation complete.');
-    console.log('Fighter1 strengthsWeaknesses:', JSON.stringify(data.fighter1Analysis.strengthsWeaknesses, null, 2));
-    console.log('Fighter2 strengthsWeaknesses:', JSON.stringify(data.fighter2Analysis.strengthsWeaknesses, null, 2));
-    return data;
-  }
+// ============================================
+// VIDEO FRAME EXTRACTION
+// ============================================
 
-  // Validate fighterIdentification (new field for confirming correct fighter)
-  if (!data.fighterIdentification) {
-    data.fighterIdentification = {
-      confirmedName: config.fighter1Name || 'Unknown Fighter',
-      visualIdentifiers: 'Fighter identified based on provided description',
-      confidenceLevel: 'Medium'
-    };
-  } else {
-    data.fighterIdentification.confirmedName = ensureString(data.fighterIdentification.confirmedName, config.fighter1Name || 'Unknown');
-    data.fighterIdentification.visualIdentifiers = ensureString(data.fighterIdentification.visualIdentifiers, 'Based on description');
-    data.fighterIdentification.confidenceLevel = ensureString(data.fighterIdentification.confidenceLevel, 'Medium');
-  }
-  console.log(`Fighter identification: ${data.fighterIdentification.confirmedName} - ${data.fighterIdentification.visualIdentifiers} (Confidence: ${data.fighterIdentification.confidenceLevel})`);
-
-  // Validate executiveSummary
-  if (!data.executiveSummary) {
-    data.executiveSummary = {
-      overallScore: 70,
-      summary: 'Analysis completed.',
-      keyFindings: ['Analysis data available'],
-      recommendedApproach: 'Review the detailed analysis sections.'
-    };
-  } else {
-    data.executiveSummary.overallScore = ensureNumber(data.executiveSummary.overallScore, 70);
-    data.executiveSummary.summary = ensureString(data.executiveSummary.summary, 'Analysis completed.');
-    data.executiveSummary.keyFindings = ensureArray(data.executiveSummary.keyFindings, ['Analysis data available']);
-    data.executiveSummary.recommendedApproach = ensureString(data.executiveSummary.recommendedApproach, 'See details.');
-  }
-
-  // Validate fightingStyleBreakdown
-  if (!data.fightingStyleBreakdown) {
-    data.fightingStyleBreakdown = {
-      primaryStyle: 'Mixed Martial Artist',
-      stance: 'Orthodox',
-      secondarySkills: [],
-      baseMartialArts: ['MMA'],
-      styleDescription: 'Fighter shows mixed martial arts abilities.',
-      secondaryAttributes: ['Balanced Skillset', 'Adaptable', 'Well-Rounded'],
-      comparableFighters: [],
-      tacticalTendencies: []
-    };
-  } else {
-    // Ensure new fields exist
-    data.fightingStyleBreakdown.secondaryAttributes = ensureArray(data.fightingStyleBreakdown.secondaryAttributes, ['Balanced Skillset']);
-    data.fightingStyleBreakdown.comparableFighters = ensureArray(data.fightingStyleBreakdown.comparableFighters, []);
-    data.fightingStyleBreakdown.tacticalTendencies = ensureArray(data.fightingStyleBreakdown.tacticalTendencies, []);
-  }
-
-  // Validate strikeAnalysis
-  if (!data.strikeAnalysis) {
-    data.strikeAnalysis = {
-      accuracy: 50, volume: 0, powerScore: 50, techniqueScore: 50,
-      breakdown: { jabs: 0, crosses: 0, hooks: 0, uppercuts: 0, kicks: 0, knees: 0, elbows: 0 },
-      patterns: [], recommendations: []
-    };
-  } else {
-    data.strikeAnalysis.accuracy = ensureNumber(data.strikeAnalysis.accuracy, 50);
-    data.strikeAnalysis.volume = ensureNumber(data.strikeAnalysis.volume, 0);
-    data.strikeAnalysis.powerScore = ensureNumber(data.strikeAnalysis.powerScore, 50);
-    data.strikeAnalysis.techniqueScore = ensureNumber(data.strikeAnalysis.techniqueScore, 50);
-    if (!data.strikeAnalysis.breakdown) {
-      data.strikeAnalysis.breakdown = { jabs: 0, crosses: 0, hooks: 0, uppercuts: 0, kicks: 0, knees: 0, elbows: 0 };
-    }
-    data.strikeAnalysis.patterns = ensureArray(data.strikeAnalysis.patterns, []);
-    data.strikeAnalysis.recommendations = ensureArray(data.strikeAnalysis.recommendations, []);
-  }
-
-  // Validate grapplingAnalysis
-  if (!data.grapplingAnalysis) {
-    data.grapplingAnalysis = {
-      takedownAccuracy: 50, takedownDefense: 50, controlTime: 0, submissionAttempts: 0,
-      techniques: [], recommendations: []
-    };
-  } else {
-    data.grapplingAnalysis.takedownAccuracy = ensureNumber(data.grapplingAnalysis.takedownAccuracy, 50);
-    data.grapplingAnalysis.takedownDefense = ensureNumber(data.grapplingAnalysis.takedownDefense, 50);
-    data.grapplingAnalysis.controlTime = ensureNumber(data.grapplingAnalysis.controlTime, 0);
-    data.grapplingAnalysis.submissionAttempts = ensureNumber(data.grapplingAnalysis.submissionAttempts, 0);
-  }
+// Server-side equivalent of the iOS frame sampler for POST /analyze/video (needs a local ffmpeg)
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+const FRAME_EXTRACT_TIMEOUT_MS = 30 * 1000;
+const FRAME_MAX_WIDTH = 1280;
+
+// 'motion' (default) picks transition frames from motion/scene-change spikes and drops
+// near-duplicates; 'uniform' spreads them evenly like the iOS sampler
+const FRAME_SELECTION = process.env.FRAME_SELECTION || 'motion';
+const MOTION_SAMPLE_FPS = parseFloat(process.env.MOTION_SAMPLE_FPS) || 2;
+const MOTION_THUMB_SIZE = 32;
+const MOTION_SCORE_TIMEOUT_MS = 10 * 60 * 1000;
+const SPIKE_BASELINE_SECONDS = 10;
+const SPIKE_MIN_EXCESS = 0.04;
+const SPIKE_MIN_GAP_SECONDS = 3;
+const NEAR_DUPLICATE_THRESHOLD = 0.01;
+
+// Extracting one video costs minutes of ffmpeg CPU - at most this many run at once and
+// further uploads get 503 with Retry-After (checked before any credits are charged)
+const VIDEO_EXTRACTION_CONCURRENCY = parseInt(process.env.VIDEO_EXTRACTION_CONCURRENCY, 10) || 1;
+const VIDEO_EXTRACTION_RETRY_AFTER_SECONDS = 60;
+let activeVideoExtractions = 0;
+
+// Same distribution as the iOS app (and the prompt's frame metadata block):
+// 25% early, 35% mid, 25% late, 15% transitions spread across the whole fight
+// offset places each frame within its slot (transitions sit off-centre so they don't
+// land on the same timestamps as the phase frames)
+const FRAME_PHASES = [
+  { phase: 'early', share: 0.25, start: 0, end: 1 / 3, offset: 0.5 },
+  { phase: 'mid', share: 0.35, start: 1 / 3, end: 2 / 3, offset: 0.5 },
+  { phase: 'late', share: 0.25, start: 2 / 3, end: 0.9, offset: 0.5 },
+  { phase: 'transition', share: 0.15, start: 0, end: 1, offset: 0.25 }
+];
 
-  // Validate defenseAnalysis
-  if (!data.defenseAnalysis) {
-    data.defenseAnalysis = {
-      headMovement: 50, footwork: 50, blockingRate: 50, counterStrikeRate: 50,
-      vulnerabilities: [], improvements: []
-    };
-  }
+/**
+ * Run an ffmpeg/ffprobe command and collect its output
+ * Throws FFMPEG_UNAVAILABLE when the binary is missing and VIDEO_ERROR when it fails
+ * Returns: stdout as a Buffer
+ */
+function runMediaCommand(command, args, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    const stdout = [];
+    let stderr = '';
+
+    const timeoutId = setTimeout(() => child.kill('SIGKILL'), timeoutMs);
+
+    child.stdout.on('data', chunk => stdout.push(chunk));
+    child.stderr.on('data', chunk => { stderr = (stderr + chunk).slice(-2000); });
+    child.on('error', (err) => {
+      clearTimeout(timeoutId);
+      reject(err.code === 'ENOENT'
+        ? new Error(`FFMPEG_UNAVAILABLE: ${command} not found - set FFMPEG_PATH / FFPROBE_PATH`)
+        : new Error(`VIDEO_ERROR: ${err.message}`));
+    });
+    child.on('close', (code, signal) => {
+      clearTimeout(timeoutId);
+      if (code === 0) return resolve(Buffer.concat(stdout));
+      reject(new Error(signal
+        ? `VIDEO_ERROR: ${path.basename(command)} timed out after ${timeoutMs / 1000}s`
+        : `VIDEO_ERROR: ${path.basename(command)} exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+    });
+  });
+}
 
-  // Validate cardioAnalysis
-  if (!data.cardioAnalysis) {
-    data.cardioAnalysis = {
-      roundByRound: [],
-      overallStamina: 70,
-      fatigueIndicators: [],
-      recommendations: []
-    };
-  }
-  // Ensure roundByRound has correct number of entries
-  if (!data.cardioAnalysis.roundByRound || data.cardioAnalysis.roundByRound.length === 0) {
-    data.cardioAnalysis.roundByRound = [];
-    for (let i = 1; i <= videoRounds; i++) {
-      data.cardioAnalysis.roundByRound.push({
-        roundNumber: i, outputLevel: 80, staminaScore: 80, notes: `Round ${i} performance`
-      });
-    }
+/**
+ * Video duration in seconds (ffprobe)
+ */
+async function probeVideoDuration(file) {
+  let output;
+  try {
+    output = await runMediaCommand(FFPROBE_PATH, [
+      '-v', 'error',
+      '-show_entries', 'format=duration',
+      '-of', 'default=noprint_wrappers=1:nokey=1',
+      file
+    ], FRAME_EXTRACT_TIMEOUT_MS);
+  } catch (err) {
+    if (!err.message.startsWith('VIDEO_ERROR')) throw err;
+    // ffprobe's message names the temp file - keep it in the log, not the response
+    console.error(`ffprobe failed: ${err.message}`);
+    throw new Error('VIDEO_ERROR: Could not read the video - is it a supported video format?');
   }
 
-  // Validate fightIQ
-  if (!data.fightIQ) {
-    data.fightIQ = {
-      overallScore: 70, decisionMaking: 70, adaptability: 70, strategyExecution: 70,
-      keyObservations: [], improvements: []
-    };
+  const duration = parseFloat(output.toString());
+  if (!Number.isFinite(duration) || duration <= 0) {
+    throw new Error('VIDEO_ERROR: Could not read the video duration');
   }
+  return duration;
+}
 
-  // Validate strengthsWeaknesses
-  if (!data.strengthsWeaknesses) {
-    data.strengthsWeaknesses = {
-      strengths: [{ title: 'To be analyzed', description: 'Complete analysis for details', score: 70, statistics: null }],
-      weaknesses: [{ title: 'To be analyzed', description: 'Complete analysis for details', severity: 50, exploitablePattern: '', frequency: null, exploitationStrategy: 'See detailed analysis' }],
-      opportunitiesToExploit: []
-    };
-  }
-  // Ensure strengths have correct structure
-  data.strengthsWeaknesses.strengths = ensureArray(data.strengthsWeaknesses.strengths, []).map(s => ({
-    title: ensureString(s.title, 'Strength'),
-    description: ensureString(s.description, ''),
-    score: ensureNumber(s.score, 70),
-    statistics: s.statistics || null
-  }));
-  // Ensure weaknesses have correct structure
-  data.strengthsWeaknesses.weaknesses = ensureArray(data.strengthsWeaknesses.weaknesses, []).map(w => ({
-    title: ensureString(w.title, 'Weakness'),
-    description: ensureString(w.description, ''),
-    severity: ensureNumber(w.severity, 50),
-    exploitablePattern: ensureString(w.exploitablePattern, ''),
-    frequency: w.frequency || null,
-    exploitationStrategy: ensureString(w.exploitationStrategy, '')
-  }));
-
-  // Validate mistakePatterns
-  if (!data.mistakePatterns) {
-    data.mistakePatterns = { patterns: [] };
-  }
-  data.mistakePatterns.patterns = ensureArray(data.mistakePatterns.patterns, []).map(p => ({
-    pattern: ensureString(p.pattern, ''),
-    frequency: ensureNumber(p.frequency, 1),
-    severity: ensureString(p.severity, 'medium')
-  }));
-
-  // Validate counterStrategy
-  if (!data.counterStrategy) {
-    data.counterStrategy = {
-      bestCounter: { style: 'Balanced approach', reason: 'Adapt based on opponent' },
-      secondBestCounter: { style: 'Pressure fighting', reason: 'Test their cardio' },
-      thirdBestCounter: { style: 'Counter striking', reason: 'Exploit openings' },
-      techniquesToEmphasize: []
-    };
-  }
+/**
+ * Fight phase a timestamp falls in, matching the early/mid/late split of FRAME_PHASES
+ */
+function getFramePhase(timestamp, duration) {
+  const fraction = timestamp / duration;
+  return fraction < 1 / 3 ? 'early' : fraction < 2 / 3 ? 'mid' : 'late';
+}
 
-  // Validate gamePlan (skip population for study mode)
-  if (!data.gamePlan) {
-    if (isStudyMode) {
-      // Study mode: minimal/null game plan
-      data.gamePlan = null;
-    } else {
-      data.gamePlan = {
-        overallStrategy: 'Implement a balanced game plan.',
-        roundByRound: [],
-        roundGamePlans: [],
-        keyTactics: [],
-        thingsToAvoid: []
-      };
-    }
+/**
+ * Timestamps to sample, split across FRAME_PHASES
+ * Phase counts use largest-remainder rounding so they always add up to count;
+ * frames sit in evenly sized slots within their phase. The transition share is filled
+ * with spikeTimestamps (motion/scene-change peaks) first, then spread evenly.
+ * Returns: [{ timestamp, phase, isSpike }] in chronological order - phase is always the
+ * early/mid/late position in the fight, isSpike marks the frames picked from spikes
+ */
+function planFrameTimestamps(duration, count, spikeTimestamps = []) {
+  const counts = FRAME_PHASES.map(p => Math.floor(p.share * count));
+  const byRemainder = FRAME_PHASES
+    .map((p, i) => ({ i, remainder: p.share * count - counts[i] }))
+    .sort((a, b) => b.remainder - a.remainder);
+  const leftover = count - counts.reduce((sum, n) => sum + n, 0);
+  for (let k = 0; k < leftover; k++) {
+    counts[byRemainder[k].i]++;
   }
-  // Ensure roundByRound has correct number of entries (only if not study mode)
-  if (!isStudyMode && data.gamePlan) {
-    if (!data.gamePlan.roundByRound || data.gamePlan.roundByRound.length < userRounds) {
-      data.gamePlan.roundByRound = [];
-      for (let i = 1; i <= userRounds; i++) {
-        data.gamePlan.roundByRound.push({
-          roundNumber: i,
-          objective: `Round ${i} objective`,
-          tactics: ['Stay focused', 'Execute game plan'],
-          keyFocus: 'Maintain composure'
-        });
-      }
+
+  const round = (seconds) => Math.round(seconds * 1000) / 1000;
+  const samples = [];
+  FRAME_PHASES.forEach((p, i) => {
+    let slots = counts[i];
+    if (p.phase === 'transition') {
+      const spikes = spikeTimestamps.slice(0, slots);
+      spikes.forEach(timestamp => samples.push({ timestamp: round(timestamp), phase: getFramePhase(timestamp, duration), isSpike: true }));
+      slots -= spikes.length;
     }
-    // Ensure roundGamePlans has correct number of entries
-    if (!data.gamePlan.roundGamePlans || data.gamePlan.roundGamePlans.length < userRounds) {
-      data.gamePlan.roundGamePlans = [];
-      for (let i = 1; i <= userRounds; i++) {
-        data.gamePlan.roundGamePlans.push({
-          roundNumber: i,
-          title: `Round ${i} Strategy`,
-          planA: { name: 'Primary Plan', goal: 'Execute strategy', tactics: ['Stay focused'], successIndicators: ['Landing strikes'], switchTrigger: 'If not working, switch' },
-          planB: { name: 'Backup Plan', goal: 'Adjust approach', tactics: ['Change rhythm'], successIndicators: ['Creating openings'], switchTrigger: 'If needed' },
-          planC: { name: 'Emergency Plan', goal: 'Survive and recover', tactics: ['Clinch and control'], successIndicators: ['Regaining composure'], switchTrigger: null }
-        });
-      }
+    const slot = (p.end - p.start) * duration / slots;
+    for (let j = 0; j < slots; j++) {
+      const timestamp = round(p.start * duration + (j + p.offset) * slot);
+      samples.push({ timestamp, phase: getFramePhase(timestamp, duration), isSpike: false });
     }
-    // Convert legacy string thingsToAvoid to new object format and validate content quality
-    if (data.gamePlan.thingsToAvoid && Array.isArray(data.gamePlan.thingsToAvoid)) {
-      // Forbidden template phrases that indicate Claude didn't generate specific content
-      const forbiddenPhrases = [
-        'this pattern was identified as a vulnerability',
-        'adjust your approach based on opponent',
-        'reset when necessary',
-        'based on video analysis',
-        'based on analysis',
-        'dangerous pattern observed',
-        'move better'
-      ];
-
-      const isTemplatedContent = (text) => {
-        if (!text || typeof text !== 'string') return true;
-        const lowerText = text.toLowerCase();
-        return forbiddenPhrases.some(phrase => lowerText.includes(phrase)) || text.length < 20;
-      };
-
-      data.gamePlan.thingsToAvoid = data.gamePlan.thingsToAvoid.map((item, index) => {
-        // If already in new format, check quality
-        if (typeof item === 'object' && item.avoidance) {
-          const reason = ensureString(item.reason, '');
-          const alternative = ensureString(item.alternative, '');
+  });
+  return samples.sort((a, b) => a.timestamp - b.timestamp);
+}
 
-          // Check if Claude provided empty or templated content
-          if (!reason || isTemplatedContent(reason)) {
-            console.warn(`WARNING: thingsToAvoid[${index}].reason is missing or templated. Claude returned: "${reason}"`);
-          }
-          if (!alternative || isTemplatedContent(alternative)) {
-            console.warn(`WARNING: thingsToAvoid[${index}].alternative is missing or templated. Claude returned: "${alternative}"`);
-          }
+/**
+ * Grayscale thumbnails of the whole video at MOTION_SAMPLE_FPS, scored for action
+ * score = motion (mean pixel change from the previous thumbnail) + scene change
+ * (histogram distance, which jumps on cuts and sudden position changes). Both are 0-1.
+ * One ffmpeg pass; thumbnails are tiny so a 30-minute fight is a few MB.
+ * Returns: [{ timestamp, score, thumb }]
+ */
+async function scoreVideoMotion(file) {
+  const size = MOTION_THUMB_SIZE;
+  const raw = await runMediaCommand(FFMPEG_PATH, [
+    '-v', 'error',
+    '-i', file,
+    '-an',
+    '-vf', `fps=${MOTION_SAMPLE_FPS},scale=${size}:${size},format=gray`,
+    '-f', 'rawvideo',
+    'pipe:1'
+  ], MOTION_SCORE_TIMEOUT_MS);
+
+  const pixels = size * size;
+  const histogram = (thumb) => {
+    const bins = new Array(16).fill(0);
+    for (let k = 0; k < pixels; k++) bins[thumb[k] >> 4]++;
+    return bins;
+  };
 
-          return {
-            avoidance: ensureString(item.avoidance, 'Unknown avoidance'),
-            // Use fallback only if Claude provided nothing, but log it
-            reason: reason || 'Analysis shows this creates tactical disadvantage. Review video for specific timing patterns.',
-            alternative: alternative || 'Consider adjusting timing and positioning based on the specific patterns observed.'
-          };
-        }
-        // Convert legacy string format to new object format
-        if (typeof item === 'string') {
-          console.warn(`WARNING: thingsToAvoid[${index}] was in legacy string format, converting.`);
-          return {
-            avoidance: item,
-            reason: 'Analysis shows this creates tactical disadvantage. Review video for specific timing patterns.',
-            alternative: 'Consider adjusting timing and positioning based on the specific patterns observed.'
-          };
-        }
-        return item;
-      });
+  const samples = [];
+  let previous = null;
+  for (let offset = 0; offset + pixels <= raw.length; offset += pixels) {
+    const thumb = raw.subarray(offset, offset + pixels);
+    const bins = histogram(thumb);
+    let score = 0;
+    if (previous) {
+      const motion = getThumbnailDifference(previous.thumb, thumb);
+      const sceneChange = bins.reduce((sum, n, k) => sum + Math.abs(n - previous.bins[k]), 0) / (2 * pixels);
+      score = motion + sceneChange;
     }
+    previous = { thumb, bins };
+    samples.push({ timestamp: samples.length / MOTION_SAMPLE_FPS, score, thumb });
   }
+  return samples;
+}
 
-  // Validate midFightAdjustments (skip for study mode)
-  if (!data.midFightAdjustments) {
-    if (isStudyMode) {
-      data.midFightAdjustments = null;
-    } else {
-      data.midFightAdjustments = { adjustments: [] };
+/**
+ * Mean absolute pixel difference between two grayscale thumbnails (0-1)
+ */
+function getThumbnailDifference(a, b) {
+  let total = 0;
+  for (let k = 0; k < a.length; k++) total += Math.abs(a[k] - b[k]);
+  return total / (a.length * 255);
+}
+
+/**
+ * Timestamps of the strongest action spikes - takedowns, knockdowns, clinch entries and cuts
+ * A sample's excess is its score above the median of its surrounding SPIKE_BASELINE_SECONDS,
+ * so a constantly busy fight doesn't count as one long spike. Peaks closer than
+ * SPIKE_MIN_GAP_SECONDS to a stronger one are skipped.
+ * Returns: up to count timestamps, strongest first
+ */
+function findActionSpikes(samples, count) {
+  const reach = Math.round(SPIKE_BASELINE_SECONDS * MOTION_SAMPLE_FPS / 2);
+  const candidates = samples
+    .map((sample, i) => {
+      const around = samples.slice(Math.max(0, i - reach), i + reach + 1).map(s => s.score).sort((a, b) => a - b);
+      return { timestamp: sample.timestamp, excess: sample.score - around[Math.floor(around.length / 2)] };
+    })
+    .filter(candidate => candidate.excess >= SPIKE_MIN_EXCESS)
+    .sort((a, b) => b.excess - a.excess);
+
+  const picked = [];
+  for (const candidate of candidates) {
+    if (picked.length >= count) break;
+    if (picked.every(timestamp => Math.abs(timestamp - candidate.timestamp) >= SPIKE_MIN_GAP_SECONDS)) {
+      picked.push(candidate.timestamp);
     }
   }
-  if (!isStudyMode && data.midFightAdjustments) {
-    data.midFightAdjustments.adjustments = ensureArray(data.midFightAdjustments.adjustments, []).map(a => ({
-      ifCondition: ensureString(a.ifCondition, 'If opponent adjusts'),
-      thenAction: ensureString(a.thenAction, 'Then counter-adjust')
-    }));
-  }
+  return picked;
+}
 
-  // Validate trainingRecommendations (skip for study mode)
-  if (!data.trainingRecommendations) {
-    if (isStudyMode) {
-      data.trainingRecommendations = null;
-    } else {
-      data.trainingRecommendations = {
-        priorityDrills: [],
-        sparringFocus: [],
-        conditioning: []
-      };
+/**
+ * Drop planned frames that would look the same as the previous kept frame
+ * Each timestamp is compared via its nearest motion thumbnail; when a spike frame
+ * duplicates a plain one, the spike frame is kept.
+ */
+function dropNearDuplicateSamples(planned, motionSamples) {
+  const thumbAt = (timestamp) => {
+    const index = Math.min(motionSamples.length - 1, Math.round(timestamp * MOTION_SAMPLE_FPS));
+    return motionSamples[index].thumb;
+  };
+
+  const kept = [];
+  for (const sample of planned) {
+    const last = kept[kept.length - 1];
+    if (last && getThumbnailDifference(thumbAt(last.timestamp), thumbAt(sample.timestamp)) < NEAR_DUPLICATE_THRESHOLD) {
+      if (sample.isSpike && !last.isSpike) kept[kept.length - 1] = sample;
+      continue;
     }
+    kept.push(sample);
   }
+  return kept;
+}
 
-  // Validate keyInsights (skip for study mode)
-  if (!data.keyInsights) {
-    if (isStudyMode) {
-      data.keyInsights = null;
-    } else {
-      data.keyInsights = {
-        criticalObservations: [],
-        winConditions: [],
-        riskFactors: [],
-        finalRecommendation: 'Focus on your strengths and stay disciplined.',
-        confidenceLevel: 'Medium'
-      };
+/**
+ * Decode one JPEG frame at a timestamp (input seeking, scaled down to FRAME_MAX_WIDTH)
+ */
+function extractFrameAt(file, timestamp) {
+  return runMediaCommand(FFMPEG_PATH, [
+    '-v', 'error',
+    '-ss', String(timestamp),
+    '-i', file,
+    '-frames:v', '1',
+    '-vf', `scale='min(${FRAME_MAX_WIDTH},iw)':-2`,
+    '-q:v', '3',
+    '-f', 'image2pipe',
+    '-vcodec', 'mjpeg',
+    'pipe:1'
+  ], FRAME_EXTRACT_TIMEOUT_MS);
+}
+
+/**
+ * Sample up to maxFrames JPEG frames from a video file
+ * Frames are decoded one at a time to keep CPU and memory flat; a timestamp that yields
+ * no image (e.g. past the last keyframe) is skipped.
+ * Returns: { duration, frames } - frames are shaped like multer uploads, plus
+ * meta: { timestamp, phase, isSpike }
+ */
+async function extractVideoFrames(file, maxFrames) {
+  const duration = await probeVideoDuration(file);
+  // No point sampling more than two frames per second of footage
+  const count = Math.max(1, Math.min(maxFrames, Math.floor(duration * 2)));
+
+  // Transition frames come from motion/scene-change spikes; without them the
+  // plan falls back to evenly spread frames
+  let samples = planFrameTimestamps(duration, count);
+  if (FRAME_SELECTION === 'motion') {
+    try {
+      const motionSamples = await scoreVideoMotion(file);
+      if (motionSamples.length > 1) {
+        const transitionShare = FRAME_PHASES.find(p => p.phase === 'transition').share;
+        const spikes = findActionSpikes(motionSamples, Math.ceil(count * transitionShare));
+        samples = dropNearDuplicateSamples(planFrameTimestamps(duration, count, spikes), motionSamples);
+        console.log(`Motion scoring found ${spikes.length} action spikes; ${count - samples.length} near-duplicate frames dropped`);
+      }
+    } catch (err) {
+      if (err.message.startsWith('FFMPEG_UNAVAILABLE')) throw err;
+      console.warn(`Motion scoring failed - using evenly spread transition frames: ${err.message}`);
     }
   }
 
-  // Validate roundByRoundMetrics
-  if (!data.roundByRoundMetrics) {
-    data.roundByRoundMetrics = { rounds: [] };
+  const frames = [];
+  for (const sample of samples) {
+    const buffer = await extractFrameAt(file, sample.timestamp);
+    if (buffer.length === 0) continue;
+    frames.push({
+      originalname: `frame-${String(frames.length).padStart(3, '0')}.jpg`,
+      mimetype: 'image/jpeg',
+      buffer,
+      meta: sample
+    });
   }
-  if (!data.roundByRoundMetrics.rounds || data.roundByRoundMetrics.rounds.length < videoRounds) {
-    data.roundByRoundMetrics.rounds = [];
-    for (let i = 1; i <= videoRounds; i++) {
-      data.roundByRoundMetrics.rounds.push({
-        roundNumber: i,
-        outputLevel: 75,
-        notes: `Round ${i}`,
-        striking: {
-          strikesLanded: 10, strikesAttempted: 20, accuracy: 50,
-          significantStrikes: 5, powerStrikes: 3, headStrikes: 4, bodyStrikes: 3, legStrikes: 3, knockdowns: 0
-        },
-        grappling: {
-          takedownsLanded: 0, takedownsAttempted: 1, takedownAccuracy: 0,
-          takedownsDefended: 0, takedownDefenseRate: 50, controlTimeSeconds: 0, submissionAttempts: 0, reversals: 0
-        },
-        defense: {
-          strikesAbsorbed: 10, strikesAvoided: 50, headMovementSuccess: 50, takedownsDefended: 0, escapes: 0
-        }
-      });
-    }
+
+  if (frames.length === 0) {
+    throw new Error('VIDEO_ERROR: No frames could be extracted from the video');
   }
+  console.log(`Extracted ${frames.length}/${samples.length} frames from ${Math.round(duration)}s video`);
+  return { duration, frames };
+}
 
-  console.log('Validation complete. Data structure verified.');
-  return data;
+function isVideoExtractionBusy() {
+  return activeVideoExtractions >= VIDEO_EXTRACTION_CONCURRENCY;
+}
+
+/**
+ * extractVideoFrames within the concurrency limit - throws EXTRACTION_BUSY when every slot is taken
+ */
+async function extractVideoFramesLimited(file, maxFrames) {
+  if (isVideoExtractionBusy()) {
+    throw new Error('EXTRACTION_BUSY: Too many videos are being processed');
+  }
+  activeVideoExtractions++;
+  try {
+    return await extractVideoFrames(file, maxFrames);
+  } finally {
+    activeVideoExtractions--;
+  }
 }
 
 // ============================================
@@ -2180,9 +4903,20 @@ app.get('/', (req, res) => {
     version: '2.1.0',
     endpoints: {
       analyze: 'POST /analyze',
+      analyzeVideo: 'POST /analyze/video',
       getAnalysis: 'GET /analysis/:id',
       status: 'GET /api/analysis/status/:id',
+      stream: 'GET /api/analysis/stream/:id',
+      webhooks: 'GET /api/analysis/webhooks/:id',
+      cancel: 'POST /api/analysis/cancel/:id',
+      usage: 'GET /api/admin/usage',
+      issueToken: 'POST /api/admin/tokens',
+      revokeToken: 'POST /api/admin/tokens/revoke',
+      grantCredits: 'POST /api/admin/credits',
+      credits: 'GET /api/credits',
+      creditTransactions: 'GET /api/credits/transactions',
       health: 'GET /health',
+      schema: 'GET /api/schema',
       test: 'GET /test-report'
     }
   });
@@ -2199,12 +4933,29 @@ app.get('/health', (req, res) => {
     status: 'ready',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
+    storage: analysisStore.driver,
+    modelProvider: modelProvider.name,
+    auth: AUTH_ENABLED ? 'token' : 'disabled',
+    credits: CREDITS_ENFORCED ? 'enforced' : 'disabled',
+    rateLimits: { store: rateLimitStore.driver, rules: RATE_LIMIT_RULES },
+    plans: { default: ANALYSIS_PLANS.defaultPlan, available: Object.keys(ANALYSIS_PLANS.plans) },
+    queue: {
+      running: analysisQueue.running.size,
+      waiting: analysisQueue.waiting.length,
+      concurrency: ANALYSIS_CONCURRENCY,
+      maxQueued: ANALYSIS_QUEUE_MAX
+    },
+    reportParsing: {
+      structuredOutput: STRUCTURED_OUTPUT,
+      ...reportParseStats,
+      fallbackRate: getParseFallbackRate()
+    },
     memory: Math.round(process.memoryUsage().heapUsed / 1024 / 1024) + 'MB'
   });
 });
 
 /**
- * TEST ENDPOINT - Returns a hardcoded valid AnalysisReport
+ * TEST ENDPOINT - Returns a valid AnalysisReport built from fixtures/sample-report.json
  * Use this to verify iOS can parse the response format
  * GET /test-report
  */
@@ -2229,334 +4980,616 @@ app.get('/test-report', (req, res) => {
       videoFileSize: 1000000,
       userFightRounds: 3,
       userRole: "I'm preparing to fight this opponent",
+      plan: ANALYSIS_PLANS.defaultPlan,
       createdAt: new Date().toISOString()
     },
     createdAt: new Date().toISOString(),
     completedAt: new Date().toISOString(),
     status: "Completed",
-    executiveSummary: {
-      overallScore: 75,
-      summary: "Test analysis summary",
-      keyFindings: ["Finding 1", "Finding 2"],
-      recommendedApproach: "Test recommendation"
-    },
-    fightingStyleBreakdown: {
-      primaryStyle: "Boxer",
-      stance: "Orthodox",
-      secondarySkills: ["Wrestling"],
-      baseMartialArts: ["Boxing"],
-      styleDescription: "Test style description"
-    },
-    strikeAnalysis: {
-      accuracy: 70,
-      volume: 100,
-      powerScore: 75,
-      techniqueScore: 80,
-      breakdown: {
-        jabs: 30,
-        crosses: 20,
-        hooks: 15,
-        uppercuts: 5,
-        kicks: 20,
-        knees: 5,
-        elbows: 5
-      },
-      patterns: ["Pattern 1"],
-      recommendations: ["Recommendation 1"]
-    },
-    grapplingAnalysis: {
-      takedownAccuracy: 60,
-      takedownDefense: 70,
-      controlTime: 120,
-      submissionAttempts: 2,
-      techniques: ["Double leg"],
-      recommendations: ["Work on singles"]
-    },
-    defenseAnalysis: {
-      headMovement: 65,
-      footwork: 70,
-      blockingRate: 75,
-      counterStrikeRate: 60,
-      vulnerabilities: ["Low kick defense"],
-      improvements: ["Check kicks"]
-    },
-    cardioAnalysis: {
-      roundByRound: [
-        { roundNumber: 1, outputLevel: 90, staminaScore: 95, notes: "Strong start" },
-        { roundNumber: 2, outputLevel: 85, staminaScore: 88, notes: "Good pace" },
-        { roundNumber: 3, outputLevel: 80, staminaScore: 82, notes: "Maintained" }
-      ],
-      overallStamina: 85,
-      fatigueIndicators: ["Breathing heavy in R3"],
-      recommendations: ["More cardio"]
-    },
-    fightIQ: {
-      overallScore: 75,
-      decisionMaking: 78,
-      adaptability: 72,
-      strategyExecution: 75,
-      keyObservations: ["Good reads"],
-      improvements: ["Faster adjustments"]
-    },
-    strengthsWeaknesses: {
-      strengths: [
-        { title: "Power", description: "Good knockout power", score: 85, statistics: "70% KO rate" }
-      ],
-      weaknesses: [
-        { title: "Cardio", description: "Fades late", severity: 60, exploitablePattern: "Push pace", frequency: "Often", exploitationStrategy: "Pressure in R3" }
-      ],
-      opportunitiesToExploit: ["Low hands after combos"]
-    },
-    mistakePatterns: {
-      patterns: [
-        { pattern: "Drops hands", frequency: 5, severity: "high" }
-      ]
-    },
-    counterStrategy: {
-      bestCounter: { style: "Wrestler", reason: "Weak TDD" },
-      secondBestCounter: { style: "Pressure Fighter", reason: "Fades late" },
-      thirdBestCounter: { style: "Counter Striker", reason: "Predictable" },
-      techniquesToEmphasize: ["Leg kicks", "Wrestling"]
-    },
-    gamePlan: {
-      overallStrategy: "Pressure and wrestle",
-      roundByRound: [
-        { roundNumber: 1, objective: "Establish range", tactics: ["Jab"], keyFocus: "Distance" },
-        { roundNumber: 2, objective: "Increase pressure", tactics: ["Combos"], keyFocus: "Volume" },
-        { roundNumber: 3, objective: "Finish strong", tactics: ["Wrestle"], keyFocus: "Control" }
-      ],
-      roundGamePlans: [
-        {
-          roundNumber: 1,
-          title: "Feel Out",
-          planA: { name: "Strike", goal: "Land jabs", tactics: ["Jab"], successIndicators: ["Landing"], switchTrigger: "If not working" },
-          planB: { name: "Pressure", goal: "Push forward", tactics: ["Walk down"], successIndicators: ["Backing up"], switchTrigger: "If countered" },
-          planC: { name: "Wrestle", goal: "Take down", tactics: ["Double leg"], successIndicators: ["Control"], switchTrigger: null }
-        },
-        {
-          roundNumber: 2,
-          title: "Build Lead",
-          planA: { name: "Volume", goal: "Outwork", tactics: ["Combos"], successIndicators: ["Landing more"], switchTrigger: "If tired" },
-          planB: { name: "Counter", goal: "Pick shots", tactics: ["Wait and counter"], successIndicators: ["Clean shots"], switchTrigger: "If pressured" },
-          planC: { name: "Clinch", goal: "Control", tactics: ["Clinch work"], successIndicators: ["Knees landing"], switchTrigger: null }
-        },
-        {
-          roundNumber: 3,
-          title: "Close Strong",
-          planA: { name: "Finish", goal: "Get stoppage", tactics: ["Swarm"], successIndicators: ["Hurt opponent"], switchTrigger: "If behind" },
-          planB: { name: "Points", goal: "Win round", tactics: ["Safe shots"], successIndicators: ["Clear round"], switchTrigger: "If ahead" },
-          planC: { name: "Survive", goal: "Make it out", tactics: ["Clinch"], successIndicators: ["Not getting finished"], switchTrigger: null }
-        }
-      ],
-      keyTactics: ["Pressure", "Wrestling"],
-      thingsToAvoid: [
-        {
-          avoidance: "Standing in the pocket and trading",
-          reason: "Opponent has faster hands and better timing - prolonged exchanges at boxing range will accumulate damage",
-          alternative: "Close distance into clinch range or reset to outside range. Use feints before level changes for takedowns."
-        }
-      ]
-    },
-    midFightAdjustments: {
-      adjustments: [
-        { ifCondition: "Getting countered", thenAction: "Add feints" },
-        { ifCondition: "Getting taken down", thenAction: "Stay off fence" }
-      ]
-    },
-    trainingRecommendations: {
-      priorityDrills: ["Takedown defense"],
-      sparringFocus: ["Pressure sparring"],
-      conditioning: ["5 round sparring"]
-    },
-    keyInsights: {
-      criticalObservations: ["Weak to pressure"],
-      winConditions: ["Wrestle to victory"],
-      riskFactors: ["Power in hands"],
-      finalRecommendation: "Stick to wrestling",
-      confidenceLevel: "High"
-    },
-    roundByRoundMetrics: {
-      rounds: [
-        {
-          roundNumber: 1,
-          outputLevel: 85,
-          notes: "Good round",
-          striking: {
-            strikesLanded: 20,
-            strikesAttempted: 35,
-            accuracy: 57,
-            significantStrikes: 15,
-            powerStrikes: 8,
-            headStrikes: 10,
-            bodyStrikes: 5,
-            legStrikes: 5,
-            knockdowns: 0
-          },
-          grappling: {
-            takedownsLanded: 1,
-            takedownsAttempted: 2,
-            takedownAccuracy: 50,
-            takedownsDefended: 1,
-            takedownDefenseRate: 100,
-            controlTimeSeconds: 45,
-            submissionAttempts: 0,
-            reversals: 0
-          },
-          defense: {
-            strikesAbsorbed: 15,
-            strikesAvoided: 60,
-            headMovementSuccess: 65,
-            takedownsDefended: 1,
-            escapes: 0
-          }
-        },
-        {
-          roundNumber: 2,
-          outputLevel: 80,
-          notes: "Solid round",
-          striking: {
-            strikesLanded: 18,
-            strikesAttempted: 30,
-            accuracy: 60,
-            significantStrikes: 12,
-            powerStrikes: 6,
-            headStrikes: 8,
-            bodyStrikes: 5,
-            legStrikes: 5,
-            knockdowns: 0
-          },
-          grappling: {
-            takedownsLanded: 2,
-            takedownsAttempted: 3,
-            takedownAccuracy: 67,
-            takedownsDefended: 0,
-            takedownDefenseRate: 0,
-            controlTimeSeconds: 60,
-            submissionAttempts: 1,
-            reversals: 0
-          },
-          defense: {
-            strikesAbsorbed: 12,
-            strikesAvoided: 65,
-            headMovementSuccess: 70,
-            takedownsDefended: 0,
-            escapes: 1
-          }
-        },
-        {
-          roundNumber: 3,
-          outputLevel: 75,
-          notes: "Closed well",
-          striking: {
-            strikesLanded: 15,
-            strikesAttempted: 28,
-            accuracy: 54,
-            significantStrikes: 10,
-            powerStrikes: 5,
-            headStrikes: 7,
-            bodyStrikes: 4,
-            legStrikes: 4,
-            knockdowns: 0
-          },
-          grappling: {
-            takedownsLanded: 1,
-            takedownsAttempted: 2,
-            takedownAccuracy: 50,
-            takedownsDefended: 1,
-            takedownDefenseRate: 100,
-            controlTimeSeconds: 30,
-            submissionAttempts: 0,
-            reversals: 1
-          },
-          defense: {
-            strikesAbsorbed: 18,
-            strikesAvoided: 55,
-            headMovementSuccess: 60,
-            takedownsDefended: 1,
-            escapes: 0
-          }
-        }
-      ]
-    }
+    plan: describeAnalysisPlan(getAnalysisPlan({})),
+    ...JSON.parse(JSON.stringify(SAMPLE_REPORT.fighterAnalysis))
   };
 
+  testReport.dataQuality = buildDataQuality(testReport, getReportSchema('single'), {
+    defaultedFields: [],
+    templatedThingsToAvoid: []
+  });
+  testReport.consistency = checkReportConsistency(testReport, testReport.config);
+
+  // The fixture must satisfy the same schema real reports are held to
+  const schemaErrors = validateAgainstSchema(testReport, getReportSchema('single'));
+  if (schemaErrors.length > 0) {
+    console.error('Test report does not match the report schema:', JSON.stringify(schemaErrors));
+    return res.status(500).json({
+      error: 'Test report does not match the report schema',
+      details: schemaErrors
+    });
+  }
+
   console.log('Sending test report...');
   res.json(testReport);
 });
 
+/**
+ * Report JSON Schema - the contract the iOS AnalysisReport model decodes
+ * GET /api/schema
+ * GET /api/schema?analysisType=single|both - standalone schema for one report type
+ */
+app.get('/api/schema', (req, res) => {
+  const { analysisType } = req.query;
+  if (!analysisType) {
+    return res.json(REPORT_SCHEMA);
+  }
+  if (analysisType !== 'single' && analysisType !== 'both') {
+    return res.status(400).json({
+      error: 'Invalid analysisType',
+      message: "analysisType must be 'single' or 'both'"
+    });
+  }
+
+  res.json({
+    $schema: REPORT_SCHEMA.$schema,
+    $id: `${REPORT_SCHEMA.$id}#${analysisType}`,
+    title: analysisType === 'both' ? 'BothFightersReport' : 'SingleFighterReport',
+    ...getReportSchema(analysisType),
+    $defs: REPORT_SCHEMA.$defs
+  });
+});
+
+/**
+ * Parse the JSON 'config' field of a multipart upload
+ * Throws when the field isn't valid JSON
+ */
+function parseUploadConfig(req) {
+  if (!req.body.config) return {};
+  return typeof req.body.config === 'string'
+    ? JSON.parse(req.body.config)
+    : req.body.config;
+}
+
+const FRAME_META_PHASES = ['early', 'mid', 'late', 'transition'];
+
+/**
+ * Parse and check the optional 'frameMeta' upload field - a JSON array with one
+ * { timestamp, phase, isSpike? } entry per uploaded frame, in the same order
+ * timestamp is seconds from the start of the video. Throws with a client-facing message.
+ * Returns: the normalized entries, or null when the field was not sent
+ */
+function parseFrameMeta(raw, frameCount, videoDuration) {
+  if (raw === undefined || raw === '') return null;
+  const entries = typeof raw === 'string' ? JSON.parse(raw) : raw;
+
+  if (!Array.isArray(entries) || entries.length !== frameCount) {
+    throw new Error(`frameMeta must be an array with one entry per frame (${frameCount})`);
+  }
+  return entries.map((entry, i) => {
+    const { timestamp, phase, isSpike = false } = entry || {};
+    if (typeof timestamp !== 'number' || !Number.isFinite(timestamp) || timestamp < 0) {
+      throw new Error(`frameMeta[${i}].timestamp must be a non-negative number of seconds`);
+    }
+    // A little slack for rounding between the app's duration and frame times
+    if (videoDuration > 0 && timestamp > videoDuration + 1) {
+      throw new Error(`frameMeta[${i}].timestamp ${timestamp} is past the end of the ${videoDuration}s video`);
+    }
+    if (!FRAME_META_PHASES.includes(phase)) {
+      throw new Error(`frameMeta[${i}].phase must be one of ${FRAME_META_PHASES.join(', ')}`);
+    }
+    if (typeof isSpike !== 'boolean') {
+      throw new Error(`frameMeta[${i}].isSpike must be a boolean`);
+    }
+    return { timestamp, phase, isSpike };
+  });
+}
+
+/**
+ * Error message for a config naming a plan that doesn't exist, or null
+ */
+function getUnknownPlanMessage(config) {
+  if (config.plan === undefined || hasAnalysisPlan(config.plan)) return null;
+  return `Unknown plan "${config.plan}". Available plans: ${Object.keys(ANALYSIS_PLANS.plans).join(', ')}`;
+}
+
+/**
+ * Response for an upload that failed before the analysis was stored
+ */
+function sendSubmissionError(res, error) {
+  if (error.message.startsWith('FFMPEG_UNAVAILABLE')) {
+    return res.status(503).json({
+      error: 'Video processing unavailable',
+      message: 'This server cannot process videos - upload frames to POST /analyze instead'
+    });
+  }
+  if (error.message.startsWith('EXTRACTION_BUSY')) {
+    res.set('Retry-After', String(VIDEO_EXTRACTION_RETRY_AFTER_SECONDS));
+    return res.status(503).json({
+      error: 'Server busy',
+      message: 'Too many videos are being processed. Please try again shortly.',
+      retryAfter: VIDEO_EXTRACTION_RETRY_AFTER_SECONDS
+    });
+  }
+  if (error.message.startsWith('VIDEO_ERROR')) {
+    return res.status(400).json({
+      error: 'Invalid video',
+      message: error.message.replace('VIDEO_ERROR: ', '')
+    });
+  }
+  res.status(500).json({
+    error: 'Failed to start analysis',
+    message: error.message
+  });
+}
+
+/**
+ * Accept an upload as a new analysis and answer the request
+ * Shared by POST /analyze (frames from the app) and POST /analyze/video (frames extracted here):
+ * idempotency, queue capacity, callback and plan checks and the credit debit all run before
+ * the frames are produced, so rejected or replayed uploads cost no extraction work.
+ * source: { hashPayload() -> idempotency fingerprint, isBusy() -> no capacity to produce
+ *   frames right now (optional), loadFrames(plan) -> frames, deferred -> loadFrames is slow
+ *   (video extraction): the job is stored in stage 'extracting' and answered with 202 right
+ *   away, and queueExtractedAnalysis queues it once the frames exist }
+ * A failure after the debit refunds it - the job was never stored, so nothing else would.
+ */
+async function submitAnalysis(req, res, config, source) {
+  const analysisId = uuidv4();
+  const idempotencyKey = req.get('Idempotency-Key');
+
+  try {
+    // Retried uploads get the original job back (checked before the queue and the credit debit)
+    let idempotency;
+    if (idempotencyKey !== undefined) {
+      if (!IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+        return res.status(400).json({
+          error: 'Invalid Idempotency-Key',
+          message: 'Idempotency-Key must be 1-255 printable ASCII characters'
+        });
+      }
+
+      // Hashed first: from the pending check to claiming the key below nothing awaits,
+      // so two concurrent retries can't both start a job
+      const payloadHash = await source.hashPayload();
+
+      if (isIdempotencyKeyPending(req.userId, idempotencyKey)) {
+        return res.status(409).json({
+          error: 'Request in progress',
+          message: 'A request with this Idempotency-Key is still being processed - retry shortly'
+        });
+      }
+
+      idempotency = { key: idempotencyKey, payloadHash };
+      const existing = findIdempotentAnalysis(req.userId, idempotencyKey);
+      if (existing && existing.idempotency.payloadHash !== idempotency.payloadHash) {
+        return res.status(409).json({
+          error: 'Idempotency-Key reused',
+          message: 'This Idempotency-Key was already used for a different upload',
+          analysisID: existing.id
+        });
+      }
+      if (existing) {
+        console.log(`Idempotent replay of analysis ${existing.id} (user ${req.userId})`);
+        res.set('Idempotent-Replayed', 'true');
+        const status = buildStatusResponse(existing);
+        return res.json({
+          analysisID: existing.id,
+          status: existing.status === 'queued' ? 'processing' : existing.status,
+          progress: existing.progress,
+          ...(existing.status === 'queued' && {
+            queuePosition: status.queuePosition,
+            estimatedStartSeconds: status.estimatedStartSeconds
+          }),
+          message: 'Analysis already submitted with this Idempotency-Key. Poll /api/analysis/status/:id for progress.'
+        });
+      }
+    }
+
+    if (analysisQueue.isFull()) {
+      const retryAfter = analysisQueue.retryAfterSeconds();
+      console.warn(`Rejecting analysis - queue full (${analysisQueue.waiting.length} waiting)`);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(503).json({
+        error: 'Server busy',
+        message: 'Too many analyses in progress. Please try again shortly.',
+        retryAfter
+      });
+    }
+    if (source.isBusy && source.isBusy()) {
+      console.warn('Rejecting analysis - no free video extraction slot');
+      return sendSubmissionError(res, new Error('EXTRACTION_BUSY: Too many videos are being processed'));
+    }
+
+    // Callback settings live on the stored analysis, never in the report config
+    let webhook;
+    try {
+      webhook = parseWebhookConfig(config);
+    } catch (err) {
+      return res.status(400).json({
+        error: 'Invalid callback',
+        message: err.message
+      });
+    }
+    delete config.callbackUrl;
+    delete config.callbackSecret;
+
+    // Resolve the plan now so the stored config always names the plan it ran on
+    const unknownPlan = getUnknownPlanMessage(config);
+    if (unknownPlan) {
+      return res.status(400).json({ error: 'Invalid plan', message: unknownPlan });
+    }
+    const plan = getAnalysisPlan(config);
+    config.plan = plan.name;
+
+    // Charge before any work starts; failures are refunded by the server
+    if (CREDITS_ENFORCED && plan.credits > 0) {
+      try {
+        creditLedger.record({
+          userId: req.userId,
+          type: 'debit',
+          amount: -plan.credits,
+          analysisId,
+          reason: `${plan.label} analysis`,
+          key: `debit:${analysisId}`
+        });
+      } catch (err) {
+        if (!err.message.startsWith('INSUFFICIENT_CREDITS')) throw err;
+        return res.status(402).json({
+          error: 'Insufficient credits',
+          message: `A ${plan.label} analysis costs ${plan.credits} credits - your balance is ${err.balance}`,
+          balance: err.balance,
+          required: err.required
+        });
+      }
+    }
+
+    // Claimed before the first await so a concurrent retry with the same key finds this job
+    if (idempotency) {
+      idempotencyIndex.set(idempotencyIndexKey(req.userId, idempotency.key), analysisId);
+    }
+
+    if (source.deferred) {
+      confirmRateLimitReservation(req);
+      analysisStore.set(analysisId, {
+        id: analysisId,
+        status: 'processing',
+        stage: 'extracting',
+        progress: ANALYSIS_STAGE_PROGRESS.extracting,
+        config: config,
+        userId: req.userId,
+        idempotency: idempotency,
+        webhook: webhook,
+        createdAt: new Date().toISOString()
+      });
+      // Not awaited - failures are recorded on the stored analysis
+      queueExtractedAnalysis(analysisId, () => source.loadFrames(plan));
+      return res.status(202).json({
+        analysisID: analysisId,
+        status: 'processing',
+        stage: 'extracting',
+        message: 'Video received - extracting frames. Poll /api/analysis/status/:id for progress.'
+      });
+    }
+
+    const frames = await source.loadFrames(plan);
+    console.log(`Received ${frames.length} frames for analysis ${analysisId} (user ${req.userId})`);
+    console.log(`Config:`, JSON.stringify(config, null, 2));
+
+    // Persist frames first so the job can be resumed if the server restarts mid-analysis
+    await frameStore.save(analysisId, frames);
+
+    confirmRateLimitReservation(req);
+
+    // Store initial status
+    // With frame persistence on, buffers are dropped while queued and reloaded from disk
+    analysisStore.set(analysisId, {
+      id: analysisId,
+      status: 'queued',
+      stage: 'queued',
+      progress: 0,
+      config: config,
+      userId: req.userId,
+      idempotency: idempotency,
+      webhook: webhook,
+      createdAt: new Date().toISOString(),
+      frames: PERSIST_FRAMES ? undefined : frames, // Store frames temporarily for processing
+    });
+
+    // Process asynchronously (don't block the response)
+    analysisQueue.enqueue(analysisId);
+
+    // Return immediately with analysis ID
+    const queuePosition = analysisQueue.position(analysisId);
+    res.json({
+      analysisID: analysisId,
+      status: 'processing',
+      queuePosition,
+      estimatedStartSeconds: analysisQueue.estimatedStartSeconds(analysisId),
+      message: queuePosition > 0
+        ? `Analysis queued (position ${queuePosition}). Poll /api/analysis/status/:id for progress.`
+        : 'Analysis started. Poll /api/analysis/status/:id for progress.'
+    });
+
+  } catch (error) {
+    console.error('Error starting analysis:', error);
+    // Never stored, so no failure path will ever refund it
+    if (!analysisStore.has(analysisId)) {
+      refundAnalysisCredits({ id: analysisId, refundReason: 'Analysis could not be started' });
+      if (idempotencyKey && idempotencyIndex.get(idempotencyIndexKey(req.userId, idempotencyKey)) === analysisId) {
+        idempotencyIndex.delete(idempotencyIndexKey(req.userId, idempotencyKey));
+      }
+    }
+    sendSubmissionError(res, error);
+  }
+}
+
+/**
+ * Produce the frames of a deferred submission, persist them and queue the job
+ * The extraction slot is taken before the first await, so the caller's busy check holds.
+ * Extraction errors and cancellation while extracting fail the job with a refund.
+ */
+async function queueExtractedAnalysis(analysisId, loadFrames) {
+  const controller = new AbortController();
+  activeAnalyses.set(analysisId, controller);
+
+  try {
+    const frames = await loadFrames();
+    throwIfCancelled(controller.signal);
+    console.log(`Extracted ${frames.length} frames for analysis ${analysisId}`);
+
+    // Persist frames first so the job can be resumed if the server restarts mid-analysis
+    await frameStore.save(analysisId, frames);
+    throwIfCancelled(controller.signal);
+
+    const stored = analysisStore.get(analysisId);
+    stored.status = 'queued';
+    stored.stage = 'queued';
+    stored.progress = ANALYSIS_STAGE_PROGRESS.queued;
+    stored.frames = PERSIST_FRAMES ? undefined : frames;
+    analysisStore.set(analysisId, stored);
+
+    // Handed over before enqueue - processAnalysis registers its own controller
+    activeAnalyses.delete(analysisId);
+    analysisQueue.enqueue(analysisId);
+  } catch (err) {
+    console.error(`Frame extraction for analysis ${analysisId} failed:`, err.message);
+    const stored = analysisStore.get(analysisId);
+    stored.status = 'failed';
+    stored.stage = 'failed';
+    stored.error = err.message;
+    stored.shouldRefund = true;
+    stored.refundReason = err.message.startsWith('CANCELLED')
+      ? 'Analysis was cancelled before it finished'
+      : err.message.startsWith('VIDEO_ERROR')
+        ? 'The video could not be read - please try a different file'
+        : 'Server error while extracting video frames';
+    refundAnalysisCredits(stored);
+    finalizeStoredUsage(stored, 'failed');
+    delete stored.frames;
+    analysisStore.set(analysisId, stored);
+    frameStore.remove(analysisId);
+    deliverWebhook(analysisId).catch(error => {
+      console.error(`Webhook delivery for ${analysisId} crashed:`, error);
+    });
+  } finally {
+    if (activeAnalyses.get(analysisId) === controller) activeAnalyses.delete(analysisId);
+  }
+}
+
 /**
  * Main Analysis Endpoint
  * POST /analyze
  *
- * Receives: multipart/form-data with 'frames' (images) and 'config' (JSON)
+ * Receives: multipart/form-data with 'frames' (images) and 'config' (JSON), plus optional
+ * 'frameMeta' (JSON array of { timestamp, phase, isSpike } - one per frame, same order)
+ * Auth: Authorization: Bearer <token> or X-API-Key: <key> (analysis is owned by that user)
+ * Idempotency-Key (optional): a repeat with the same key and payload returns the original
+ * analysis; the same key with a different payload is rejected with 409
  * Returns: { analysisId, status: "processing" }
  */
-app.post('/analyze', upload.array('frames', 100), async (req, res) => {
-  const analysisId = uuidv4();
+app.post('/analyze', requireUser, rateLimit('submit'), upload.array('frames', 100), async (req, res) => {
+  let config;
+  try {
+    config = parseUploadConfig(req);
+  } catch (err) {
+    return res.status(400).json({ error: 'Invalid config', message: err.message });
+  }
+
+  const frames = req.files || [];
+
+  if (frames.length === 0) {
+    return res.status(400).json({
+      error: 'No frames provided',
+      message: 'Please upload at least one frame'
+    });
+  }
 
+  let frameMeta;
   try {
-    // Parse config from form data
-    let config = {};
-    if (req.body.config) {
-      config = typeof req.body.config === 'string'
-        ? JSON.parse(req.body.config)
-        : req.body.config;
-    }
+    frameMeta = parseFrameMeta(req.body.frameMeta, frames.length, config.videoDuration);
+  } catch (err) {
+    return res.status(400).json({ error: 'Invalid frame metadata', message: err.message });
+  }
+  if (frameMeta) {
+    frames.forEach((frame, i) => { frame.meta = frameMeta[i]; });
+  }
+
+  await submitAnalysis(req, res, config, {
+    hashPayload: () => hashAnalysisPayload(config, frames),
+    loadFrames: async () => frames
+  });
+});
 
-    const frames = req.files || [];
+/**
+ * Delete a multer temp file once nothing needs it any more
+ */
+function removeUploadedVideo(video) {
+  fs.rm(video.path, { force: true }, (err) => {
+    if (err) console.error(`Failed to remove uploaded video ${video.path}:`, err.message);
+  });
+}
+
+/**
+ * Video Analysis Endpoint
+ * POST /analyze/video
+ *
+ * Receives: multipart/form-data with 'video' (any format ffmpeg reads) and 'config' (JSON)
+ * Frames are sampled server-side with the iOS distribution (25% early, 35% mid, 25% late,
+ * 15% transitions) up to the plan's frame budget; videoDuration is filled in from the file.
+ * Auth and Idempotency-Key work as for POST /analyze (the key's fingerprint is the video file).
+ * Extraction only starts once the upload passed the replay, queue and credit checks, and
+ * runs after the response - the job reports stage 'extracting' until its frames are queued.
+ * An unreadable video (or missing ffmpeg) fails the job with a refund.
+ * Returns: 202 { analysisID, status: "processing", stage: "extracting" } (503 when
+ * VIDEO_EXTRACTION_CONCURRENCY videos are already being extracted)
+ */
+app.post('/analyze/video', requireUser, rateLimit('submit'), videoUpload.single('video'), async (req, res) => {
+  const video = req.file;
+  // Once extraction starts it owns the uploaded file and removes it when done
+  let extractionStarted = false;
 
-    if (frames.length === 0) {
+  try {
+    if (!video) {
       return res.status(400).json({
-        error: 'No frames provided',
-        message: 'Please upload at least one frame'
+        error: 'No video provided',
+        message: "Please upload a video file in the 'video' field"
       });
     }
 
-    console.log(`Received ${frames.length} frames for analysis ${analysisId}`);
-    console.log(`Config:`, JSON.stringify(config, null, 2));
+    let config;
+    try {
+      config = parseUploadConfig(req);
+    } catch (err) {
+      return res.status(400).json({ error: 'Invalid config', message: err.message });
+    }
 
-    // Store initial status
-    analysisStore.set(analysisId, {
-      id: analysisId,
-      status: 'processing',
-      progress: 0,
-      config: config,
-      createdAt: new Date().toISOString(),
-      frames: frames, // Store frames temporarily for processing
-    });
+    const unknownPlan = getUnknownPlanMessage(config);
+    if (unknownPlan) {
+      return res.status(400).json({ error: 'Invalid plan', message: unknownPlan });
+    }
 
-    // Process asynchronously (don't block the response)
-    processAnalysis(analysisId).catch(err => {
-      console.error(`Analysis ${analysisId} failed:`, err);
-      const stored = analysisStore.get(analysisId);
-      if (stored) {
-        stored.status = 'failed';
-        stored.error = err.message;
-        // Always refund credit on server-side failures
-        stored.shouldRefund = true;
-        stored.refundReason = err.message.includes('TIMEOUT')
-          ? 'Analysis timed out - please try with a shorter video'
-          : 'Server error during analysis';
-        delete stored.frames; // Clean up frames
-        analysisStore.set(analysisId, stored);
+    console.log(`Received ${(video.size / (1024 * 1024)).toFixed(1)}MB video from user ${req.userId}`);
+    await submitAnalysis(req, res, config, {
+      hashPayload: () => hashVideoPayload(config, video.path),
+      isBusy: isVideoExtractionBusy,
+      deferred: true,
+      loadFrames: async (plan) => {
+        extractionStarted = true;
+        console.log(`Extracting up to ${plan.maxFrames} frames from ${video.originalname || 'uploaded video'}`);
+        try {
+          const { duration, frames } = await extractVideoFramesLimited(video.path, plan.maxFrames);
+          config.videoDuration = Math.round(duration);
+          return frames;
+        } finally {
+          removeUploadedVideo(video);
+        }
       }
     });
+  } catch (error) {
+    console.error('Error starting video analysis:', error.message);
+    sendSubmissionError(res, error);
+  } finally {
+    if (video && !extractionStarted) removeUploadedVideo(video);
+  }
+});
 
-    // Return immediately with analysis ID
-    res.json({
-      analysisID: analysisId,
-      status: 'processing',
-      message: 'Analysis started. Poll /api/analysis/status/:id for progress.'
-    });
 
-  } catch (error) {
-    console.error('Error starting analysis:', error);
-    res.status(500).json({
-      error: 'Failed to start analysis',
-      message: error.message
+/**
+ * Run background processing for a stored analysis (called by analysisQueue)
+ * Failures are recorded on the stored analysis - the returned promise never rejects
+ */
+function startAnalysis(analysisId) {
+  const stored = analysisStore.get(analysisId);
+  if (!stored) return Promise.resolve();
+
+  stored.status = 'processing';
+  stored.startedAt = new Date().toISOString();
+  if (!stored.frames) {
+    stored.frames = frameStore.load(analysisId);
+  }
+  analysisStore.set(analysisId, stored);
+
+  const run = stored.frames
+    ? processAnalysis(analysisId)
+    : Promise.reject(new Error('FRAMES_MISSING: Uploaded frames are no longer available'));
+
+  return run.catch(err => {
+    console.error(`Analysis ${analysisId} failed:`, err);
+    const stored = analysisStore.get(analysisId);
+    if (stored) {
+      stored.status = 'failed';
+      stored.error = err.message;
+      // Always refund credit on server-side failures
+      stored.shouldRefund = true;
+      stored.refundReason = stored.refundReason || (err.message.includes('TIMEOUT')
+        ? 'Analysis timed out - please try with a shorter video'
+        : 'Server error during analysis');
+      refundAnalysisCredits(stored);
+      finalizeStoredUsage(stored, 'failed');
+      delete stored.frames; // Clean up frames
+      analysisStore.set(analysisId, stored);
+    }
+    frameStore.remove(analysisId);
+  }).then(() => {
+    // Fire-and-forget - retries run in the background and never block the queue
+    deliverWebhook(analysisId).catch(err => {
+      console.error(`Webhook delivery for ${analysisId} crashed:`, err);
     });
+  });
+}
+
+/**
+ * Recover analyses that were in flight when the server last stopped
+ * Jobs with persisted frames are re-queued from the start (frames are loaded by
+ * startAnalysis when the job runs); anything else, or a job already resumed
+ * MAX_ANALYSIS_RESUMES times, is failed with shouldRefund so the iOS credit-refund
+ * flow still kicks in.
+ */
+function recoverInterruptedAnalyses() {
+  let resumed = 0;
+  let failed = 0;
+
+  // Oldest first so recovered jobs keep their original queue order
+  const interrupted = [...analysisStore.values()]
+    .filter(stored => stored.status === 'processing' || stored.status === 'queued')
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+
+  for (const stored of interrupted) {
+    const hasFrames = frameStore.has(stored.id);
+    const resumeLimitReached = (stored.resumeCount || 0) >= MAX_ANALYSIS_RESUMES;
+    if (hasFrames && !resumeLimitReached) {
+      console.log(`Re-queueing interrupted analysis ${stored.id}`);
+      stored.status = 'queued';
+      stored.stage = 'queued';
+      stored.progress = 0;
+      stored.resumedAt = new Date().toISOString();
+      stored.resumeCount = (stored.resumeCount || 0) + 1;
+      analysisStore.set(stored.id, stored);
+      analysisQueue.enqueue(stored.id);
+      resumed++;
+    } else {
+      if (hasFrames) {
+        console.warn(`Failing interrupted analysis ${stored.id} - already resumed ${stored.resumeCount} time(s)`);
+        stored.error = 'SERVER_RESTART: Analysis was interrupted by repeated server restarts';
+      } else {
+        console.warn(`Failing interrupted analysis ${stored.id} - no persisted frames to resume from`);
+        stored.error = 'SERVER_RESTART: Analysis was interrupted by a server restart';
+      }
+      stored.status = 'failed';
+      stored.shouldRefund = true;
+      stored.refundReason = 'Analysis was interrupted by a server restart - please try again';
+      refundAnalysisCredits(stored);
+      finalizeStoredUsage(stored, 'failed');
+      analysisStore.set(stored.id, stored);
+      frameStore.remove(stored.id);
+      deliverWebhook(stored.id).catch(err => {
+        console.error(`Webhook delivery for ${stored.id} crashed:`, err);
+      });
+      failed++;
+    }
   }
-});
+
+  if (resumed > 0 || failed > 0) {
+    console.log(`Startup recovery: ${resumed} analyses resumed, ${failed} marked failed`);
+  }
+}
 
 /**
  * Process analysis in background
@@ -2569,10 +5602,54 @@ async function processAnalysis(analysisId) {
   const startTime = Date.now();
   const logMemory = () => Math.round(process.memoryUsage().heapUsed / 1024 / 1024);
 
+  // Each stage maps to a fixed progress value shown by the status route and SSE stream
+  const setStage = (stage) => {
+    stored.stage = stage;
+    stored.progress = ANALYSIS_STAGE_PROGRESS[stage] ?? stored.progress;
+    analysisStore.set(analysisId, stored);
+  };
+
+  // Model progress fills the gap between model_running and parsing
+  // Only persisted when the visible percentage goes up, not on every streamed chunk
+  // (a sectioned fallback restarts token counting but must never move the bar backwards)
+  const modelStart = ANALYSIS_STAGE_PROGRESS.model_running;
+  const modelSpan = ANALYSIS_STAGE_PROGRESS.parsing - modelStart - 1;
+  const setModelProgress = ({ outputTokens, fraction }) => {
+    const progress = modelStart + Math.floor(fraction * modelSpan);
+    if (progress <= stored.progress) return;
+    stored.progress = progress;
+    stored.outputTokens = outputTokens;
+    analysisStore.set(analysisId, stored);
+  };
+
+  // Every Claude API attempt (including retries) is kept on the stored analysis,
+  // across resumes after a restart
+  stored.apiAttempts = stored.apiAttempts || [];
+  stored.retryCount = stored.retryCount || 0;
+  const recordAttempt = (attempt) => {
+    stored.apiAttempts.push(attempt);
+    if (attempt.retryInMs !== null) stored.retryCount++;
+    analysisStore.set(analysisId, stored);
+  };
+
+  // Tokens, estimated cost, frames, latency and retries for the admin usage report
+  // A resumed job keeps what the interrupted attempt already spent
+  stored.usage = stored.usage || createUsageRecord(config);
+  const recordUsage = (call) => {
+    addUsage(stored.usage, call);
+    analysisStore.set(analysisId, stored);
+  };
+  const closeUsage = (status) => {
+    finalizeUsage(stored.usage, { status, latencyMs: Date.now() - startTime, retries: stored.retryCount });
+    console.log(`Usage: ${stored.usage.inputTokens} input / ${stored.usage.outputTokens} output tokens over ${stored.usage.calls} call(s), est. cost $${stored.usage.estimatedCostUsd ?? 'n/a'}`);
+  };
+
+  const controller = new AbortController();
+  activeAnalyses.set(analysisId, controller);
+
   try {
     // Update progress - starting analysis
-    stored.progress = 10;
-    analysisStore.set(analysisId, stored);
+    setStage('uploading');
 
     // Calculate total frame data size
     const totalFrameSize = frames.reduce((sum, f) => sum + f.buffer.byteLength, 0);
@@ -2582,17 +5659,20 @@ async function processAnalysis(analysisId) {
     console.log(`Frames: ${frames.length}, Total size: ${frameSizeMB}MB, Memory: ${logMemory()}MB`);
     console.log(`Config: ${config.analysisType}, Fighter: ${config.fighter1Name || 'N/A'}`);
 
-    // Update progress
-    stored.progress = 30;
-    analysisStore.set(analysisId, stored);
-
     // Call Claude API with frames directly
     console.log(`Calling Claude API... (Memory: ${logMemory()}MB)`);
-    const analysisData = await analyzeWithClaude(frames, config);
+    const analysisData = await analyzeWithClaude(frames, config, {
+      onStage: setStage,
+      onProgress: setModelProgress,
+      onAttempt: recordAttempt,
+      onUsage: recordUsage,
+      onParseMode: (mode) => { stored.parseMode = mode; },
+      signal: controller.signal,
+      deadline: Date.now() + CLAUDE_RETRY_DEADLINE_MS
+    });
     console.log(`Claude API returned (Memory: ${logMemory()}MB, Time: ${((Date.now() - startTime) / 1000).toFixed(1)}s)`);
-
-    stored.progress = 90;
-    analysisStore.set(analysisId, stored);
+    // Last point a cancellation can take effect - from here on the report is stored synchronously
+    throwIfCancelled(controller.signal);
 
     // Build complete response matching iOS AnalysisReport model
     // CRITICAL: Normalize config to ensure dates are ISO8601 strings
@@ -2604,15 +5684,19 @@ async function processAnalysis(analysisId) {
       createdAt: stored.createdAt,
       completedAt: new Date().toISOString(),
       status: 'Completed',
+      plan: describeAnalysisPlan(getAnalysisPlan(config)),
       ...analysisData  // Spread all the analysis sections from Claude
     };
 
     // Store complete report and clean up frames
     stored.status = 'completed';
+    stored.stage = 'completed';
     stored.progress = 100;
     stored.report = completeReport;
+    closeUsage('completed');
     delete stored.frames; // Free up memory
     analysisStore.set(analysisId, stored);
+    frameStore.remove(analysisId);
 
     const totalTime = ((Date.now() - startTime) / 1000).toFixed(1);
     console.log(`=== ANALYSIS COMPLETE: ${analysisId} ===`);
@@ -2624,6 +5708,7 @@ async function processAnalysis(analysisId) {
     console.error(`Failed after ${totalTime}s, Memory: ${logMemory()}MB`);
     console.error(`Error type: ${error.name}, Message: ${error.message}`);
     stored.status = 'failed';
+    stored.stage = 'failed';
     stored.error = error.message;
     // Always refund credit on server-side failures
     stored.shouldRefund = true;
@@ -2631,6 +5716,10 @@ async function processAnalysis(analysisId) {
     // Provide user-friendly refund reason based on error type
     if (error.message.includes('TIMEOUT')) {
       stored.refundReason = 'Analysis timed out - please try with a shorter video or fewer frames';
+    } else if (error.message.includes('CANCELLED')) {
+      stored.refundReason = 'Analysis was cancelled before it finished';
+    } else if (error.message.includes('STALLED')) {
+      stored.refundReason = 'AI service stopped responding - please try again';
     } else if (error.message.includes('API_RATE_LIMIT')) {
       stored.refundReason = 'Service temporarily busy - please try again in a few minutes';
     } else if (error.message.includes('API_SERVICE_ERROR')) {
@@ -2643,31 +5732,24 @@ async function processAnalysis(analysisId) {
       stored.refundReason = 'Server error during analysis - please try again';
     }
 
+    closeUsage('failed');
+    refundAnalysisCredits(stored);
     delete stored.frames; // Clean up frames
     analysisStore.set(analysisId, stored);
     throw error;
+  } finally {
+    activeAnalyses.delete(analysisId);
   }
 }
 
 /**
- * Check Analysis Status
- * GET /api/analysis/status/:id
- *
- * Returns: { status, progress, message }
+ * Build the status payload shared by the polling route and the SSE stream
  */
-app.get('/api/analysis/status/:id', (req, res) => {
-  const { id } = req.params;
-  const stored = analysisStore.get(id);
-
-  if (!stored) {
-    return res.status(404).json({
-      error: 'Analysis not found',
-      message: `No analysis found with ID: ${id}`
-    });
-  }
-
+function buildStatusResponse(stored) {
   // Map internal status to iOS AnalysisStatus enum values
+  // Queued jobs report as Processing so older app builds keep polling normally
   const statusMap = {
+    'queued': 'Processing',
     'processing': 'Processing',
     'completed': 'Completed',
     'failed': 'Failed'
@@ -2676,21 +5758,375 @@ app.get('/api/analysis/status/:id', (req, res) => {
   const response = {
     status: statusMap[stored.status] || stored.status,
     progress: stored.progress,
+    stage: stored.stage || stored.status,
     message: stored.status === 'completed'
       ? 'Analysis complete'
       : stored.status === 'failed'
         ? stored.error || 'Analysis failed'
-        : 'Analysis in progress'
+        : stored.status === 'queued'
+          ? `Waiting in queue (position ${analysisQueue.position(stored.id)})`
+          : stored.stage === 'extracting'
+            ? 'Extracting frames from the video'
+            : 'Analysis in progress'
   };
 
+  // Include queue position and ETA while the job waits for a worker
+  if (stored.status === 'queued') {
+    response.queuePosition = analysisQueue.position(stored.id);
+    response.estimatedStartSeconds = analysisQueue.estimatedStartSeconds(stored.id);
+  }
+
   // Include refund information if analysis failed
   if (stored.status === 'failed') {
     response.shouldRefund = stored.shouldRefund || false;
     response.refundReason = stored.refundReason || null;
+    response.refund = stored.refund || null;
     response.error = stored.error || 'Analysis failed';
   }
 
-  res.json(response);
+  return response;
+}
+
+/**
+ * Check Analysis Status
+ * GET /api/analysis/status/:id
+ *
+ * Returns: { status, progress, stage, message }
+ */
+app.get('/api/analysis/status/:id', requireUser, rateLimit('poll'), (req, res) => {
+  const { id } = req.params;
+  const stored = getOwnedAnalysis(req, id);
+
+  if (!stored) {
+    return res.status(404).json({
+      error: 'Analysis not found',
+      message: `No analysis found with ID: ${id}`
+    });
+  }
+
+  res.json(buildStatusResponse(stored));
+});
+
+/**
+ * Stream Analysis Progress (Server-Sent Events)
+ * GET /api/analysis/stream/:id
+ *
+ * Events:
+ *   status   - { status, progress, stage, message, queuePosition? } on every change
+ *   complete - the full AnalysisReport, then the stream closes
+ *   failed   - { error, shouldRefund, refundReason, refund }, then the stream closes
+ */
+app.get('/api/analysis/stream/:id', requireUser, rateLimit('poll'), (req, res) => {
+  const { id } = req.params;
+  const stored = getOwnedAnalysis(req, id);
+
+  if (!stored) {
+    return res.status(404).json({
+      error: 'Analysis not found',
+      message: `No analysis found with ID: ${id}`
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop proxies buffering the stream
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  let lastStatus = null;
+  let closed = false;
+
+  const cleanup = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    analysisEvents.removeListener(id, push);
+  };
+
+  function push(record) {
+    if (closed) return;
+
+    // Only send status when something the client shows has changed
+    const status = buildStatusResponse(record);
+    const serialized = JSON.stringify(status);
+    if (serialized !== lastStatus) {
+      lastStatus = serialized;
+      send('status', status);
+    }
+
+    if (record.status === 'completed') {
+      send('complete', record.report);
+      cleanup();
+      res.end();
+    } else if (record.status === 'failed') {
+      send('failed', {
+        error: record.error || 'Analysis failed',
+        shouldRefund: record.shouldRefund || false,
+        refundReason: record.refundReason || null,
+        refund: record.refund || null
+      });
+      cleanup();
+      res.end();
+    }
+  }
+
+  // Heartbeat keeps idle connections alive and picks up queue position changes
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+    const current = analysisStore.get(id);
+    if (current) push(current);
+  }, 15000);
+
+  analysisEvents.on(id, push);
+  req.on('close', cleanup);
+
+  push(stored);
+});
+
+/**
+ * Cancel Analysis
+ * POST /api/analysis/cancel/:id
+ *
+ * Queued analyses are dropped immediately; running analyses abort the Claude stream, or
+ * fail with CANCELLED at the next stage boundary once the model call has returned.
+ * Returns: { analysisID, status } (409 if the analysis already finished or can no
+ * longer be cancelled)
+ */
+app.post('/api/analysis/cancel/:id', requireUser, (req, res) => {
+  const { id } = req.params;
+  const stored = getOwnedAnalysis(req, id);
+
+  if (!stored) {
+    return res.status(404).json({
+      error: 'Analysis not found',
+      message: `No analysis found with ID: ${id}`
+    });
+  }
+
+  if (stored.status === 'completed' || stored.status === 'failed') {
+    return res.status(409).json({
+      error: 'Analysis already finished',
+      message: `Analysis ${id} is already ${stored.status}`
+    });
+  }
+
+  if (analysisQueue.remove(id)) {
+    console.log(`Cancelled queued analysis ${id}`);
+    stored.status = 'failed';
+    stored.stage = 'failed';
+    stored.error = 'CANCELLED: Analysis was cancelled.';
+    stored.shouldRefund = true;
+    stored.refundReason = 'Analysis was cancelled before it finished';
+    refundAnalysisCredits(stored);
+    finalizeStoredUsage(stored, 'failed');
+    delete stored.frames;
+    analysisStore.set(id, stored);
+    frameStore.remove(id);
+    deliverWebhook(id).catch(err => {
+      console.error(`Webhook delivery for ${id} crashed:`, err);
+    });
+    return res.json({ analysisID: id, status: 'Failed', message: 'Analysis cancelled' });
+  }
+
+  const controller = activeAnalyses.get(id);
+  if (!controller) {
+    return res.status(409).json({
+      error: 'Analysis cannot be cancelled',
+      message: `Analysis ${id} is not running and can no longer be cancelled`
+    });
+  }
+  console.log(`Cancelling running analysis ${id}`);
+  controller.abort();
+
+  // processAnalysis records the failure (and refund) once the current stage unwinds
+  res.status(202).json({ analysisID: id, status: 'Processing', message: 'Cancellation requested' });
+});
+
+/**
+ * Webhook Delivery Log
+ * GET /api/analysis/webhooks/:id
+ *
+ * Returns: { analysisID, callbackUrl, deliveries: [{ deliveryId, event, attempt, statusCode, success, error, ... }] }
+ */
+app.get('/api/analysis/webhooks/:id', requireUser, rateLimit('poll'), (req, res) => {
+  const { id } = req.params;
+  const stored = getOwnedAnalysis(req, id);
+
+  if (!stored) {
+    return res.status(404).json({
+      error: 'Analysis not found',
+      message: `No analysis found with ID: ${id}`
+    });
+  }
+
+  res.json({
+    analysisID: id,
+    callbackUrl: stored.webhook ? stored.webhook.url : null,
+    deliveries: stored.webhookDeliveries || []
+  });
+});
+
+/**
+ * Token usage, estimated cost and margin per day, plan and analysis type
+ * GET /api/admin/usage?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Header: X-Admin-Key
+ *
+ * Returns: { from, to, pricing, groups: [...], totals }
+ */
+app.get('/api/admin/usage', requireAdmin, (req, res) => {
+  const isDay = (value) => value === undefined || /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const { from, to } = req.query;
+  if (!isDay(from) || !isDay(to)) {
+    return res.status(400).json({ error: 'Invalid date range', message: 'from and to must be YYYY-MM-DD' });
+  }
+
+  const records = [...analysisStore.values()].map(stored => stored.usage);
+  res.json({
+    from: from || null,
+    to: to || null,
+    pricing: MODEL_PRICING,
+    ...aggregateUsage(records, { from, to })
+  });
+});
+
+/**
+ * Issue a bearer token or API key for a user
+ * POST /api/admin/tokens
+ * Header: X-Admin-Key
+ * Body: { userId, type?: 'bearer' | 'api_key', expiresInSeconds? }
+ *
+ * Returns: { token, tokenId, userId, type, expiresAt } - expiresAt is null for API keys;
+ * tokenId is what POST /api/admin/tokens/revoke takes
+ */
+app.post('/api/admin/tokens', requireAdmin, (req, res) => {
+  if (!AUTH_ENABLED) {
+    return res.status(409).json({ error: 'Authentication disabled', message: 'Unset AUTH_DISABLED to issue tokens' });
+  }
+
+  const { userId, type = 'bearer', expiresInSeconds = AUTH_TOKEN_TTL_SECONDS } = req.body || {};
+  if (typeof userId !== 'string' || !USER_ID_PATTERN.test(userId)) {
+    return res.status(400).json({ error: 'Invalid userId', message: 'userId must be 1-128 letters, digits or . @ : _ -' });
+  }
+  if (!TOKEN_TYPES.includes(type)) {
+    return res.status(400).json({ error: 'Invalid type', message: `type must be one of ${TOKEN_TYPES.join(', ')}` });
+  }
+  if (!Number.isInteger(expiresInSeconds) || expiresInSeconds < 1) {
+    return res.status(400).json({ error: 'Invalid expiresInSeconds', message: 'expiresInSeconds must be a positive integer' });
+  }
+
+  const { token, payload } = issueAuthToken(userId, type, expiresInSeconds);
+  console.log(`Issued ${type} token for user ${userId}`);
+  res.status(201).json({
+    token,
+    tokenId: payload.jti,
+    userId,
+    type,
+    expiresAt: payload.exp ? new Date(payload.exp * 1000).toISOString() : null
+  });
+});
+
+/**
+ * Revoke a token or API key
+ * POST /api/admin/tokens/revoke
+ * Header: X-Admin-Key
+ * Body: { tokenId } or { token } - revoking twice returns the original revocation
+ *
+ * Returns: { tokenId, revokedAt }
+ */
+app.post('/api/admin/tokens/revoke', requireAdmin, (req, res) => {
+  if (!AUTH_ENABLED) {
+    return res.status(409).json({ error: 'Authentication disabled', message: 'Unset AUTH_DISABLED to revoke tokens' });
+  }
+
+  const { tokenId, token } = req.body || {};
+  let entry;
+  if (typeof token === 'string' && token) {
+    // Signature checked so a forged token can't fill the list; expired tokens need no revoking
+    let payload;
+    try {
+      payload = verifyAuthToken(token);
+    } catch (err) {
+      if (err.message !== 'AUTH_ERROR: Token revoked') {
+        return res.status(400).json({ error: 'Invalid token', message: err.message.replace('AUTH_ERROR: ', '') });
+      }
+      payload = JSON.parse(Buffer.from(token.split('.')[0], 'base64url').toString('utf8'));
+    }
+    entry = revokedTokens.add({ jti: payload.jti, userId: payload.sub, exp: payload.exp || null });
+  } else if (typeof tokenId === 'string' && tokenId) {
+    entry = revokedTokens.add({ jti: tokenId });
+  } else {
+    return res.status(400).json({ error: 'Invalid request', message: 'Provide tokenId or token' });
+  }
+
+  console.log(`Revoked token ${entry.jti}${entry.userId ? ` (user ${entry.userId})` : ''}`);
+  res.json({ tokenId: entry.jti, revokedAt: entry.revokedAt });
+});
+
+/**
+ * Grant credits to a user (purchases, promotions, support adjustments)
+ * POST /api/admin/credits
+ * Header: X-Admin-Key
+ * Body: { userId, credits, reason?, idempotencyKey? } - a repeated idempotencyKey returns the original grant
+ *
+ * Returns: { transaction, balance }
+ */
+app.post('/api/admin/credits', requireAdmin, (req, res) => {
+  const { userId, credits, reason = 'Credit grant', idempotencyKey } = req.body || {};
+  if (typeof userId !== 'string' || !USER_ID_PATTERN.test(userId)) {
+    return res.status(400).json({ error: 'Invalid userId', message: 'userId must be 1-128 letters, digits or . @ : _ -' });
+  }
+  if (!Number.isInteger(credits) || credits < 1) {
+    return res.status(400).json({ error: 'Invalid credits', message: 'credits must be a positive integer' });
+  }
+
+  const transaction = creditLedger.record({
+    userId,
+    type: 'grant',
+    amount: credits,
+    reason: String(reason),
+    key: idempotencyKey ? `grant:${idempotencyKey}` : null
+  });
+  res.status(201).json({ transaction, balance: creditLedger.balance(userId) });
+});
+
+/**
+ * Caller's Credit Balance
+ * GET /api/credits
+ *
+ * Returns: { userId, balance, enforced }
+ */
+app.get('/api/credits', requireUser, rateLimit('poll'), (req, res) => {
+  res.json({
+    userId: req.userId,
+    balance: creditLedger.balance(req.userId),
+    enforced: CREDITS_ENFORCED
+  });
+});
+
+/**
+ * Caller's Credit Transactions (newest first)
+ * GET /api/credits/transactions?limit=50
+ *
+ * Returns: { userId, balance, transactions: [{ id, type, amount, balanceAfter, analysisId, reason, createdAt }] }
+ */
+app.get('/api/credits/transactions', requireUser, rateLimit('poll'), (req, res) => {
+  const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 50));
+  const transactions = creditLedger.transactions(req.userId)
+    .slice(-limit)
+    .reverse()
+    .map(({ key, ...transaction }) => transaction);
+
+  res.json({
+    userId: req.userId,
+    balance: creditLedger.balance(req.userId),
+    transactions
+  });
 });
 
 /**
@@ -2699,9 +6135,9 @@ app.get('/api/analysis/status/:id', (req, res) => {
  *
  * Returns: Complete AnalysisReport matching iOS model
  */
-app.get('/analysis/:id', (req, res) => {
+app.get('/analysis/:id', requireUser, rateLimit('poll'), (req, res) => {
   const { id } = req.params;
-  const stored = analysisStore.get(id);
+  const stored = getOwnedAnalysis(req, id);
 
   if (!stored) {
     return res.status(404).json({
@@ -2725,9 +6161,9 @@ app.get('/analysis/:id', (req, res) => {
  * Alternative endpoint path (for iOS compatibility)
  * GET /api/analysis/report/:id
  */
-app.get('/api/analysis/report/:id', (req, res) => {
+app.get('/api/analysis/report/:id', requireUser, rateLimit('poll'), (req, res) => {
   const { id } = req.params;
-  const stored = analysisStore.get(id);
+  const stored = getOwnedAnalysis(req, id);
 
   if (!stored) {
     return res.status(404).json({
@@ -2751,6 +6187,8 @@ app.get('/api/analysis/report/:id', (req, res) => {
 // START SERVER
 // ============================================
 
+recoverInterruptedAnalyses();
+
 app.listen(PORT, () => {
   console.log(`
 ╔════════════════════════════════════════════════════════════╗
@@ -2762,9 +6200,18 @@ app.listen(PORT, () => {
 ║  Endpoints:                                                ║
 ║  • GET  /                        - Health check            ║
 ║  • POST /analyze                 - Submit frames           ║
+║  • POST /analyze/video           - Submit a video          ║
 ║  • GET  /api/analysis/status/:id - Check progress          ║
+║  • GET  /api/analysis/stream/:id - Progress stream (SSE)   ║
 ║  • GET  /analysis/:id            - Get complete report     ║
 ║  • GET  /api/analysis/report/:id - Get report (alt path)   ║
+║  • GET  /api/schema              - Report JSON Schema      ║
+║  • GET  /api/admin/usage         - Usage & cost (admin)    ║
+║  • POST /api/admin/tokens        - Issue token (admin)     ║
+║  • POST /api/admin/tokens/revoke - Revoke token (admin)    ║
+║  • POST /api/admin/credits       - Grant credits (admin)   ║
+║  • GET  /api/credits             - Credit balance          ║
+║  • GET  /api/credits/transactions - Credit history        ║
 ╚════════════════════════════════════════════════════════════╝
   `);
 });